@@ -0,0 +1,148 @@
+/**
+ * app.js
+ * Builds the Express app: middleware, the /api routers (routes/) and the static front-end.
+ *
+ *   const app = createApp({ db, mailer, clock });
+ *
+ * - db:     a store from utils/store/ (createStore); its pg Pool backs the Postgres-only endpoints.
+ * - mailer: { sendEmail, renderEmail }, utils/mailer.js by default. Tests pass one that records messages.
+ * - clock:  { now() } returning a Date, used for app-side expiry and schedule maths (SQL still uses NOW()).
+ * - allowPrivateWebhooks: let webhook endpoints point at localhost/private networks (default
+ *   WEBHOOK_ALLOW_PRIVATE_URLS; tests turn it on to receive deliveries locally).
+ * - logRequests: morgan request logging (default true).
+ *
+ * Nothing here listens, checks the database or starts timers: server.js does that, and calls
+ * startBackgroundJobs(app.locals.ctx) once migrations have run.
+ */
+import express from "express";
+import cors from "cors";
+import morgan from "morgan";
+import path from "path";
+import { sendEmail, renderEmail } from "./utils/mailer.js";
+import { purgeExpiredIdempotencyKeys } from "./utils/idempotency.js";
+import { purgeThrottle } from "./utils/throttle.js";
+import { sendError, handleError } from "./utils/helpers.js";
+import { WEBHOOK_ALLOW_PRIVATE_URLS } from "./utils/config.js";
+import { createWebhookService } from "./services/webhooks.js";
+import { createNotificationService } from "./services/notifications.js";
+import { createProfileService } from "./services/profile.js";
+import { createAuthService } from "./services/auth.js";
+import { createTransferService } from "./services/transfers.js";
+import { createScheduleService } from "./services/schedules.js";
+import { authRouter } from "./routes/auth.js";
+import { usersRouter } from "./routes/users.js";
+import { accountsRouter } from "./routes/accounts.js";
+import { transactionsRouter } from "./routes/transactions.js";
+import { transfersRouter } from "./routes/transfers.js";
+import { schedulesRouter } from "./routes/schedules.js";
+import { adminRouter } from "./routes/admin.js";
+import { fxRouter } from "./routes/fx.js";
+import { webhooksRouter } from "./routes/webhooks.js";
+import { notificationsRouter } from "./routes/notifications.js";
+
+const systemClock = { now: () => new Date() };
+
+// The endpoints that work on the SQLite backend: sign-up, password sign-in, profile, accounts, history,
+// transfers between Bank Swift accounts and notifications.
+const SQLITE_ROUTES = [
+  ["POST", /^\/api\/users$/],
+  ["POST", /^\/api\/login$/],
+  ["GET", /^\/api\/users\/me$/],
+  ["GET", /^\/api\/accounts$/],
+  ["GET", /^\/api\/transactions(\/export)?$/],
+  ["POST", /^\/api\/transfers$/],
+  ["GET", /^\/api\/notifications$/],
+  ["POST", /^\/api\/notifications\/read(-all)?$/],
+  ["GET", /^\/api\/stream\/(notifications|user\/[^/]+)$/],
+];
+
+function corsOptions() {
+  if (process.env.ALLOW_ANY_ORIGIN === "1") return { origin: true, credentials: true, exposedHeaders: ["X-Next-Cursor", "Link"] };
+  return {
+    origin: (origin, callback) => {
+      if (!origin) return callback(null, true);
+      try {
+        const u = new URL(origin);
+        if (u.hostname === "localhost" || u.hostname === "127.0.0.1") return callback(null, true);
+      } catch {}
+      const allowed = (process.env.CORS_ORIGINS || "").split(",").map((s) => s.trim()).filter(Boolean);
+      if (allowed.includes(origin)) return callback(null, true);
+      return callback(Object.assign(new Error(`Not allowed by CORS: ${origin}`), { code: "cors_rejected" }));
+    },
+    credentials: true,
+    exposedHeaders: ["X-Next-Cursor", "Link"],
+  };
+}
+
+export function createApp({ db, mailer = { sendEmail, renderEmail }, clock = systemClock, allowPrivateWebhooks = WEBHOOK_ALLOW_PRIVATE_URLS, logRequests = true } = {}) {
+  if (!db) throw new Error("createApp needs a db (see utils/store/)");
+  const ctx = { store: db, pool: db.pool || null, mailer, clock, allowPrivateWebhooks };
+  // services see the ones created before them through ctx
+  ctx.webhooks = createWebhookService(ctx);
+  ctx.notifications = createNotificationService(ctx);
+  ctx.profile = createProfileService(ctx);
+  ctx.auth = createAuthService(ctx);
+  ctx.transfers = createTransferService(ctx);
+  ctx.schedules = createScheduleService(ctx);
+
+  const app = express();
+  // behind a load balancer req.ip is the proxy unless told how many hops to trust (per-IP throttling, risk)
+  if (process.env.TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+
+  app.use(cors(corsOptions()));
+  app.options("*", cors());
+  // keep the raw bytes around for signature checks on inbound webhooks
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  if (logRequests) app.use(morgan("dev"));
+
+  if (db.kind !== "postgres") {
+    app.use((req, res, next) => {
+      if (!req.path.startsWith("/api/") || SQLITE_ROUTES.some(([method, re]) => method === req.method && re.test(req.path))) return next();
+      return sendError(res, 501, "backend_unsupported", "Not available on the SQLite backend");
+    });
+  }
+
+  for (const router of [
+    authRouter,
+    usersRouter,
+    accountsRouter,
+    transactionsRouter,
+    transfersRouter,
+    schedulesRouter,
+    adminRouter,
+    fxRouter,
+    webhooksRouter,
+    notificationsRouter,
+  ]) {
+    app.use("/api", router(ctx));
+  }
+  app.use("/api", (req, res) => sendError(res, 404, "not_found", `No such endpoint: ${req.method} /api${req.path}`));
+
+  const staticDir = path.join(process.cwd());
+  app.use(express.static(staticDir, { extensions: ["html"] }));
+  app.get("/", (req, res) => res.sendFile(path.join(staticDir, "index.html")));
+  app.get(/^\/(?!api\/).*/, (req, res) => res.sendFile(path.join(staticDir, "index.html")));
+
+  // errors raised outside the handlers (body parsing, CORS, uploads) get the same envelope
+  app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    if (err.type === "entity.parse.failed") return sendError(res, 400, "invalid_json", "The request body is not valid JSON");
+    if (err.type === "entity.too.large") return sendError(res, 413, "body_too_large", "The request body is too large");
+    if (err.code === "cors_rejected") return sendError(res, 403, "cors_rejected", err.message);
+    return handleError(res, "Unhandled error", err);
+  });
+
+  app.locals.ctx = ctx;
+  return app;
+}
+
+// Postgres only: ledger backfill, claim expiry, scheduled transfers, housekeeping and webhook delivery.
+export async function startBackgroundJobs(ctx) {
+  const { pool } = ctx;
+  await ctx.transfers.backfillLedger();
+  ctx.transfers.startClaimExpirySweeper();
+  ctx.schedules.startTransferScheduler();
+  setInterval(() => purgeExpiredIdempotencyKeys(pool).catch((e) => console.warn("idempotency purge failed", e)), 60 * 60 * 1000).unref();
+  setInterval(() => purgeThrottle(pool).catch((e) => console.warn("throttle purge failed", e)), 60 * 60 * 1000).unref();
+  ctx.webhooks.startDeliveryWorker();
+}
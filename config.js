@@ -50,3 +50,150 @@
 
   window.API_BASE = ApiBase;
 })();
+
+// Session refresh: access tokens last minutes, so a 401 on a request that sent the stored token swaps
+// the refresh token for a new pair (one refresh shared by concurrent calls) and retries once. Tokens
+// close to expiry are also refreshed in the background so SSE reconnects keep working.
+(function () {
+  if (window.bsRefreshSession) return;
+  const nativeFetch = window.fetch.bind(window);
+  let refreshing = null;
+
+  function storedUser() {
+    try {
+      return JSON.parse(localStorage.getItem("bs-user") || "null");
+    } catch {
+      return null;
+    }
+  }
+
+  function tokenExpiry(token) {
+    try {
+      return JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/"))).exp * 1000;
+    } catch {
+      return 0;
+    }
+  }
+
+  async function doRefresh() {
+    const user = storedUser();
+    if (!user || !user.refresh_token) return null;
+    const res = await nativeFetch(`${window.API_BASE}/token/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refresh_token: user.refresh_token }),
+    });
+    // another tab rotated it a moment ago and has already stored the new pair
+    if (res.status === 409) return storedUser()?.token || null;
+    if (!res.ok) {
+      if (res.status === 401) {
+        const latest = storedUser();
+        if (latest && latest.refresh_token === user.refresh_token) localStorage.removeItem("bs-user");
+      }
+      return null;
+    }
+    const data = await res.json();
+    const latest = storedUser() || user;
+    latest.token = data.token;
+    latest.refresh_token = data.refresh_token;
+    localStorage.setItem("bs-user", JSON.stringify(latest));
+    window.dispatchEvent(new Event("bs-user-updated"));
+    return data.token;
+  }
+
+  window.bsRefreshSession = function () {
+    if (!refreshing) refreshing = doRefresh().catch(() => null).finally(() => (refreshing = null));
+    return refreshing;
+  };
+
+  window.fetch = async function (input, init = {}) {
+    const res = await nativeFetch(input, init);
+    if (res.status !== 401 || typeof input !== "string" || /\/(token\/refresh|login)(\/|$)/.test(input)) return res;
+    const headers = new Headers(init.headers || {});
+    const sent = (headers.get("Authorization") || "").replace(/^Bearer /, "");
+    if (!sent) return res;
+    // the page may hold an older copy of the token than the one already refreshed in storage
+    const current = storedUser()?.token;
+    const token = current && current !== sent ? current : await window.bsRefreshSession();
+    if (!token) return res;
+    headers.set("Authorization", "Bearer " + token);
+    return nativeFetch(input, { ...init, headers });
+  };
+
+  // Ends this session on the server too, then forgets it locally.
+  window.bsLogout = async function () {
+    const user = storedUser();
+    if (user && user.token) {
+      await window.fetch(`${window.API_BASE}/logout`, { method: "POST", headers: { Authorization: "Bearer " + user.token } }).catch(() => {});
+    }
+    localStorage.removeItem("bs-user");
+  };
+
+  setInterval(() => {
+    const user = storedUser();
+    if (user && user.token && user.refresh_token && tokenExpiry(user.token) - Date.now() < 90 * 1000) window.bsRefreshSession();
+  }, 60 * 1000);
+})();
+
+// API errors come back as { error: { code, message, field, details? } }. apiErrorMessage(data) is the
+// text to show for one: the wording below for codes people commonly run into, else the server's message.
+(function () {
+  if (window.apiErrorMessage) return;
+  const MESSAGES = {
+    invalid_credentials: "Incorrect email or password.",
+    email_taken: "An account with this email already exists. Try signing in instead.",
+    wrong_password: "That password is incorrect.",
+    invalid_code: "That code was not accepted. Try the current code from your authenticator app.",
+    step_up_invalid: "That code was not accepted. Try the current code.",
+    challenge_expired: "Sign-in took too long. Enter your password again.",
+    missing_token: "Please sign in again.",
+    invalid_token: "Your session has ended. Please sign in again.",
+    session_ended: "Your session has ended. Please sign in again.",
+    session_expired: "Your session has ended. Please sign in again.",
+    invalid_verification_link: "This link is invalid or has expired.",
+    invalid_reset_link: "This reset link is invalid or has expired.",
+    invalid_unlock_link: "This unlock link is invalid or has expired.",
+    claim_expired: "This claim link has expired.",
+    unsupported_currency: "That currency isn't supported.",
+    internal_error: "Something went wrong on our side. Please try again.",
+  };
+
+  // { code, message, field, details } from a parsed response body (nulls when it isn't an API error)
+  window.apiError = function (data) {
+    const err = data && typeof data.error === "object" && data.error ? data.error : {};
+    return { code: err.code || null, message: err.message || null, field: err.field || null, details: err.details || {} };
+  };
+
+  window.apiErrorMessage = function (data, fallback) {
+    const err = window.apiError(data);
+    return MESSAGES[err.code] || err.message || fallback || "Something went wrong. Please try again.";
+  };
+})();
+
+// Amounts come back as decimal strings ("1234.50"). formatMoney(amount, currency) shows one without
+// turning it into a float first; Intl formats the string exactly.
+(function () {
+  if (window.formatMoney) return;
+  window.formatMoney = function (amount, currency = "USD") {
+    const value = String(amount ?? 0).trim();
+    if (!/^-?\d+(\.\d+)?$/.test(value)) return "—";
+    try {
+      return new Intl.NumberFormat(undefined, { style: "currency", currency }).format(value);
+    } catch {
+      return `${value} ${currency}`;
+    }
+  };
+})();
+
+// The overall balance of a profile. balances.total is null when the accounts hold different currencies;
+// then the total converted into the preferred currency is shown, or "—" while a rate is missing.
+(function () {
+  if (window.formatTotalBalance) return;
+  window.formatTotalBalance = function (profile) {
+    const b = profile && profile.balances;
+    if (!b) return window.formatMoney(profile && profile.checking);
+    if (b.total != null) return window.formatMoney(b.total, b.currency || "USD");
+    const c = b.converted_total;
+    return c && c.amount != null ? "≈ " + window.formatMoney(c.amount, c.currency) : "—";
+  };
+})();
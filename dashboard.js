@@ -76,13 +76,38 @@
   // ---- SSE (Server-Sent Events) with reconnect/backoff ----
   function getSseUrl() {
     const cfg = window.BS_CONFIG || {};
-    const base = cfg.sseUrl || '/sse';
+    const base = cfg.sseUrl || `${window.API_BASE}/stream/notifications`;
     const tokenParam = cfg.sseTokenParam || 'token';
     const token = (user && user.token) ? encodeURIComponent(user.token) : null;
     if (token) return `${base}?${tokenParam}=${token}`;
     return base;
   }
 
+  function handleSseMessage(ev) {
+    if (!ev || !ev.data) return;
+    let payload = null;
+    try { payload = JSON.parse(ev.data); } catch (err) { payload = ev.data; }
+    try {
+      if (payload && payload.type === 'transfer') {
+        window.dispatchEvent(new CustomEvent('transfer-completed', { detail: payload.data }));
+      } else if (payload && payload.type === 'profile.updated') {
+        if (payload.data) {
+          (async () => {
+            const existing = await safeGetJSON('bs-user', {});
+            const merged = Object.assign({}, existing || {}, payload.data);
+            await safeSetJSON('bs-user', merged);
+            // Notify same-window listeners manually
+            window.dispatchEvent(new Event('bs-user-updated'));
+          })();
+        }
+      } else {
+        scheduleLoadTransactions();
+      }
+    } catch (err) {
+      console.error('Error handling SSE message:', err, payload);
+    }
+  }
+
   function connectSSE() {
     if (typeof EventSource === 'undefined') {
       console.warn('SSE not supported in this environment (EventSource missing).');
@@ -115,30 +140,10 @@
       sseRetryDelay = SSE_INITIAL_RETRY_MS;
     };
 
-    sse.onmessage = (ev) => {
-      if (!ev || !ev.data) return;
-      let payload = null;
-      try { payload = JSON.parse(ev.data); } catch (err) { payload = ev.data; }
-      try {
-        if (payload && payload.type === 'transfer') {
-          window.dispatchEvent(new CustomEvent('transfer-completed', { detail: payload.data }));
-        } else if (payload && payload.type === 'profile.updated') {
-          if (payload.data) {
-            (async () => {
-              const existing = await safeGetJSON('bs-user', {});
-              const merged = Object.assign({}, existing || {}, payload.data);
-              await safeSetJSON('bs-user', merged);
-              // Notify same-window listeners manually
-              window.dispatchEvent(new Event('bs-user-updated'));
-            })();
-          }
-        } else {
-          scheduleLoadTransactions();
-        }
-      } catch (err) {
-        console.error('Error handling SSE message:', err, payload);
-      }
-    };
+    sse.onmessage = (ev) => handleSseMessage(ev);
+    // Server sends user events as named events next to the default notification messages
+    sse.addEventListener('transfer', (ev) => handleSseMessage(ev));
+    sse.addEventListener('profile.updated', (ev) => handleSseMessage(ev));
 
     sse.onerror = (err) => {
       if (sse && sse.readyState === EventSource.CLOSED) {
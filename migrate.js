@@ -0,0 +1,50 @@
+// Applies, reverts and lists the SQL migrations in migrations/ (see utils/migrations.js).
+//
+//   node migrate.js up [version]    apply pending migrations (optionally only up to <version>)
+//   node migrate.js down [steps]    revert the last <steps> applied migrations (default 1)
+//   node migrate.js status          list migrations and whether each is applied
+//
+// Uses DATABASE_URL / PGSSLMODE from the environment or .env, like server.js.
+// To add a migration, create the next NNNN_description.up.sql and .down.sql pair; never edit one that
+// has been applied anywhere (status flags it as CHANGED).
+import dotenv from "dotenv";
+import { Pool } from "pg";
+import { migrate, rollback, migrationStatus } from "./utils/migrations.js";
+
+dotenv.config();
+
+const [command = "up", arg] = process.argv.slice(2);
+const useSsl = process.env.PGSSLMODE === "require" || process.env.NODE_ENV === "production";
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL || undefined,
+  ssl: useSsl ? { rejectUnauthorized: false } : false,
+});
+const log = (line) => console.log(line);
+
+try {
+  if (command === "up") {
+    const applied = await migrate(pool, { to: arg ? arg.padStart(4, "0") : null, log });
+    console.log(applied.length ? `Applied ${applied.length} migration(s).` : "Nothing to migrate.");
+  } else if (command === "down") {
+    const steps = arg ? Number(arg) : 1;
+    if (!Number.isInteger(steps) || steps < 1) throw new Error("steps must be a positive whole number");
+    const reverted = await rollback(pool, { steps, log });
+    console.log(reverted.length ? `Reverted ${reverted.length} migration(s).` : "Nothing to roll back.");
+  } else if (command === "status") {
+    const rows = await migrationStatus(pool);
+    for (const r of rows) {
+      const state = r.missing ? "MISSING" : r.applied_at ? `applied ${new Date(r.applied_at).toISOString()}` : "pending";
+      console.log(`${r.version}  ${r.name.padEnd(32)} ${state}${r.changed ? "  CHANGED since applied" : ""}`);
+    }
+    const pending = rows.filter((r) => !r.applied_at).length;
+    console.log(pending ? `${pending} pending migration(s).` : "Up to date.");
+  } else {
+    console.error(`Unknown command "${command}". Use up, down or status.`);
+    process.exitCode = 1;
+  }
+} catch (e) {
+  console.error("Migration failed:", e.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,71 @@
+-- The core tables server.js was written against. IF NOT EXISTS so an existing production database can be
+-- brought under migrations without changes.
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  fullname TEXT NOT NULL,
+  email TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  phone TEXT,
+  accountname TEXT,
+  last_login_at TIMESTAMPTZ,
+  last_login_ip TEXT,
+  last_login_ua TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- balance is the ledger balance; available excludes funds held for pending transfers
+CREATE TABLE IF NOT EXISTS accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id),
+  type TEXT NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'USD',
+  balance NUMERIC(18,2) NOT NULL DEFAULT 0,
+  available NUMERIC(18,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS accounts_user_idx ON accounts (user_id);
+
+-- one row per account leg of a journal: type 'credit' or 'debit', amount always positive
+CREATE TABLE IF NOT EXISTS transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_id UUID NOT NULL REFERENCES accounts(id),
+  type TEXT NOT NULL,
+  amount NUMERIC(18,2) NOT NULL,
+  description TEXT,
+  reference TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- recipient_account_id is set for transfers inside the bank; external ones carry the payout details
+CREATE TABLE IF NOT EXISTS transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  sender_account_id UUID NOT NULL REFERENCES accounts(id),
+  recipient_account_id UUID REFERENCES accounts(id),
+  recipient_email TEXT,
+  recipient_name TEXT,
+  amount NUMERIC(18,2) NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL DEFAULT 'USD',
+  method TEXT NOT NULL,
+  status TEXT NOT NULL,
+  bank_name TEXT,
+  account_number TEXT,
+  routing_number TEXT,
+  btc_address TEXT,
+  description TEXT,
+  claim_token TEXT,
+  claim_expires TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS transfers_claim_token_idx ON transfers (claim_token);
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id),
+  title TEXT,
+  body TEXT,
+  type TEXT,
+  meta JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
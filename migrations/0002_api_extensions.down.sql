@@ -0,0 +1,61 @@
+DROP INDEX IF EXISTS transactions_account_created_idx;
+
+DROP TABLE IF EXISTS email_verifications;
+ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
+
+DROP TABLE IF EXISTS account_unlocks;
+DROP TABLE IF EXISTS auth_throttle;
+
+DROP TABLE IF EXISTS sessions;
+
+DROP TABLE IF EXISTS recovery_codes;
+ALTER TABLE users
+  DROP COLUMN IF EXISTS totp_last_step,
+  DROP COLUMN IF EXISTS totp_enabled_at,
+  DROP COLUMN IF EXISTS totp_pending_secret,
+  DROP COLUMN IF EXISTS totp_secret;
+
+DROP INDEX IF EXISTS transfers_review_idx;
+ALTER TABLE transfers DROP COLUMN IF EXISTS risk_reasons, DROP COLUMN IF EXISTS risk_score;
+
+DROP INDEX IF EXISTS transfers_sender_created_idx;
+DROP TABLE IF EXISTS transfer_limits;
+
+DROP TABLE IF EXISTS holds;
+DROP TABLE IF EXISTS journal_entries;
+DROP TABLE IF EXISTS journals;
+
+ALTER TABLE transfers
+  DROP COLUMN IF EXISTS converted_currency,
+  DROP COLUMN IF EXISTS converted_amount,
+  DROP COLUMN IF EXISTS fx_spread,
+  DROP COLUMN IF EXISTS fx_rate;
+DROP TABLE IF EXISTS fx_rates;
+ALTER TABLE users DROP COLUMN IF EXISTS preferred_currency;
+
+DROP TABLE IF EXISTS scheduled_transfer_runs;
+DROP TABLE IF EXISTS scheduled_transfers;
+
+ALTER TABLE accounts DROP COLUMN IF EXISTS closed_at, DROP COLUMN IF EXISTS nickname;
+
+DROP TABLE IF EXISTS idempotency_keys;
+
+DROP TABLE IF EXISTS provider_events;
+ALTER TABLE transfers DROP COLUMN IF EXISTS provider_reference;
+
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhook_endpoints;
+
+DROP TABLE IF EXISTS admin_audit;
+ALTER TABLE transfers DROP COLUMN IF EXISTS completed_at;
+ALTER TABLE users DROP COLUMN IF EXISTS role;
+
+DROP TABLE IF EXISTS transfer_claims;
+DROP INDEX IF EXISTS transfers_claim_expiry_idx;
+ALTER TABLE transfers DROP COLUMN IF EXISTS refunded_at, DROP COLUMN IF EXISTS claimed_at;
+
+DROP INDEX IF EXISTS notifications_user_unread_idx;
+ALTER TABLE notifications DROP COLUMN IF EXISTS read_at;
+
+DROP TABLE IF EXISTS password_resets;
+ALTER TABLE users DROP COLUMN IF EXISTS password_changed_at;
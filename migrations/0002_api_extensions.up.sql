@@ -0,0 +1,274 @@
+-- Tables and columns the API added on top of the base schema. Everything is IF NOT EXISTS so databases
+-- that already got these from the old startup DDL (utils/schema.js) adopt the migration unchanged.
+
+-- password reset
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;
+CREATE TABLE IF NOT EXISTS password_resets (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS password_resets_user_idx ON password_resets (user_id);
+
+-- notifications read state
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS read_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS notifications_user_unread_idx ON notifications (user_id, created_at) WHERE read_at IS NULL;
+
+-- external transfer claims
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ;
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS transfers_claim_expiry_idx ON transfers (claim_expires) WHERE status = 'pending';
+CREATE TABLE IF NOT EXISTS transfer_claims (
+  id BIGSERIAL PRIMARY KEY,
+  transfer_id UUID NOT NULL UNIQUE REFERENCES transfers(id) ON DELETE CASCADE,
+  payment_option TEXT NOT NULL,
+  payer_email TEXT NOT NULL,
+  receipt_text TEXT,
+  receipt_path TEXT,
+  receipt_mime TEXT,
+  receipt_size INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- roles + admin review audit trail
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user';
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+CREATE TABLE IF NOT EXISTS admin_audit (
+  id BIGSERIAL PRIMARY KEY,
+  actor_id UUID REFERENCES users(id),
+  action TEXT NOT NULL,
+  target_type TEXT NOT NULL,
+  target_id TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  meta JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS admin_audit_target_idx ON admin_audit (target_type, target_id);
+
+-- outbound webhooks
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  events TEXT[] NOT NULL,
+  secret TEXT NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  endpoint_id BIGINT NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ,
+  last_status_code INTEGER,
+  last_error TEXT,
+  last_response TEXT,
+  last_duration_ms INTEGER,
+  last_attempt_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  redelivery_of BIGINT REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS webhook_deliveries_endpoint_idx ON webhook_deliveries (endpoint_id, created_at);
+
+-- inbound settlement callbacks (idempotent per provider event id)
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS provider_reference TEXT;
+CREATE TABLE IF NOT EXISTS provider_events (
+  event_id TEXT PRIMARY KEY,
+  reference TEXT NOT NULL,
+  status TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  transfer_id UUID,
+  result TEXT,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Idempotency-Key for POST /api/transfers
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  idem_key TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (user_id, idem_key)
+);
+CREATE INDEX IF NOT EXISTS idempotency_keys_expiry_idx ON idempotency_keys (expires_at);
+
+-- multiple accounts per user
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS nickname TEXT;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ;
+
+-- scheduled and recurring transfers
+CREATE TABLE IF NOT EXISTS scheduled_transfers (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  transfer JSONB NOT NULL,
+  frequency TEXT NOT NULL,
+  day_of_month INTEGER,
+  start_at TIMESTAMPTZ NOT NULL,
+  end_at TIMESTAMPTZ,
+  next_run_at TIMESTAMPTZ,
+  status TEXT NOT NULL DEFAULT 'active',
+  run_count INTEGER NOT NULL DEFAULT 0,
+  last_run_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS scheduled_transfers_due_idx ON scheduled_transfers (next_run_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS scheduled_transfers_user_idx ON scheduled_transfers (user_id);
+CREATE TABLE IF NOT EXISTS scheduled_transfer_runs (
+  id BIGSERIAL PRIMARY KEY,
+  schedule_id BIGINT NOT NULL REFERENCES scheduled_transfers(id) ON DELETE CASCADE,
+  scheduled_for TIMESTAMPTZ NOT NULL,
+  status TEXT NOT NULL,
+  transfer_id UUID REFERENCES transfers(id),
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (schedule_id, scheduled_for)
+);
+
+-- multi-currency
+ALTER TABLE users ADD COLUMN IF NOT EXISTS preferred_currency TEXT;
+CREATE TABLE IF NOT EXISTS fx_rates (
+  currency TEXT PRIMARY KEY,
+  rate NUMERIC(20,10) NOT NULL CHECK (rate > 0),
+  source TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS fx_rate NUMERIC(20,10);
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS fx_spread NUMERIC(8,6);
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS converted_amount NUMERIC(18,2);
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS converted_currency TEXT;
+
+-- double-entry journal (utils/ledger.js); amounts are signed, + credit / - debit
+CREATE TABLE IF NOT EXISTS journals (
+  id BIGSERIAL PRIMARY KEY,
+  kind TEXT NOT NULL,
+  transfer_id UUID REFERENCES transfers(id),
+  description TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS journals_transfer_idx ON journals (transfer_id);
+CREATE TABLE IF NOT EXISTS journal_entries (
+  id BIGSERIAL PRIMARY KEY,
+  journal_id BIGINT NOT NULL REFERENCES journals(id),
+  account_id UUID REFERENCES accounts(id),
+  system_account TEXT,
+  currency TEXT NOT NULL,
+  amount NUMERIC(18,2) NOT NULL CHECK (amount <> 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK ((account_id IS NULL) <> (system_account IS NULL))
+);
+CREATE INDEX IF NOT EXISTS journal_entries_account_idx ON journal_entries (account_id);
+CREATE INDEX IF NOT EXISTS journal_entries_journal_idx ON journal_entries (journal_id);
+
+-- holds: funds reserved for pending external transfers (lower accounts.available only)
+CREATE TABLE IF NOT EXISTS holds (
+  id BIGSERIAL PRIMARY KEY,
+  account_id UUID NOT NULL REFERENCES accounts(id),
+  transfer_id UUID REFERENCES transfers(id),
+  amount NUMERIC(18,2) NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL,
+  description TEXT,
+  status TEXT NOT NULL DEFAULT 'active',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ended_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS holds_account_active_idx ON holds (account_id) WHERE status = 'active';
+CREATE UNIQUE INDEX IF NOT EXISTS holds_transfer_active_idx ON holds (transfer_id) WHERE status = 'active';
+
+-- per-user overrides of the transfer limits in utils/limits.js (NULL = default)
+CREATE TABLE IF NOT EXISTS transfer_limits (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  daily_amount NUMERIC(18,2),
+  monthly_amount NUMERIC(18,2),
+  per_tx_standard NUMERIC(18,2),
+  per_tx_wire NUMERIC(18,2),
+  per_tx_btc NUMERIC(18,2),
+  external_per_hour INTEGER,
+  reason TEXT,
+  updated_by UUID REFERENCES users(id),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS transfers_sender_created_idx ON transfers (sender_account_id, created_at);
+
+-- fraud risk scoring (utils/risk.js)
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS risk_score INTEGER;
+ALTER TABLE transfers ADD COLUMN IF NOT EXISTS risk_reasons JSONB;
+CREATE INDEX IF NOT EXISTS transfers_review_idx ON transfers (created_at) WHERE status = 'review';
+
+-- two-factor authentication (utils/totp.js); totp_last_step stops a code being used twice
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+CREATE TABLE IF NOT EXISTS recovery_codes (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS recovery_codes_user_idx ON recovery_codes (user_id);
+
+-- sign-in sessions: the refresh token rotates on every use; previous_hash catches a replayed old one
+CREATE TABLE IF NOT EXISTS sessions (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_hash TEXT NOT NULL UNIQUE,
+  previous_hash TEXT,
+  rotated_at TIMESTAMPTZ,
+  ip TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS sessions_user_active_idx ON sessions (user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS sessions_previous_hash_idx ON sessions (previous_hash);
+
+-- sign-in throttling and lockout (utils/throttle.js); unlock links are emailed on lockout
+CREATE TABLE IF NOT EXISTS auth_throttle (
+  key TEXT PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  window_started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_failure_at TIMESTAMPTZ,
+  locked_until TIMESTAMPTZ
+);
+CREATE TABLE IF NOT EXISTS account_unlocks (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- email verification: the column is added with a default so users who signed up before verification
+-- existed count as verified, then the default is dropped so new sign-ups start unverified
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE users ALTER COLUMN email_verified_at DROP DEFAULT;
+CREATE TABLE IF NOT EXISTS email_verifications (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS email_verifications_user_idx ON email_verifications (user_id);
+
+-- keyset pagination of transaction history
+CREATE INDEX IF NOT EXISTS transactions_account_created_idx ON transactions (account_id, created_at DESC, id DESC);
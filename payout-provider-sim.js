@@ -0,0 +1,61 @@
+// Stand-in for the payout provider: sends signed settlement callbacks to the local API.
+//
+//   node payout-provider-sim.js <transfer_id> <status> [--event <event_id>] [--replay] [--url <callback url>]
+//
+// status: pending | processing | completed | settled | failed | returned
+// Signs with WEBHOOK_SECRET (from the environment or .env), the same secret server.js verifies.
+// --replay sends the identical event twice to exercise idempotency.
+import dotenv from "dotenv";
+import crypto from "crypto";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const flag = (name) => {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  const v = args[i + 1];
+  args.splice(i, v && !v.startsWith("--") ? 2 : 1);
+  return v && !v.startsWith("--") ? v : true;
+};
+
+const eventId = flag("--event") || `prov_evt_${crypto.randomBytes(8).toString("hex")}`;
+const replay = !!flag("--replay");
+const url = flag("--url") || process.env.SETTLEMENT_CALLBACK_URL || `http://localhost:${process.env.PORT || 4000}/api/webhooks/settlement`;
+const [reference, status] = args;
+const secret = process.env.WEBHOOK_SECRET;
+
+if (!reference || !status) {
+  console.error("usage: node payout-provider-sim.js <transfer_id> <status> [--event <id>] [--replay] [--url <url>]");
+  process.exit(1);
+}
+if (!secret) {
+  console.error("WEBHOOK_SECRET is not set");
+  process.exit(1);
+}
+
+async function send() {
+  const body = JSON.stringify({
+    event_id: eventId,
+    reference,
+    status,
+    provider_reference: `SIM-${reference.slice(0, 8).toUpperCase()}`,
+    occurred_at: new Date().toISOString(),
+  });
+  const t = Math.floor(Date.now() / 1000);
+  const v1 = crypto.createHmac("sha256", secret).update(`${t}.${body}`).digest("hex");
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Provider-Signature": `t=${t},v1=${v1}` },
+    body,
+  });
+  console.log(res.status, await res.text());
+}
+
+try {
+  await send();
+  if (replay) await send();
+} catch (e) {
+  console.error("callback failed:", e.message);
+  process.exit(1);
+}
@@ -0,0 +1,48 @@
+// Recomputes every account balance from the double-entry journal and reports drift against accounts.balance,
+// plus accounts whose available balance doesn't equal balance minus active holds.
+//
+//   node reconcile-ledger.js [--json]
+//
+// Uses DATABASE_URL / PGSSLMODE from the environment or .env, like server.js.
+// Exits 1 when anything drifts or any journal is unbalanced, so it can run from cron or CI.
+import dotenv from "dotenv";
+import { Pool } from "pg";
+import { reconcileLedger } from "./utils/ledger.js";
+
+dotenv.config();
+
+const asJson = process.argv.includes("--json");
+const useSsl = process.env.PGSSLMODE === "require" || process.env.NODE_ENV === "production";
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL || undefined,
+  ssl: useSsl ? { rejectUnauthorized: false } : false,
+});
+
+try {
+  const report = await reconcileLedger(pool);
+  const ok = !report.drift.length && !report.availableDrift.length && !report.unbalanced.length;
+
+  if (asJson) {
+    console.log(JSON.stringify({ ok, ...report }, null, 2));
+  } else {
+    console.log(`Checked ${report.accounts} account(s) against the journal.`);
+    for (const d of report.drift) {
+      console.log(`DRIFT   account ${d.account_id} (${d.currency}): stored ${d.stored}, journal ${d.journal}, drift ${d.drift}`);
+    }
+    for (const d of report.availableDrift) {
+      console.log(`HOLDS   account ${d.account_id} (${d.currency}): available ${d.available}, balance ${d.balance} less ${d.held} held`);
+    }
+    for (const u of report.unbalanced) {
+      console.log(`UNBALANCED journal ${u.journal_id}: ${u.currency} entries sum to ${u.total}`);
+    }
+    if (report.system.length) console.log("System accounts:");
+    for (const s of report.system) console.log(`  ${s.system_account.padEnd(28)} ${s.balance}`);
+    console.log(ok ? "OK: no drift" : `FAILED: ${report.drift.length} drifting account(s), ${report.availableDrift.length} available/hold mismatch(es), ${report.unbalanced.length} unbalanced journal(s)`);
+  }
+  process.exitCode = ok ? 0 : 1;
+} catch (err) {
+  console.error("Reconciliation failed:", err.message);
+  process.exitCode = 2;
+} finally {
+  await pool.end();
+}
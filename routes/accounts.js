@@ -0,0 +1,282 @@
+// routes/accounts.js
+// Opening, renaming and closing accounts, holds, and moving money between a user's own accounts.
+
+import express from "express";
+import { validIdempotencyKey, fingerprintRequest, claimIdempotencyKey, saveIdempotentResponse } from "../utils/idempotency.js";
+import { FX_BASE_CURRENCY, isCurrencyCode, loadRates, quote } from "../utils/fx.js";
+import { postJournal, fxLegs } from "../utils/ledger.js";
+import { MAX_OPEN_ACCOUNTS } from "../utils/config.js";
+import { sendError, handleError } from "../utils/helpers.js";
+import { validateBody } from "../utils/validate.js";
+import { parseAmount, sumMoney, compareMoney, negateMoney } from "../utils/money.js";
+
+const ACCOUNT_TYPES = ["checking", "savings"];
+const NICKNAME = { type: "string", max: 40 };
+
+const OPEN_ACCOUNT_SCHEMA = {
+  type: { type: "enum", values: ACCOUNT_TYPES, required: true },
+  nickname: NICKNAME,
+  currency: { type: "string", uppercase: true, pattern: /^[A-Z]{3}$/, message: "Unsupported currency", default: FX_BASE_CURRENCY },
+};
+// nickname must be sent; null (or "") clears it
+const RENAME_ACCOUNT_SCHEMA = { nickname: NICKNAME };
+const OWN_TRANSFER_SCHEMA = {
+  from_account_id: { type: "uuid", required: true },
+  to_account_id: { type: "uuid", required: true },
+  amount: { type: "amount", required: true },
+  description: { type: "string", max: 255 },
+};
+
+export function accountsRouter(ctx) {
+  const router = express.Router();
+  const { store, pool } = ctx;
+  const { emitTransferEvent } = ctx.notifications;
+  const { publishAccounts } = ctx.profile;
+  const { authMiddleware } = ctx.auth;
+
+  const ACCOUNT_COLUMNS = "id, type, nickname, balance, available, currency, created_at, closed_at";
+
+  router.get("/accounts", authMiddleware, async (req, res) => {
+    try {
+      const includeClosed = req.query.include_closed === "1";
+      const accounts = await store.accounts.listForUser(req.user.sub, { includeClosed });
+      return res.json({ items: accounts.map(({ user_id, ...acc }) => acc) });
+    } catch (err) {
+      return handleError(res, "Accounts list error", err);
+    }
+  });
+
+  router.post("/accounts", authMiddleware, validateBody(OPEN_ACCOUNT_SCHEMA), async (req, res) => {
+    let client;
+    try {
+      client = await pool.connect();
+      const userId = req.user.sub;
+      const { type, nickname, currency } = req.body;
+      if (!isCurrencyCode(currency) || !(await loadRates(pool)).has(currency)) {
+        return sendError(res, 400, "unsupported_currency", "Unsupported currency", { field: "currency" });
+      }
+
+      await client.query("BEGIN");
+      // serialise account opening per user so the cap can't be raced
+      await client.query("SELECT id FROM users WHERE id = $1 FOR UPDATE", [userId]);
+      const count = await client.query("SELECT COUNT(*)::int AS n FROM accounts WHERE user_id = $1 AND closed_at IS NULL", [userId]);
+      if (count.rows[0].n >= MAX_OPEN_ACCOUNTS) {
+        await client.query("ROLLBACK");
+        return sendError(res, 409, "account_limit_reached", `You can have at most ${MAX_OPEN_ACCOUNTS} open accounts`);
+      }
+      const ins = await client.query(
+        `INSERT INTO accounts (user_id, type, nickname, currency, balance, available)
+         VALUES ($1, $2, $3, $4, 0, 0)
+         RETURNING ${ACCOUNT_COLUMNS}`,
+        [userId, type, nickname || null, currency]
+      );
+      await client.query("COMMIT");
+
+      publishAccounts(userId).catch((e) => console.warn("account publish failed", e));
+      return res.status(201).json(ins.rows[0]);
+    } catch (err) {
+      if (client) await client.query("ROLLBACK").catch(() => {});
+      return handleError(res, "Open account error", err);
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  router.patch("/accounts/:id", authMiddleware, validateBody(RENAME_ACCOUNT_SCHEMA), async (req, res) => {
+    try {
+      if (req.body.nickname === undefined) return sendError(res, 400, "missing_field", "nickname is required (null clears it)", { field: "nickname" });
+      const q = await pool.query(
+        `UPDATE accounts SET nickname = $3
+         WHERE id = $1 AND user_id = $2 AND closed_at IS NULL
+         RETURNING ${ACCOUNT_COLUMNS}`,
+        [req.params.id, req.user.sub, req.body.nickname]
+      );
+      if (!q.rowCount) return sendError(res, 404, "account_not_found", "Account not found");
+      publishAccounts(req.user.sub).catch((e) => console.warn("account publish failed", e));
+      return res.json(q.rows[0]);
+    } catch (err) {
+      if (err && err.code === "22P02") return sendError(res, 404, "account_not_found", "Account not found");
+      return handleError(res, "Rename account error", err);
+    }
+  });
+
+  // Closing keeps the row (and its history) but takes it out of every account list and transfer path.
+  router.delete("/accounts/:id", authMiddleware, async (req, res) => {
+    let client;
+    try {
+      client = await pool.connect();
+      const userId = req.user.sub;
+      await client.query("BEGIN");
+      const q = await client.query(
+        "SELECT id, type, balance, available, closed_at FROM accounts WHERE id = $1 AND user_id = $2 FOR UPDATE",
+        [req.params.id, userId]
+      );
+      const acc = q.rows[0];
+      if (!acc || acc.closed_at) {
+        await client.query("ROLLBACK");
+        return sendError(res, 404, "account_not_found", "Account not found");
+      }
+      if (compareMoney(acc.balance, 0) !== 0 || compareMoney(acc.available, 0) !== 0) {
+        await client.query("ROLLBACK");
+        return sendError(res, 409, "account_not_empty", "Only accounts with a zero balance can be closed");
+      }
+      // incoming transfers by email land on a checking account, so one must stay open
+      if (acc.type === "checking") {
+        const others = await client.query(
+          "SELECT 1 FROM accounts WHERE user_id = $1 AND type = 'checking' AND closed_at IS NULL AND id <> $2 LIMIT 1",
+          [userId, acc.id]
+        );
+        if (!others.rowCount) {
+          await client.query("ROLLBACK");
+          return sendError(res, 409, "last_checking_account", "You must keep at least one open checking account");
+        }
+      }
+      // a refund of an in-flight transfer would credit this account
+      const inflight = await client.query(
+        "SELECT 1 FROM transfers WHERE sender_account_id = $1 AND status IN ('review', 'pending', 'claimed') LIMIT 1",
+        [acc.id]
+      );
+      if (inflight.rowCount) {
+        await client.query("ROLLBACK");
+        return sendError(res, 409, "account_busy", "This account has transfers still in progress");
+      }
+      const upd = await client.query(`UPDATE accounts SET closed_at = NOW() WHERE id = $1 RETURNING ${ACCOUNT_COLUMNS}`, [acc.id]);
+      await client.query("COMMIT");
+
+      publishAccounts(userId).catch((e) => console.warn("account publish failed", e));
+      return res.json(upd.rows[0]);
+    } catch (err) {
+      if (client) await client.query("ROLLBACK").catch(() => {});
+      if (err && err.code === "22P02") return sendError(res, 404, "account_not_found", "Account not found");
+      return handleError(res, "Close account error", err);
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  // Active holds on one of the caller's accounts (include_ended=1 adds settled/released ones).
+  router.get("/accounts/:id/holds", authMiddleware, async (req, res) => {
+    try {
+      const acc = await pool.query("SELECT id, balance, available, currency FROM accounts WHERE id = $1 AND user_id = $2", [req.params.id, req.user.sub]);
+      if (!acc.rowCount) return sendError(res, 404, "account_not_found", "Account not found");
+      const q = await pool.query(
+        `SELECT h.id, h.transfer_id, h.amount, h.currency, h.description, h.status, h.created_at, h.ended_at, t.status AS transfer_status
+         FROM holds h
+         LEFT JOIN transfers t ON t.id = h.transfer_id
+         WHERE h.account_id = $1 AND ($2 OR h.status = 'active')
+         ORDER BY h.created_at DESC
+         LIMIT 200`,
+        [acc.rows[0].id, req.query.include_ended === "1"]
+      );
+      const held = sumMoney(q.rows.filter((h) => h.status === "active").map((h) => h.amount));
+      return res.json({ ...acc.rows[0], held, items: q.rows });
+    } catch (err) {
+      if (err && err.code === "22P02") return sendError(res, 404, "account_not_found", "Account not found");
+      return handleError(res, "Account holds error", err);
+    }
+  });
+
+  /**
+   * Move money between two of the caller's own open accounts. Completes immediately and writes
+   * both ledger legs, each referencing the transfer id. Honours Idempotency-Key like /api/transfers.
+   */
+  router.post("/accounts/transfer", authMiddleware, validateBody(OWN_TRANSFER_SCHEMA), async (req, res) => {
+    let client;
+    try {
+      client = await pool.connect();
+      const userId = req.user.sub;
+      const { from_account_id, to_account_id, amount: amt, description } = req.body;
+      if (from_account_id === to_account_id) return sendError(res, 400, "same_account", "Choose two different accounts", { field: "to_account_id" });
+
+      const idemKey = req.get("idempotency-key");
+      if (idemKey !== undefined && !validIdempotencyKey(idemKey)) return sendError(res, 400, "invalid_idempotency_key", "Invalid Idempotency-Key header");
+
+      await client.query("BEGIN");
+      if (idemKey) {
+        const idem = await claimIdempotencyKey(client, userId, idemKey, fingerprintRequest(req));
+        if (!idem.claimed) {
+          await client.query("ROLLBACK");
+          if (idem.mismatch) return sendError(res, 422, "idempotency_key_reused", "Idempotency-Key was already used with a different request body");
+          res.set("Idempotent-Replayed", "true");
+          return res.status(idem.replay.status).json(idem.replay.body);
+        }
+      }
+
+      // lock both rows in a stable order so opposite-direction transfers can't deadlock
+      const accQ = await client.query(
+        `SELECT id, user_id, type, nickname, balance, available, currency, closed_at FROM accounts
+         WHERE id = ANY($1::uuid[]) AND user_id = $2
+         ORDER BY id
+         FOR UPDATE`,
+        [[from_account_id, to_account_id], userId]
+      );
+      const from = accQ.rows.find((a) => String(a.id) === String(from_account_id));
+      const to = accQ.rows.find((a) => String(a.id) === String(to_account_id));
+      if (!from || !to || from.closed_at || to.closed_at) {
+        await client.query("ROLLBACK");
+        return sendError(res, 404, "account_not_found", "Account not found");
+      }
+      const precise = parseAmount(amt, from.currency);
+      if (precise.error) {
+        await client.query("ROLLBACK");
+        return sendError(res, 400, "invalid_field", precise.error, { field: "amount" });
+      }
+      if (compareMoney(from.available, amt) < 0) {
+        await client.query("ROLLBACK");
+        return sendError(res, 400, "insufficient_funds", `Insufficient funds in ${from.nickname || from.type}`);
+      }
+
+      const fx = await quote(client, from.currency, to.currency, amt);
+      if (!fx) {
+        await client.query("ROLLBACK");
+        return sendError(res, 422, "fx_unavailable", `No exchange rate for ${from.currency} to ${to.currency}`);
+      }
+      if (compareMoney(fx.amount, 0) <= 0) {
+        await client.query("ROLLBACK");
+        return sendError(res, 400, "invalid_field", `amount is too small to convert to ${to.currency}`, { field: "amount" });
+      }
+      const tRes = await client.query(
+        `INSERT INTO transfers (sender_account_id, recipient_account_id, amount, currency, method, status, description,
+                                fx_rate, fx_spread, converted_amount, converted_currency, completed_at, created_at)
+         VALUES ($1, $2, $3, $4, 'own_account', 'completed', $5, $6, $7, $8, $9, NOW(), NOW())
+         RETURNING id, status, created_at`,
+        [from.id, to.id, amt, from.currency, description || null, fx.rate, fx.spread, fx.amount, to.currency]
+      );
+      const transfer = tRes.rows[0];
+
+      await postJournal(client, {
+        kind: "own_account",
+        transferId: transfer.id,
+        entries: [
+          { accountId: from.id, currency: from.currency, amount: negateMoney(amt), description: description || `Transfer to ${to.nickname || to.type}` },
+          ...fxLegs(from.currency, amt, to.currency, fx.amount),
+          { accountId: to.id, currency: to.currency, amount: fx.amount, description: description || `Transfer from ${from.nickname || from.type}` },
+        ],
+      });
+
+      const body = {
+        ...transfer,
+        from_account_id: from.id,
+        to_account_id: to.id,
+        amount: amt,
+        currency: from.currency,
+        converted_amount: fx.amount,
+        converted_currency: to.currency,
+        fx_rate: fx.rate,
+      };
+      if (idemKey) await saveIdempotentResponse(client, userId, idemKey, 201, body);
+      await client.query("COMMIT");
+      res.status(201).json(body);
+
+      emitTransferEvent(userId, "completed", { id: transfer.id, status: "completed", amount: amt, currency: from.currency, direction: "own" });
+    } catch (err) {
+      if (client) await client.query("ROLLBACK").catch(() => {});
+      if (err && err.code === "22P02") return sendError(res, 404, "account_not_found", "Account not found");
+      return handleError(res, "Own-account transfer error", err);
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  return router;
+}
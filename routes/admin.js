@@ -0,0 +1,234 @@
+// routes/admin.js
+// Admin review queue (approve/reject), claim receipts, the audit log and per-user limit overrides.
+
+import express from "express";
+import path from "path";
+import { RECEIPT_DIR } from "../utils/uploads.js";
+import { FX_BASE_CURRENCY, formatMoney } from "../utils/fx.js";
+import { DEFAULT_LIMITS, LIMIT_FIELDS, effectiveLimits, limitUsage } from "../utils/limits.js";
+import { sendError, handleError, writeAudit, pageParams } from "../utils/helpers.js";
+import { validateBody } from "../utils/validate.js";
+
+// every review decision and limit change is audited with its reason
+const REASON_SCHEMA = { reason: { type: "string", required: true, max: 500 } };
+const CONFIRM_SCHEMA = { ...REASON_SCHEMA, transfer_id: { type: "uuid", required: true } };
+// a limit set to null goes back to the default
+const LIMITS_SCHEMA = {
+  ...REASON_SCHEMA,
+  ...Object.fromEntries(
+    LIMIT_FIELDS.map((f) => [f, f === "external_per_hour" ? { type: "number", min: 0, integer: true, nullable: true } : { type: "amount", allowZero: true, nullable: true }])
+  ),
+};
+
+export function adminRouter(ctx) {
+  const router = express.Router();
+  const { pool } = ctx;
+  const { notify, emitTransferEvent } = ctx.notifications;
+  const { authMiddleware, requireRole } = ctx.auth;
+  const { refundTransfer, completeExternalTransfer, releaseReviewedTransfer, afterReviewRelease } = ctx.transfers;
+
+  router.get("/admin/pending", authMiddleware, requireRole("admin"), async (req, res) => {
+    try {
+      const { limit, page, offset } = pageParams(req.query);
+      const statuses = req.query.status ? [String(req.query.status)] : ["review", "pending", "claimed"];
+      const q = await pool.query(
+        `SELECT t.id, t.amount, t.currency, t.method, t.status, t.recipient_name, t.recipient_email,
+                t.bank_name, t.account_number, t.routing_number, t.btc_address, t.description,
+                t.claim_expires, t.claimed_at, t.created_at, t.risk_score, t.risk_reasons,
+                u.email AS sender_email, u.fullname AS sender_name,
+                c.payment_option AS claim_payment_option, c.payer_email AS claim_payer_email,
+                c.receipt_text AS claim_receipt_text, c.receipt_mime AS claim_receipt_mime,
+                (c.receipt_path IS NOT NULL) AS has_receipt_file
+         FROM transfers t
+         JOIN accounts a ON a.id = t.sender_account_id
+         JOIN users u ON u.id = a.user_id
+         LEFT JOIN transfer_claims c ON c.transfer_id = t.id
+         WHERE t.status = ANY($1::text[])
+         ORDER BY (t.status = 'review') DESC, (t.status = 'claimed') DESC, t.created_at ASC
+         LIMIT $2 OFFSET $3`,
+        [statuses, limit, offset]
+      );
+      const count = await pool.query("SELECT COUNT(*)::int AS n FROM transfers WHERE status = ANY($1::text[])", [statuses]);
+      const items = q.rows.map((r) => ({ ...r, receipt_url: r.has_receipt_file ? `/api/admin/transfers/${r.id}/receipt` : null }));
+      return res.json({ items, page, limit, total: count.rows[0].n });
+    } catch (err) {
+      return handleError(res, "Admin pending error", err);
+    }
+  });
+
+  router.get("/admin/transfers/:id/receipt", authMiddleware, requireRole("admin"), async (req, res) => {
+    try {
+      const q = await pool.query("SELECT receipt_path, receipt_mime FROM transfer_claims WHERE transfer_id::text = $1", [String(req.params.id)]);
+      const claim = q.rows[0];
+      if (!claim || !claim.receipt_path) return sendError(res, 404, "receipt_not_found", "Receipt not found");
+      res.type(claim.receipt_mime || "application/octet-stream");
+      return res.sendFile(path.join(RECEIPT_DIR, path.basename(claim.receipt_path)), (err) => {
+        if (err && !res.headersSent) sendError(res, 404, "receipt_not_found", "Receipt not found");
+      });
+    } catch (err) {
+      return handleError(res, "Admin receipt error", err);
+    }
+  });
+
+  // approve: pending/claimed -> completed; reject: refund to sender. Both audited in the same transaction.
+  async function reviewTransfer(req, res, decision) {
+    const transferId = String(req.params.id || req.body.transfer_id);
+    const { reason } = req.body;
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const q = await client.query(
+        `SELECT t.id, t.status, t.amount, t.currency, t.sender_account_id, t.recipient_account_id, t.recipient_email, t.recipient_name,
+                t.converted_amount, t.converted_currency, t.description, a.user_id AS sender_user_id, a.type AS sender_type
+         FROM transfers t
+         JOIN accounts a ON a.id = t.sender_account_id
+         WHERE t.id::text = $1
+         FOR UPDATE OF t`,
+        [transferId]
+      );
+      const t = q.rows[0];
+      if (!t) {
+        await client.query("ROLLBACK");
+        return sendError(res, 404, "transfer_not_found", "Transfer not found");
+      }
+      if (!["review", "pending", "claimed"].includes(t.status)) {
+        await client.query("ROLLBACK");
+        return sendError(res, 409, "transfer_not_pending", `Transfer is already ${t.status}`);
+      }
+
+      let status;
+      let released = null;
+      if (decision === "approve" && t.status === "review") {
+        released = await releaseReviewedTransfer(client, t);
+        if (released.error) {
+          await client.query("ROLLBACK");
+          return sendError(res, 409, "recipient_closed", released.error);
+        }
+        status = released.status;
+      } else if (decision === "approve") {
+        await completeExternalTransfer(client, t);
+        status = "completed";
+      } else {
+        await refundTransfer(client, t, "transfer rejected");
+        status = "refunded";
+      }
+      await writeAudit(client, req.user.sub, `transfer.${decision}`, "transfer", t.id, reason, { from_status: t.status, to_status: status });
+      await client.query("COMMIT");
+
+      res.json({ ok: true, id: t.id, status });
+
+      if (released) return afterReviewRelease(t, released);
+      emitTransferEvent(t.sender_user_id, status, { id: t.id, status, amount: t.amount, direction: "out" });
+      const amount = formatMoney(t.amount, t.currency);
+      const body = status === "completed" ? `Your transfer of ${amount} has been completed.` : `Your transfer of ${amount} was rejected and refunded.`;
+      notify(t.sender_user_id, status === "completed" ? "Transfer completed" : "Transfer refunded", body, "transfer", { transfer_id: t.id }).catch((e) =>
+        console.warn("review notification failed", e)
+      );
+    } catch (err) {
+      if (client) await client.query("ROLLBACK").catch(() => {});
+      return handleError(res, "Admin review error", err);
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  router.post("/admin/transfers/:id/approve", authMiddleware, requireRole("admin"), validateBody(REASON_SCHEMA), (req, res) => reviewTransfer(req, res, "approve"));
+
+  router.post("/admin/transfers/:id/reject", authMiddleware, requireRole("admin"), validateBody(REASON_SCHEMA), (req, res) => reviewTransfer(req, res, "reject"));
+
+  // older admin tooling posts { transfer_id, reason } here
+  router.post("/transfers/confirm", authMiddleware, requireRole("admin"), validateBody(CONFIRM_SCHEMA), (req, res) => reviewTransfer(req, res, "approve"));
+
+  router.get("/admin/audit", authMiddleware, requireRole("admin"), async (req, res) => {
+    try {
+      const { limit, page, offset } = pageParams(req.query, 50);
+      const q = await pool.query(
+        `SELECT l.id, l.actor_id, u.email AS actor_email, l.action, l.target_type, l.target_id, l.reason, l.meta, l.created_at
+         FROM admin_audit l
+         LEFT JOIN users u ON u.id = l.actor_id
+         WHERE ($1::text IS NULL OR l.target_id = $1)
+         ORDER BY l.created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [req.query.target_id ? String(req.query.target_id) : null, limit, offset]
+      );
+      return res.json({ items: q.rows, page, limit });
+    } catch (err) {
+      return handleError(res, "Admin audit error", err);
+    }
+  });
+
+  // Per-user transfer limit overrides. PUT sets the given fields (null resets one to the default).
+  router.get("/admin/users/:id/limits", authMiddleware, requireRole("admin"), async (req, res) => {
+    try {
+      const u = await pool.query("SELECT id, email FROM users WHERE id::text = $1", [String(req.params.id)]);
+      if (!u.rowCount) return sendError(res, 404, "user_not_found", "User not found");
+      const { limits, override } = await effectiveLimits(pool, u.rows[0].id);
+      const usage = await limitUsage(pool, u.rows[0].id);
+      return res.json({ user_id: u.rows[0].id, email: u.rows[0].email, currency: FX_BASE_CURRENCY, limits, defaults: DEFAULT_LIMITS, override, usage });
+    } catch (err) {
+      return handleError(res, "Admin limits error", err);
+    }
+  });
+
+  router.put("/admin/users/:id/limits", authMiddleware, requireRole("admin"), validateBody(LIMITS_SCHEMA), async (req, res) => {
+    const { reason, ...body } = req.body;
+    const fields = LIMIT_FIELDS.filter((f) => body[f] !== undefined);
+    if (!fields.length) return sendError(res, 400, "nothing_to_update", `Provide at least one of: ${LIMIT_FIELDS.join(", ")}`);
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const u = await client.query("SELECT id FROM users WHERE id::text = $1", [String(req.params.id)]);
+      if (!u.rowCount) {
+        await client.query("ROLLBACK");
+        return sendError(res, 404, "user_not_found", "User not found");
+      }
+      const userId = u.rows[0].id;
+      const values = fields.map((f) => body[f]);
+      await client.query(
+        `INSERT INTO transfer_limits (user_id, ${fields.join(", ")}, reason, updated_by, updated_at)
+         VALUES ($1, ${fields.map((_, i) => `$${i + 2}`).join(", ")}, $${fields.length + 2}, $${fields.length + 3}, NOW())
+         ON CONFLICT (user_id) DO UPDATE SET ${fields.map((f) => `${f} = EXCLUDED.${f}`).join(", ")},
+           reason = EXCLUDED.reason, updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+        [userId, ...values, reason, req.user.sub]
+      );
+      await writeAudit(client, req.user.sub, "limits.updated", "user", userId, reason, Object.fromEntries(fields.map((f, i) => [f, values[i]])));
+      await client.query("COMMIT");
+      const { limits, override } = await effectiveLimits(pool, userId);
+      return res.json({ user_id: userId, currency: FX_BASE_CURRENCY, limits, override });
+    } catch (err) {
+      if (client) await client.query("ROLLBACK").catch(() => {});
+      return handleError(res, "Admin limits update error", err);
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  // Drops every override for the user, back to the defaults. Body: { reason }.
+  router.delete("/admin/users/:id/limits", authMiddleware, requireRole("admin"), validateBody(REASON_SCHEMA), async (req, res) => {
+    const { reason } = req.body;
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const del = await client.query("DELETE FROM transfer_limits WHERE user_id::text = $1 RETURNING user_id", [String(req.params.id)]);
+      if (!del.rowCount) {
+        await client.query("ROLLBACK");
+        return sendError(res, 404, "limits_not_found", "No limit overrides for this user");
+      }
+      await writeAudit(client, req.user.sub, "limits.reset", "user", del.rows[0].user_id, reason);
+      await client.query("COMMIT");
+      return res.json({ ok: true, user_id: del.rows[0].user_id, limits: DEFAULT_LIMITS });
+    } catch (err) {
+      if (client) await client.query("ROLLBACK").catch(() => {});
+      return handleError(res, "Admin limits reset error", err);
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  return router;
+}
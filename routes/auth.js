@@ -0,0 +1,337 @@
+// routes/auth.js
+// Sign-in (password, 2FA, unlock links), email verification, password reset, token refresh, sign-out
+// and the session list.
+
+import express from "express";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import { publish } from "../utils/events.js";
+import { checkThrottle, clearThrottle, hitRateLimit } from "../utils/throttle.js";
+import { JWT_SECRET, APP_BASE_URL, RESET_TOKEN_MINUTES, TWO_FACTOR_CHALLENGE_MINUTES, ACCESS_TOKEN_MINUTES, REFRESH_REUSE_GRACE_SECONDS, VERIFY_RESENDS_PER_HOUR } from "../utils/config.js";
+import { makeToken, hashToken, escapeHtml, sendError, handleError } from "../utils/helpers.js";
+import { validateBody } from "../utils/validate.js";
+
+const TOKEN = { type: "string", required: true, max: 512 };
+const TOTP_CODE = { type: "string", max: 32 };
+
+const LOGIN_SCHEMA = {
+  email: { type: "string", required: true, lowercase: true, max: 254 },
+  password: { type: "string", required: true, max: 200, trim: false },
+};
+const LOGIN_2FA_SCHEMA = { challenge_token: TOKEN, code: TOTP_CODE, recovery_code: TOTP_CODE };
+const TOKEN_SCHEMA = { token: TOKEN };
+const FORGOT_SCHEMA = { email: { type: "email", required: true } };
+const RESET_SCHEMA = {
+  token: TOKEN,
+  email: { type: "string", required: true, lowercase: true, max: 254 },
+  new_password: { type: "string", required: true, min: 6, max: 200, trim: false },
+};
+const REFRESH_SCHEMA = { refresh_token: TOKEN };
+
+// Compared against when the email is unknown, so a miss costs the same bcrypt work as a wrong password
+// (same cost factor as the stored hashes).
+const DUMMY_PASSWORD_HASH = "$2b$10$wJ6qScJVw0USN1R6oMF7feWlIYi3GkxTx8gIU27tEjB5LBSeYziDW";
+
+export function authRouter(ctx) {
+  const router = express.Router();
+  const { store, pool } = ctx;
+  const USE_POSTGRES = store.kind === "postgres";
+  const { sendEmail, renderEmail } = ctx.mailer;
+  const { issueToken, authMiddleware, loginThrottleKeys, tooManyAttempts, loginFailed, completeLogin, createEmailVerification, sendVerificationEmail, verifySecondFactor } = ctx.auth;
+
+  router.post("/login", validateBody(LOGIN_SCHEMA), async (req, res) => {
+    try {
+      const { email: normEmail, password } = req.body;
+      // checked before the user lookup and bcrypt, so a throttled attempt costs nothing and says nothing
+      const keys = loginThrottleKeys(req, normEmail);
+      const wait = USE_POSTGRES ? await checkThrottle(pool, keys) : null;
+      if (wait) return tooManyAttempts(res, wait);
+
+      const user = await store.users.findByEmail(normEmail);
+      const passwordOk = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+      if (!user || !passwordOk) {
+        await loginFailed(keys, user);
+        return sendError(res, 401, "invalid_credentials", "Invalid email or password");
+      }
+
+      // with 2FA on, the password only earns a short-lived challenge to exchange at /api/login/2fa
+      if (user.totp_enabled_at) {
+        const challenge = jwt.sign({ sub: user.id, purpose: "2fa" }, JWT_SECRET, { expiresIn: `${TWO_FACTOR_CHALLENGE_MINUTES}m` });
+        return res.json({ two_factor_required: true, challenge_token: challenge });
+      }
+      return completeLogin(req, res, user);
+    } catch (err) {
+      return handleError(res, "Login error", err);
+    }
+  });
+
+  // Second login step: { challenge_token, code } or { challenge_token, recovery_code }.
+  router.post("/login/2fa", validateBody(LOGIN_2FA_SCHEMA), async (req, res) => {
+    try {
+      const { challenge_token, code, recovery_code } = req.body;
+      if (!code && !recovery_code) return sendError(res, 400, "missing_field", "code (or recovery_code) is required", { field: "code" });
+      let payload;
+      try {
+        payload = jwt.verify(challenge_token, JWT_SECRET);
+      } catch {
+        return sendError(res, 401, "challenge_expired", "Sign-in challenge expired; enter your password again");
+      }
+      if (payload.purpose !== "2fa") return sendError(res, 401, "invalid_challenge", "Invalid sign-in challenge");
+
+      const q = await pool.query("SELECT id, fullname, email, accountname, totp_enabled_at FROM users WHERE id=$1", [payload.sub]);
+      const user = q.rows[0];
+      if (!user || !user.totp_enabled_at) return sendError(res, 401, "invalid_challenge", "Invalid sign-in challenge");
+      // wrong codes count against the same keys as wrong passwords
+      const keys = loginThrottleKeys(req, user.email);
+      const wait = await checkThrottle(pool, keys);
+      if (wait) return tooManyAttempts(res, wait);
+      const ok = await verifySecondFactor(pool, user.id, { code, recoveryCode: recovery_code });
+      if (!ok) {
+        await loginFailed(keys, user);
+        return sendError(res, 401, "invalid_code", "Invalid authentication code", { field: "code" });
+      }
+      return completeLogin(req, res, user);
+    } catch (err) {
+      return handleError(res, "Login error", err);
+    }
+  });
+
+  // Unlock link from the lockout email: lifts the lock on that account's email (not on the IP).
+  router.post("/login/unlock", validateBody(TOKEN_SCHEMA), async (req, res) => {
+    try {
+      const { token } = req.body;
+      const q = await pool.query(
+        `UPDATE account_unlocks a SET used_at = NOW()
+         FROM users u
+         WHERE a.token_hash = $1 AND a.used_at IS NULL AND a.expires_at > NOW() AND u.id = a.user_id
+         RETURNING u.email`,
+        [hashToken(token)]
+      );
+      if (!q.rowCount) return sendError(res, 400, "invalid_unlock_link", "Invalid or expired unlock link");
+      await clearThrottle(pool, `email:${q.rows[0].email}`);
+      return res.json({ ok: true });
+    } catch (err) {
+      return handleError(res, "Unlock error", err);
+    }
+  });
+
+  router.post("/users/verify-email", validateBody(TOKEN_SCHEMA), async (req, res) => {
+    try {
+      const { token } = req.body;
+      const q = await pool.query(
+        `UPDATE email_verifications SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [hashToken(token)]
+      );
+      if (!q.rowCount) return sendError(res, 400, "invalid_verification_link", "Invalid or expired verification link");
+      const userId = q.rows[0].user_id;
+      await pool.query("UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1", [userId]);
+      publish(userId, "profile.updated", { email_verified: true });
+      return res.json({ ok: true });
+    } catch (err) {
+      return handleError(res, "Email verification error", err);
+    }
+  });
+
+  router.post("/users/verify-email/resend", authMiddleware, async (req, res) => {
+    try {
+      const q = await pool.query("SELECT id, fullname, email, email_verified_at FROM users WHERE id=$1", [req.user.sub]);
+      const user = q.rows[0];
+      if (!user) return sendError(res, 404, "user_not_found", "User not found");
+      if (user.email_verified_at) return sendError(res, 409, "email_already_verified", "Email already verified");
+
+      const retryAfter = await hitRateLimit(pool, `verify:${user.id}`, { limit: VERIFY_RESENDS_PER_HOUR, windowMinutes: 60 });
+      if (retryAfter) {
+        res.set("Retry-After", String(retryAfter));
+        return sendError(res, 429, "too_many_requests", "Too many verification emails. Please try again later.");
+      }
+
+      const token = await createEmailVerification(pool, user.id);
+      sendVerificationEmail(user, token).catch((e) => console.warn("verification email failed", e));
+      return res.json({ ok: true, message: `Verification email sent to ${user.email}` });
+    } catch (err) {
+      return handleError(res, "Verification resend error", err);
+    }
+  });
+
+  // Always answers the same way so the endpoint can't be used to probe for registered emails.
+  router.post("/password/forgot", validateBody(FORGOT_SCHEMA), async (req, res) => {
+    try {
+      const q = await pool.query("SELECT id, fullname, email FROM users WHERE email=$1", [req.body.email]);
+      const user = q.rows[0];
+      if (user) {
+        const token = makeToken(32);
+        await pool.query("UPDATE password_resets SET used_at = NOW() WHERE user_id=$1 AND used_at IS NULL", [user.id]);
+        // expiry is set and checked by the database clock, like the other emailed links
+        await pool.query("INSERT INTO password_resets (user_id, token_hash, expires_at) VALUES ($1, $2, NOW() + make_interval(mins => $3))", [
+          user.id,
+          hashToken(token),
+          RESET_TOKEN_MINUTES,
+        ]);
+
+        const link = `${APP_BASE_URL}/reset-password.html?token=${encodeURIComponent(token)}&email=${encodeURIComponent(user.email)}`;
+        const html = renderEmail(
+          "Reset your password",
+          `<p>Hi ${escapeHtml(user.fullname || "there")},</p>
+           <p>We received a request to reset your Bank Swift password. This link expires in ${RESET_TOKEN_MINUTES} minutes and can be used once.</p>
+           <p><a href="${link}">Reset your password</a></p>
+           <p>If you didn't ask for this, you can ignore this email.</p>`
+        );
+        // don't await delivery: response time shouldn't depend on whether the account exists
+        sendEmail(user.email, "Reset your Bank Swift password", html).catch((e) => console.warn("reset email failed", e));
+      }
+
+      return res.json({ ok: true, message: "If that email exists, a reset link has been sent." });
+    } catch (err) {
+      return handleError(res, "Password forgot error", err);
+    }
+  });
+
+  router.post("/password/reset", validateBody(RESET_SCHEMA), async (req, res) => {
+    const { token, email, new_password } = req.body;
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const q = await client.query(
+        `SELECT r.id, r.user_id
+         FROM password_resets r
+         JOIN users u ON u.id = r.user_id
+         WHERE r.token_hash = $1 AND u.email = $2 AND r.used_at IS NULL AND r.expires_at > NOW()
+         FOR UPDATE OF r`,
+        [hashToken(token), email]
+      );
+      if (!q.rowCount) {
+        await client.query("ROLLBACK");
+        return sendError(res, 400, "invalid_reset_link", "Invalid or expired reset link");
+      }
+      const reset = q.rows[0];
+
+      const passwordHash = await bcrypt.hash(new_password, 10);
+      await client.query("UPDATE users SET password_hash = $1, password_changed_at = NOW() WHERE id = $2", [passwordHash, reset.user_id]);
+      await client.query("UPDATE password_resets SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL", [reset.user_id]);
+      await client.query("UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL", [reset.user_id]);
+      await client.query("COMMIT");
+
+      return res.json({ ok: true });
+    } catch (err) {
+      if (client) await client.query("ROLLBACK").catch(() => {});
+      return handleError(res, "Password reset error", err);
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  // Body: { refresh_token }. A token that was already rotated is treated as stolen and ends the session,
+  // unless it comes within REFRESH_REUSE_GRACE_SECONDS of the rotation (two tabs refreshing at once);
+  // then the caller gets 409 and should pick up the token the other tab stored.
+  router.post("/token/refresh", validateBody(REFRESH_SCHEMA), async (req, res) => {
+    const { refresh_token } = req.body;
+    const hash = hashToken(refresh_token);
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const q = await client.query(
+        `SELECT s.id, s.user_id, u.email FROM sessions s JOIN users u ON u.id = s.user_id
+         WHERE s.refresh_hash = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+         FOR UPDATE OF s`,
+        [hash]
+      );
+      const session = q.rows[0];
+      if (!session) {
+        const old = await client.query(
+          `SELECT id, rotated_at > NOW() - make_interval(secs => $2) AS in_grace FROM sessions
+           WHERE previous_hash = $1 AND revoked_at IS NULL
+           FOR UPDATE`,
+          [hash, REFRESH_REUSE_GRACE_SECONDS]
+        );
+        if (old.rowCount && old.rows[0].in_grace) {
+          await client.query("ROLLBACK");
+          return sendError(res, 409, "refresh_rotated", "Refresh token was just rotated");
+        }
+        if (old.rowCount) {
+          await client.query("UPDATE sessions SET revoked_at = NOW() WHERE id = $1", [old.rows[0].id]);
+          console.warn(`Refresh token reuse on session ${old.rows[0].id}; session revoked`);
+        }
+        await client.query("COMMIT");
+        return sendError(res, 401, "session_expired", "Session expired; please sign in again");
+      }
+
+      const next = makeToken(32);
+      await client.query(
+        `UPDATE sessions
+         SET previous_hash = refresh_hash, refresh_hash = $2, rotated_at = NOW(), last_used_at = NOW(), ip = $3, user_agent = $4
+         WHERE id = $1`,
+        [session.id, hashToken(next), req.ip || null, req.get("user-agent") || null]
+      );
+      await client.query("COMMIT");
+      return res.json({
+        token: issueToken({ id: session.user_id, email: session.email }, session.id),
+        refresh_token: next,
+        expires_in: ACCESS_TOKEN_MINUTES * 60,
+      });
+    } catch (err) {
+      if (client) await client.query("ROLLBACK").catch(() => {});
+      return handleError(res, "Token refresh error", err);
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  router.post("/logout", authMiddleware, async (req, res) => {
+    try {
+      if (req.user.sid) await pool.query("UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL", [req.user.sid]);
+      return res.json({ ok: true });
+    } catch (err) {
+      return handleError(res, "Logout error", err);
+    }
+  });
+
+  router.get("/sessions", authMiddleware, async (req, res) => {
+    try {
+      const q = await pool.query(
+        `SELECT id, ip, user_agent, created_at, last_used_at, expires_at
+         FROM sessions
+         WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY last_used_at DESC`,
+        [req.user.sub]
+      );
+      return res.json({ items: q.rows.map((s) => ({ ...s, current: String(s.id) === String(req.user.sid) })) });
+    } catch (err) {
+      return handleError(res, "Sessions list error", err);
+    }
+  });
+
+  router.delete("/sessions/:id", authMiddleware, async (req, res) => {
+    try {
+      if (!/^\d+$/.test(req.params.id)) return sendError(res, 404, "session_not_found", "Session not found");
+      const q = await pool.query("UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL RETURNING id", [
+        req.params.id,
+        req.user.sub,
+      ]);
+      if (!q.rowCount) return sendError(res, 404, "session_not_found", "Session not found");
+      return res.json({ ok: true, revoked: 1 });
+    } catch (err) {
+      return handleError(res, "Session revoke error", err);
+    }
+  });
+
+  // Signs out every session except the one making the request.
+  router.delete("/sessions", authMiddleware, async (req, res) => {
+    try {
+      const q = await pool.query(
+        "UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $2",
+        [req.user.sub, req.user.sid || null]
+      );
+      return res.json({ ok: true, revoked: q.rowCount });
+    } catch (err) {
+      return handleError(res, "Session revoke error", err);
+    }
+  });
+
+  return router;
+}
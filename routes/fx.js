@@ -0,0 +1,89 @@
+// routes/fx.js
+// Exchange rates: public rates and quotes, admin rate updates.
+
+import express from "express";
+import fs from "fs";
+import path from "path";
+import { FX_BASE_CURRENCY, FX_SPREAD, isCurrencyCode, quote, parseRatesFile, replaceRates } from "../utils/fx.js";
+import { FX_RATES_FILE } from "../utils/config.js";
+import { sendError, handleError, writeAudit } from "../utils/helpers.js";
+import { validateBody } from "../utils/validate.js";
+import { parseAmount } from "../utils/money.js";
+
+const RATES_SCHEMA = {
+  base: { type: "string", uppercase: true, pattern: /^[A-Z]{3}$/, message: "base must be a currency code" },
+  rates: { type: "object", required: true },
+};
+
+export function fxRouter(ctx) {
+  const router = express.Router();
+  const { pool } = ctx;
+  const { authMiddleware, requireRole } = ctx.auth;
+
+  router.get("/fx/rates", authMiddleware, async (req, res) => {
+    try {
+      const q = await pool.query("SELECT currency, rate, source, updated_at FROM fx_rates ORDER BY currency");
+      return res.json({ base: FX_BASE_CURRENCY, spread: FX_SPREAD, items: q.rows });
+    } catch (err) {
+      return handleError(res, "FX rates error", err);
+    }
+  });
+
+  // Preview of what a cross-currency transfer would credit: /api/fx/quote?from=USD&to=EUR&amount=100
+  router.get("/fx/quote", authMiddleware, async (req, res) => {
+    try {
+      const from = String(req.query.from || "").toUpperCase();
+      const to = String(req.query.to || "").toUpperCase();
+      if (!isCurrencyCode(from) || !isCurrencyCode(to)) return sendError(res, 400, "invalid_field", "from and to must be currency codes", { field: isCurrencyCode(from) ? "to" : "from" });
+      const { amount, error } = parseAmount(req.query.amount, from);
+      if (error) return sendError(res, 400, "invalid_field", error, { field: "amount" });
+      const fx = await quote(pool, from, to, amount);
+      if (!fx) return sendError(res, 422, "fx_unavailable", `No exchange rate for ${from} to ${to}`);
+      return res.json({ from, to, amount, converted_amount: fx.amount, rate: fx.rate, mid: fx.mid, spread: fx.spread });
+    } catch (err) {
+      return handleError(res, "FX quote error", err);
+    }
+  });
+
+  async function saveRates(req, res, rates, source) {
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const count = await replaceRates(client, rates, source);
+      await writeAudit(client, req.user.sub, "fx.rates_loaded", "fx_rates", FX_BASE_CURRENCY, `Loaded ${count} rates from ${source}`, { currencies: Object.keys(rates) });
+      await client.query("COMMIT");
+      return res.json({ ok: true, base: FX_BASE_CURRENCY, count, source });
+    } catch (err) {
+      if (client) await client.query("ROLLBACK").catch(() => {});
+      return handleError(res, "FX rates load error", err);
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  // Body: { base: "USD", rates: { EUR: 0.92, ... } }. Replaces the whole rate table.
+  router.put("/admin/fx/rates", authMiddleware, requireRole("admin"), validateBody(RATES_SCHEMA), async (req, res) => {
+    let rates;
+    try {
+      rates = parseRatesFile(req.body);
+    } catch (err) {
+      return sendError(res, 400, "invalid_rates", err.message, { field: "rates" });
+    }
+    return saveRates(req, res, rates, "api");
+  });
+
+  // Reloads the table from FX_RATES_FILE (JSON or `currency,rate` CSV) on the server.
+  router.post("/admin/fx/rates/reload", authMiddleware, requireRole("admin"), async (req, res) => {
+    let rates;
+    try {
+      rates = parseRatesFile(fs.readFileSync(path.resolve(FX_RATES_FILE), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return sendError(res, 404, "rate_file_not_found", `Rate file not found: ${FX_RATES_FILE}`);
+      return sendError(res, 400, "invalid_rates", err.message);
+    }
+    return saveRates(req, res, rates, `file:${path.basename(FX_RATES_FILE)}`);
+  });
+
+  return router;
+}
@@ -0,0 +1,112 @@
+// routes/notifications.js
+// Notification list/read state and the SSE streams.
+
+import express from "express";
+import { subscribe } from "../utils/events.js";
+import { openStream } from "../utils/sse.js";
+import { sendError, handleError } from "../utils/helpers.js";
+import { validateBody } from "../utils/validate.js";
+
+const MARK_READ_SCHEMA = {
+  id: { type: "id" },
+  ids: { type: "array", items: { type: "id" }, max: 500 },
+};
+
+export function notificationsRouter(ctx) {
+  const router = express.Router();
+  const { store } = ctx;
+  const { loadProfile } = ctx.profile;
+  const { authMiddleware, isStillAuthorized } = ctx.auth;
+
+  // Streams outlive the request authMiddleware checked: each heartbeat asks again, so signing out,
+  // revoking the session or resetting the password closes them.
+  const openAuthorizedStream = (req, res) => openStream(req, res, { alive: () => isStillAuthorized(req.user) });
+
+  // Replays unread notifications (after Last-Event-ID when reconnecting), then pushes new ones
+  // as default messages; other user events are sent as named events (`transfer`, `profile.updated`).
+  router.get("/stream/notifications", authMiddleware, async (req, res) => {
+    const userId = req.user.sub;
+    const lastEventId = req.get("last-event-id") || req.query.lastEventId || null;
+
+    const stream = openAuthorizedStream(req, res);
+    // subscribed before the replay so nothing created meanwhile is missed; live events wait until the
+    // replay is out, and notifications it already sent (id at or below its last one) are dropped
+    let pending = [];
+    let lastId = lastEventId && /^\d+$/.test(lastEventId) ? BigInt(lastEventId) : 0n;
+    const push = (evt) => {
+      if (evt.type !== "notification") return stream.send(evt, { event: evt.type });
+      if (BigInt(evt.data.id) <= lastId) return;
+      lastId = BigInt(evt.data.id);
+      stream.send(evt.data, { id: evt.data.id });
+    };
+    stream.onClose(subscribe(userId, (evt) => (pending ? pending.push(evt) : push(evt))));
+
+    try {
+      const missed = await store.notifications.unreadSince(userId, lastEventId ? String(lastEventId) : null);
+      for (const n of missed) push({ type: "notification", data: n });
+    } catch (err) {
+      console.warn("notification replay failed", err);
+    }
+    const buffered = pending;
+    pending = null;
+    buffered.forEach(push);
+  });
+
+  // Pushes a fresh /users/me snapshot on connect and whenever the user's balances or profile change.
+  router.get("/stream/user/:id", authMiddleware, async (req, res) => {
+    const userId = req.user.sub;
+    if (String(req.params.id) !== String(userId)) return sendError(res, 403, "forbidden", "Forbidden");
+
+    const stream = openAuthorizedStream(req, res);
+    const pushProfile = async () => {
+      try {
+        const profile = await loadProfile(userId);
+        if (profile) stream.send(profile);
+      } catch (err) {
+        console.warn("profile stream refresh failed", err);
+      }
+    };
+    stream.onClose(
+      subscribe(userId, (evt) => {
+        if (evt.type === "transfer" || evt.type === "profile.updated") pushProfile();
+      })
+    );
+    pushProfile();
+  });
+
+  router.get("/notifications", authMiddleware, async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const unreadOnly = req.query.unread === "1" || req.query.unread === "true";
+      const items = await store.notifications.list(req.user.sub, { unreadOnly, limit });
+      const unread = await store.notifications.unreadCount(req.user.sub);
+      return res.json({ items, unread });
+    } catch (err) {
+      return handleError(res, "Notifications list error", err);
+    }
+  });
+
+  // Body: { id } or { ids: [...] }.
+  router.post("/notifications/read", authMiddleware, validateBody(MARK_READ_SCHEMA), async (req, res) => {
+    try {
+      const { id, ids } = req.body;
+      const list = ids || (id ? [id] : []);
+      if (!list.length) return sendError(res, 400, "missing_field", "Notification id required", { field: "id" });
+      const updated = await store.notifications.markRead(req.user.sub, list);
+      return res.json({ ok: true, updated });
+    } catch (err) {
+      return handleError(res, "Notification read error", err);
+    }
+  });
+
+  router.post("/notifications/read-all", authMiddleware, async (req, res) => {
+    try {
+      const updated = await store.notifications.markAllRead(req.user.sub);
+      return res.json({ ok: true, updated });
+    } catch (err) {
+      return handleError(res, "Notification read-all error", err);
+    }
+  });
+
+  return router;
+}
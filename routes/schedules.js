@@ -0,0 +1,161 @@
+// routes/schedules.js
+// CRUD for scheduled and recurring transfers; services/schedules.js runs them.
+
+import express from "express";
+import { nextRunAfter } from "../utils/schedules.js";
+import { sendError, handleError } from "../utils/helpers.js";
+import { validateBody } from "../utils/validate.js";
+import { parseAmount, compareMoney } from "../utils/money.js";
+import { TRANSFER_SCHEMA } from "../services/transfers.js";
+import { SCHEDULE_SCHEMA } from "../services/schedules.js";
+
+const CREATE_SCHEDULE_SCHEMA = { ...TRANSFER_SCHEMA, ...SCHEDULE_SCHEMA };
+// absent fields are left alone; description: null and end_at: null clear them
+const UPDATE_SCHEDULE_SCHEMA = {
+  status: { type: "enum", values: ["active", "paused"], nullable: false },
+  amount: { type: "amount", nullable: false },
+  description: TRANSFER_SCHEMA.description,
+  end_at: { type: "date" },
+};
+
+export function schedulesRouter(ctx) {
+  const router = express.Router();
+  const { pool, clock } = ctx;
+  const { authMiddleware, checkStepUp } = ctx.auth;
+  const { parseTransferInput } = ctx.transfers;
+  const { scheduleView, parseScheduleInput, findSchedule } = ctx.schedules;
+
+  router.get("/schedules", authMiddleware, async (req, res) => {
+    try {
+      const q = await pool.query(
+        `SELECT * FROM scheduled_transfers
+         WHERE user_id = $1 AND ($2 OR status IN ('active', 'paused'))
+         ORDER BY status = 'active' DESC, next_run_at NULLS LAST, id DESC`,
+        [req.user.sub, req.query.all === "1"]
+      );
+      return res.json({ items: q.rows.map((s) => scheduleView(s)) });
+    } catch (err) {
+      return handleError(res, "Schedules list error", err);
+    }
+  });
+
+  /**
+   * POST /api/schedules
+   * Body: the POST /api/transfers fields plus frequency ('once' | 'weekly' | 'monthly'), start_at,
+   * optional day_of_month (monthly) and end_at.
+   */
+  router.post("/schedules", authMiddleware, validateBody(CREATE_SCHEDULE_SCHEMA), async (req, res) => {
+    try {
+      const userId = req.user.sub;
+      const { frequency, start_at, day_of_month, end_at, ...transferBody } = req.body;
+      const parsed = parseTransferInput(transferBody);
+      const sched = parsed.error ? parsed : parseScheduleInput({ frequency, start_at, day_of_month, end_at });
+      if (sched.error) return sendError(res, 400, sched.error.code, sched.error.message, { field: sched.error.field });
+
+      const acc = await pool.query("SELECT id, currency FROM accounts WHERE id = $1 AND user_id = $2 AND closed_at IS NULL", [parsed.input.sender_account_id, userId]);
+      if (!acc.rowCount) return sendError(res, 404, "sender_not_found", "Sender account not found");
+      const precise = parseAmount(parsed.input.amount, acc.rows[0].currency);
+      if (precise.error) return sendError(res, 400, "invalid_field", precise.error, { field: "amount" });
+      // scheduled runs can't ask for a code, so a large schedule is confirmed when it is set up
+      const stepUp = await checkStepUp(pool, req, userId, { accountId: parsed.input.sender_account_id, amount: parsed.input.amount });
+      if (stepUp) return sendError(res, stepUp.status, stepUp.code, stepUp.message);
+
+      const { schedule } = sched;
+      const q = await pool.query(
+        `INSERT INTO scheduled_transfers (user_id, transfer, frequency, day_of_month, start_at, end_at, next_run_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [userId, JSON.stringify(parsed.input), schedule.frequency, schedule.day_of_month, schedule.start_at, schedule.end_at, schedule.next_run_at]
+      );
+      return res.status(201).json(scheduleView(q.rows[0]));
+    } catch (err) {
+      if (err && err.code === "22P02") return sendError(res, 404, "sender_not_found", "Sender account not found");
+      return handleError(res, "Create schedule error", err);
+    }
+  });
+
+  router.get("/schedules/:id", authMiddleware, async (req, res) => {
+    try {
+      const s = await findSchedule(req.params.id, req.user.sub);
+      if (!s) return sendError(res, 404, "schedule_not_found", "Schedule not found");
+      const runs = await pool.query(
+        `SELECT scheduled_for, status, transfer_id, error, created_at
+         FROM scheduled_transfer_runs WHERE schedule_id = $1
+         ORDER BY scheduled_for DESC LIMIT 20`,
+        [s.id]
+      );
+      return res.json(scheduleView(s, runs.rows));
+    } catch (err) {
+      return handleError(res, "Schedule lookup error", err);
+    }
+  });
+
+  // Pause/resume (status), or change amount, description or end_at of an active or paused schedule.
+  router.patch("/schedules/:id", authMiddleware, validateBody(UPDATE_SCHEDULE_SCHEMA), async (req, res) => {
+    try {
+      const s = await findSchedule(req.params.id, req.user.sub);
+      if (!s || !["active", "paused"].includes(s.status)) return sendError(res, 404, "schedule_not_found", "Schedule not found");
+      const { status, amount, description, end_at } = req.body;
+
+      const transfer = { ...s.transfer };
+      if (amount !== undefined) transfer.amount = amount;
+      if (description !== undefined) transfer.description = description;
+
+      const next = { ...s };
+      if (end_at !== undefined) {
+        if (end_at && end_at <= new Date(s.start_at)) return sendError(res, 400, "invalid_field", "end_at must be after start_at", { field: "end_at" });
+        next.end_at = end_at;
+      }
+      if (status !== undefined) next.status = status;
+      if (next.status === "active") {
+        // resuming (or moving end_at) may leave next_run_at in the past or beyond the end
+        const due = s.next_run_at && new Date(s.next_run_at) > clock.now() ? new Date(new Date(s.next_run_at).getTime() - 1) : clock.now();
+        next.next_run_at = nextRunAfter(next, due);
+        if (!next.next_run_at) return sendError(res, 409, "schedule_finished", "This schedule has no remaining runs");
+      }
+      if (amount !== undefined) {
+        const acc = await pool.query("SELECT currency FROM accounts WHERE id::text = $1", [String(transfer.sender_account_id)]);
+        const precise = parseAmount(amount, acc.rowCount ? acc.rows[0].currency : null);
+        if (precise.error) return sendError(res, 400, "invalid_field", precise.error, { field: "amount" });
+        if (compareMoney(transfer.amount, s.transfer.amount) > 0) {
+          const stepUp = await checkStepUp(pool, req, req.user.sub, { accountId: transfer.sender_account_id, amount: transfer.amount });
+          if (stepUp) return sendError(res, stepUp.status, stepUp.code, stepUp.message);
+        }
+      }
+
+      // only if the scheduler hasn't run (or finished) the schedule since it was read above; otherwise this
+      // would write back the occurrence that just ran, or revive a completed schedule, and it would pay twice
+      const q = await pool.query(
+        `UPDATE scheduled_transfers
+         SET transfer = $2, status = $3, end_at = $4, next_run_at = $5, updated_at = NOW()
+         WHERE id = $1 AND status = $6 AND date_trunc('milliseconds', next_run_at) IS NOT DISTINCT FROM $7
+         RETURNING *`,
+        [s.id, JSON.stringify(transfer), next.status, next.end_at, next.next_run_at, s.status, s.next_run_at]
+      );
+      if (!q.rowCount) return sendError(res, 409, "schedule_changed", "The schedule has just run or changed; reload it and try again");
+      return res.json(scheduleView(q.rows[0]));
+    } catch (err) {
+      return handleError(res, "Update schedule error", err);
+    }
+  });
+
+  router.delete("/schedules/:id", authMiddleware, async (req, res) => {
+    try {
+      const s = await findSchedule(req.params.id, req.user.sub);
+      if (!s || !["active", "paused"].includes(s.status)) return sendError(res, 404, "schedule_not_found", "Schedule not found");
+      // a run may have completed or failed the schedule in the meantime; that outcome stands
+      const q = await pool.query(
+        `UPDATE scheduled_transfers SET status = 'cancelled', next_run_at = NULL, updated_at = NOW()
+         WHERE id = $1 AND status IN ('active', 'paused')
+         RETURNING *`,
+        [s.id]
+      );
+      if (!q.rowCount) return sendError(res, 404, "schedule_not_found", "Schedule not found");
+      return res.json(scheduleView(q.rows[0]));
+    } catch (err) {
+      return handleError(res, "Cancel schedule error", err);
+    }
+  });
+
+  return router;
+}
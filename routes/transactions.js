@@ -0,0 +1,187 @@
+// routes/transactions.js
+// Transaction history (keyset cursor + filters) and CSV/OFX statement export.
+
+import express from "express";
+import { csvHeader, csvLine, ofxHeader, ofxAccountOpen, ofxTransaction, ofxAccountClose, ofxFooter } from "../utils/statements.js";
+import { parseAmount, compareMoney } from "../utils/money.js";
+import { sendError, handleError } from "../utils/helpers.js";
+import { parseIsoDate } from "../utils/validate.js";
+
+export function transactionsRouter(ctx) {
+  const router = express.Router();
+  const { store } = ctx;
+  const { authMiddleware } = ctx.auth;
+
+  // Shared by the history and export endpoints. Returns { filter, from, to } (filter as
+  // store.transactions.page takes it) or { error: { code, message, field } }.
+  function transactionFilters(query) {
+    const filter = {};
+    const invalid = (field, message) => ({ error: { code: "invalid_field", message, field } });
+    const parseDate = (value, endOfDay) => {
+      const s = String(value).trim();
+      const d = parseIsoDate(s);
+      if (!d) return null;
+      // a bare date as the upper bound includes that whole day
+      if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(s)) d.setUTCDate(d.getUTCDate() + 1);
+      return d;
+    };
+    // exact decimal strings, like the amounts they are compared with; a bound of 0 is allowed
+    const parseBound = (value) => {
+      const s = String(value).trim();
+      if (/^0+(\.0+)?$/.test(s)) return "0.00";
+      return parseAmount(s).amount || null;
+    };
+
+    if (query.account_id) {
+      if (!/^[0-9a-f-]{36}$/i.test(String(query.account_id))) return invalid("account_id", "Invalid account_id");
+      filter.accountId = String(query.account_id);
+    }
+    if (query.type) {
+      if (!["credit", "debit"].includes(String(query.type))) return invalid("type", "type must be credit or debit");
+      filter.type = String(query.type);
+    }
+    let from = null;
+    let to = null;
+    if (query.from) {
+      from = parseDate(query.from, false);
+      if (!from) return invalid("from", "Invalid from date");
+      filter.from = from;
+    }
+    if (query.to) {
+      to = parseDate(query.to, true);
+      if (!to) return invalid("to", "Invalid to date");
+      filter.to = to;
+    }
+    if (from && to && from >= to) return invalid("to", "from must be before to");
+    if (query.min_amount !== undefined && query.min_amount !== "") {
+      filter.minAmount = parseBound(query.min_amount);
+      if (filter.minAmount === null) return invalid("min_amount", "Invalid min_amount");
+    }
+    if (query.max_amount !== undefined && query.max_amount !== "") {
+      filter.maxAmount = parseBound(query.max_amount);
+      if (filter.maxAmount === null) return invalid("max_amount", "Invalid max_amount");
+    }
+    if (filter.minAmount && filter.maxAmount && compareMoney(filter.minAmount, filter.maxAmount) > 0) {
+      return invalid("max_amount", "max_amount must not be less than min_amount");
+    }
+    if (query.q) {
+      const text = String(query.q).trim().slice(0, 100);
+      if (text) filter.text = text;
+    }
+    return { filter, from, to };
+  }
+
+  // Opaque keyset cursor over (created_at, id). created_at travels as the store's text form
+  // (created_key) so Postgres' microsecond precision survives the round trip.
+  function encodeTxCursor(row) {
+    return Buffer.from(`${row.created_key}|${row.id}`).toString("base64url");
+  }
+
+  function decodeTxCursor(cursor) {
+    const raw = Buffer.from(String(cursor), "base64url").toString();
+    const i = raw.lastIndexOf("|");
+    if (i <= 0) return null;
+    const ts = raw.slice(0, i);
+    const id = raw.slice(i + 1);
+    if (!/^[0-9a-f-]{36}$/i.test(id) || Number.isNaN(new Date(ts).getTime())) return null;
+    return { key: ts, id };
+  }
+
+  /**
+   * Body stays a plain array (newest first) for existing callers; the next page is
+   * announced in X-Next-Cursor and a Link rel="next" header.
+   * Query: limit (default 100, max 200), cursor, account_id, from, to, type, min_amount, max_amount, q
+   */
+  router.get("/transactions", authMiddleware, async (req, res) => {
+    try {
+      const parsed = transactionFilters(req.query);
+      if (parsed.error) return sendError(res, 400, parsed.error.code, parsed.error.message, { field: parsed.error.field });
+
+      let before = null;
+      if (req.query.cursor) {
+        before = decodeTxCursor(req.query.cursor);
+        if (!before) return sendError(res, 400, "invalid_cursor", "Invalid cursor", { field: "cursor" });
+      }
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 200);
+
+      const found = await store.transactions.page(req.user.sub, parsed.filter, { before, limit: limit + 1 });
+      const rows = found.slice(0, limit);
+      if (found.length > limit) {
+        const next = encodeTxCursor(rows[rows.length - 1]);
+        const nextQuery = new URLSearchParams({ ...req.query, cursor: next, limit: String(limit) });
+        res.set("X-Next-Cursor", next);
+        res.set("Link", `<${req.baseUrl}${req.path}?${nextQuery}>; rel="next"`);
+      }
+      return res.json(rows.map(({ created_key, ...tx }) => tx));
+    } catch (err) {
+      return handleError(res, "Transactions error", err);
+    }
+  });
+
+  // Oldest first, in batches, so large statements never sit in memory.
+  async function* iterateTransactions(userId, filter, batch = 500) {
+    let after = null;
+    for (;;) {
+      const rows = await store.transactions.page(userId, filter, { after, limit: batch, order: "asc" });
+      for (const row of rows) yield row;
+      if (rows.length < batch) return;
+      const last = rows[rows.length - 1];
+      after = { key: last.created_key, id: last.id };
+    }
+  }
+
+  /**
+   * GET /api/transactions/export?format=csv|ofx&from=YYYY-MM-DD&to=YYYY-MM-DD
+   * Accepts the same filters as the history endpoint. OFX gets one statement per account.
+   */
+  router.get("/transactions/export", authMiddleware, async (req, res) => {
+    try {
+      const format = String(req.query.format || "csv").toLowerCase();
+      if (!["csv", "ofx"].includes(format)) return sendError(res, 400, "invalid_field", "format must be csv or ofx", { field: "format" });
+      if (!req.query.from || !req.query.to) return sendError(res, 400, "missing_field", "from and to dates are required", { field: req.query.from ? "to" : "from" });
+      const parsed = transactionFilters(req.query);
+      if (parsed.error) return sendError(res, 400, parsed.error.code, parsed.error.message, { field: parsed.error.field });
+      const { filter, from, to } = parsed;
+
+      const day = (d) => d.toISOString().slice(0, 10);
+      const filename = `bankswift-${day(from)}-to-${day(new Date(to.getTime() - 1))}.${format}`;
+      res.set("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/x-ofx; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="${filename}"`);
+      res.set("Cache-Control", "no-store");
+
+      let aborted = false;
+      req.on("close", () => { aborted = true; });
+
+      if (format === "csv") {
+        res.write(csvHeader());
+        for await (const tx of iterateTransactions(req.user.sub, filter)) {
+          if (aborted) break;
+          if (!res.write(csvLine(tx))) await new Promise((r) => res.once("drain", r));
+        }
+        return res.end();
+      }
+
+      const accounts = (await store.accounts.listForUser(req.user.sub, { includeClosed: true })).filter((a) => !filter.accountId || a.id === filter.accountId);
+      res.write(ofxHeader());
+      for (const acc of accounts) {
+        if (aborted) break;
+        res.write(ofxAccountOpen(acc, from, to));
+        for await (const tx of iterateTransactions(req.user.sub, { ...filter, accountId: acc.id })) {
+          if (aborted) break;
+          if (!res.write(ofxTransaction(tx))) await new Promise((r) => res.once("drain", r));
+        }
+        res.write(ofxAccountClose(acc));
+      }
+      res.write(ofxFooter());
+      return res.end();
+    } catch (err) {
+      if (res.headersSent) {
+        console.error("Transactions export error", err);
+        return res.destroy(err);
+      }
+      return handleError(res, "Transactions export error", err);
+    }
+  });
+
+  return router;
+}
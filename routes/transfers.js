@@ -0,0 +1,245 @@
+// routes/transfers.js
+// Sending money (services/transfers.js does the work), limits, and the public claim flow for external
+// transfers.
+
+import express from "express";
+import { receiptUpload } from "../utils/uploads.js";
+import { validIdempotencyKey, fingerprintRequest, claimIdempotencyKey, saveIdempotentResponse } from "../utils/idempotency.js";
+import { FX_BASE_CURRENCY, formatMoney } from "../utils/fx.js";
+import { effectiveLimits, limitUsage } from "../utils/limits.js";
+import { APP_BASE_URL } from "../utils/config.js";
+import { sendError, handleError, pageParams } from "../utils/helpers.js";
+import { validateBody } from "../utils/validate.js";
+
+// multipart form fields (receipt_file is the upload itself)
+const CLAIM_SCHEMA = {
+  token: { type: "string", max: 512 },
+  transfer_id: { type: "uuid" },
+  payment_option: { type: "enum", values: ["bank_wire", "btc", "third_party"], required: true },
+  receipt: { type: "string", max: 4000, default: "" },
+  payer_email: { type: "email", required: true },
+};
+
+export function transfersRouter(ctx) {
+  const router = express.Router();
+  const { store, pool } = ctx;
+  const USE_POSTGRES = store.kind === "postgres";
+  const { notify, emitTransferEvent } = ctx.notifications;
+  const { authMiddleware, checkStepUp } = ctx.auth;
+  const { parseTransferInput, executeTransfer, afterTransferCommitted, executeLocalTransfer, claimView, isClaimExpired } = ctx.transfers;
+
+  router.post("/transfers", authMiddleware, async (req, res) => {
+    if (!USE_POSTGRES) return createLocalTransfer(req, res);
+    let client;
+    try {
+      client = await pool.connect();
+      const userId = req.user.sub;
+      const parsed = parseTransferInput(req.body);
+      if (parsed.error) return sendError(res, 400, parsed.error.code, parsed.error.message, { field: parsed.error.field });
+
+      const idemKey = req.get("idempotency-key");
+      if (idemKey !== undefined && !validIdempotencyKey(idemKey)) return sendError(res, 400, "invalid_idempotency_key", "Invalid Idempotency-Key header");
+
+      await client.query("BEGIN");
+
+      if (idemKey) {
+        const idem = await claimIdempotencyKey(client, userId, idemKey, fingerprintRequest(req));
+        if (!idem.claimed) {
+          await client.query("ROLLBACK");
+          if (idem.mismatch) return sendError(res, 422, "idempotency_key_reused", "Idempotency-Key was already used with a different request body");
+          res.set("Idempotent-Replayed", "true");
+          return res.status(idem.replay.status).json(idem.replay.body);
+        }
+      }
+
+      // checked after the idempotency claim so a replay doesn't need a second code
+      const stepUp = await checkStepUp(client, req, userId, { accountId: parsed.input.sender_account_id, amount: parsed.input.amount });
+      if (stepUp) {
+        await client.query("ROLLBACK");
+        return sendError(res, stepUp.status, stepUp.code, stepUp.message);
+      }
+
+      const result = await executeTransfer(client, userId, parsed.input, { ip: req.ip || null, userAgent: req.get("user-agent") || null });
+      if (result.error) {
+        await client.query("ROLLBACK");
+        const { status, code, message, field, details } = result.error;
+        return sendError(res, status, code, message, { field, details });
+      }
+
+      const createdTx = result.transfer;
+      if (idemKey) await saveIdempotentResponse(client, userId, idemKey, 201, createdTx);
+      await client.query("COMMIT");
+      res.status(201).json(createdTx);
+
+      afterTransferCommitted(userId, result);
+    } catch (err) {
+      try {
+        await client.query("ROLLBACK");
+      } catch {}
+      return handleError(res, "Transfer error", err);
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  async function createLocalTransfer(req, res) {
+    try {
+      const userId = req.user.sub;
+      const parsed = parseTransferInput(req.body);
+      if (parsed.error) return sendError(res, 400, parsed.error.code, parsed.error.message, { field: parsed.error.field });
+
+      const result = await store.transaction((tx) => executeLocalTransfer(tx, userId, parsed.input));
+      if (result.error) {
+        const { status, code, message, field } = result.error;
+        return sendError(res, status, code, message, { field });
+      }
+      res.status(201).json(result.transfer);
+      afterTransferCommitted(userId, result);
+    } catch (err) {
+      return handleError(res, "Transfer error", err);
+    }
+  }
+
+  // Transfers sent from the user's accounts, newest first (?page=&limit=).
+  router.get("/transfers", authMiddleware, async (req, res) => {
+    try {
+      const { limit, page, offset } = pageParams(req.query, 25);
+      const q = await pool.query(
+        `SELECT t.id, t.sender_account_id, t.recipient_name, t.recipient_email, t.amount, t.currency, t.method, t.status, t.description,
+                t.converted_amount, t.converted_currency, t.created_at, t.completed_at
+         FROM transfers t
+         JOIN accounts a ON a.id = t.sender_account_id
+         WHERE a.user_id = $1
+         ORDER BY t.created_at DESC, t.id
+         LIMIT $2 OFFSET $3`,
+        [req.user.sub, limit, offset]
+      );
+      return res.json({ items: q.rows, page, limit });
+    } catch (err) {
+      return handleError(res, "Transfer list error", err);
+    }
+  });
+
+  // Current limits and how much of them is used, in FX_BASE_CURRENCY.
+  router.get("/limits", authMiddleware, async (req, res) => {
+    try {
+      const { limits } = await effectiveLimits(pool, req.user.sub);
+      const usage = await limitUsage(pool, req.user.sub);
+      return res.json({ currency: FX_BASE_CURRENCY, limits, usage });
+    } catch (err) {
+      return handleError(res, "Limits error", err);
+    }
+  });
+
+  router.get("/transfers/claim/:token", async (req, res) => {
+    try {
+      const q = await pool.query(
+        `SELECT t.*, c.created_at AS claimed_at
+         FROM transfers t
+         LEFT JOIN transfer_claims c ON c.transfer_id = t.id
+         WHERE t.claim_token = $1`,
+        [String(req.params.token)]
+      );
+      if (!q.rowCount) return sendError(res, 404, "transfer_not_found", "Transfer not found");
+      const t = q.rows[0];
+      if (isClaimExpired(t)) return sendError(res, 410, "claim_expired", "This claim link has expired");
+      return res.json(claimView(t));
+    } catch (err) {
+      return handleError(res, "Claim lookup error", err);
+    }
+  });
+
+  router.get("/transfers/:id", authMiddleware, async (req, res) => {
+    try {
+      const q = await pool.query(
+        `SELECT t.*, sa.user_id AS sender_user_id, ra.user_id AS recipient_user_id,
+                c.created_at AS claimed_at, c.payment_option AS claim_payment_option
+         FROM transfers t
+         JOIN accounts sa ON sa.id = t.sender_account_id
+         LEFT JOIN accounts ra ON ra.id = t.recipient_account_id
+         LEFT JOIN transfer_claims c ON c.transfer_id = t.id
+         WHERE t.id::text = $1`,
+        [String(req.params.id)]
+      );
+      const t = q.rows[0];
+      const userId = String(req.user.sub);
+      if (!t || (String(t.sender_user_id) !== userId && String(t.recipient_user_id) !== userId)) {
+        return sendError(res, 404, "transfer_not_found", "Transfer not found");
+      }
+      const isSender = String(t.sender_user_id) === userId;
+      const { claim_token, sender_user_id, recipient_user_id, ...rest } = t;
+      return res.json({
+        ...(isSender ? rest : claimView(t)),
+        claim_url: isSender && claim_token && t.status === "pending" ? `${APP_BASE_URL}/pay-fee.html?token=${encodeURIComponent(claim_token)}` : undefined,
+      });
+    } catch (err) {
+      return handleError(res, "Transfer fetch error", err);
+    }
+  });
+
+  // Claimants identify the transfer by claim token (public link) or by transfer_id when signed in.
+  router.post(
+    "/transfers/claim",
+    receiptUpload("receipt_file"),
+    validateBody(CLAIM_SCHEMA),
+    (req, res, next) => (req.body.token ? next() : authMiddleware(req, res, next)),
+    async (req, res) => {
+      const { token, transfer_id, payment_option, receipt: receiptText, payer_email } = req.body;
+      const fail = (status, code, message, field = null) => sendError(res, status, code, message, { field });
+
+      if (!token && !transfer_id) return fail(400, "missing_field", "Claim token or transfer_id required", "token");
+      if (!req.file && !receiptText) return fail(400, "missing_field", "Attach a receipt file or paste the receipt details", "receipt");
+
+      let client;
+      try {
+        client = await pool.connect();
+        await client.query("BEGIN");
+        const q = await client.query(
+          `SELECT t.id, t.status, t.amount, t.currency, t.claim_expires, t.sender_account_id, sa.user_id AS sender_user_id, ra.user_id AS recipient_user_id
+           FROM transfers t
+           JOIN accounts sa ON sa.id = t.sender_account_id
+           LEFT JOIN accounts ra ON ra.id = t.recipient_account_id
+           WHERE ${token ? "t.claim_token = $1" : "t.id::text = $1"}
+           FOR UPDATE OF t`,
+          [String(token || transfer_id)]
+        );
+        const t = q.rows[0];
+        const userId = req.user ? String(req.user.sub) : null;
+        if (!t || (!token && String(t.sender_user_id) !== userId && String(t.recipient_user_id) !== userId)) {
+          await client.query("ROLLBACK");
+          return fail(404, "transfer_not_found", "Transfer not found");
+        }
+        if (isClaimExpired(t)) {
+          await client.query("ROLLBACK");
+          return fail(410, "claim_expired", "This claim link has expired");
+        }
+        if (t.status !== "pending") {
+          await client.query("ROLLBACK");
+          return fail(409, "transfer_not_pending", t.status === "claimed" ? "This transfer has already been claimed" : `Transfer is ${t.status}`);
+        }
+
+        await client.query(
+          `INSERT INTO transfer_claims (transfer_id, payment_option, payer_email, receipt_text, receipt_path, receipt_mime, receipt_size)
+           VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+          [t.id, payment_option, payer_email, receiptText || null, req.file ? req.file.filename : null, req.file ? req.file.mimetype : null, req.file ? req.file.size : null]
+        );
+        await client.query("UPDATE transfers SET status = 'claimed', claimed_at = NOW() WHERE id = $1", [t.id]);
+        await client.query("COMMIT");
+
+        res.status(201).json({ ok: true, id: t.id, status: "claimed", message: "Claim submitted. We'll confirm your payment and release the funds." });
+
+        emitTransferEvent(t.sender_user_id, "claimed", { id: t.id, status: "claimed", amount: t.amount, direction: "out" });
+        notify(t.sender_user_id, "Transfer claimed", `Your transfer of ${formatMoney(t.amount, t.currency)} was claimed and is awaiting review.`, "transfer", {
+          transfer_id: t.id,
+        }).catch((e) => console.warn("claim notification failed", e));
+      } catch (err) {
+        if (client) await client.query("ROLLBACK").catch(() => {});
+        return handleError(res, "Claim submit error", err);
+      } finally {
+        if (client) client.release();
+      }
+    }
+  );
+
+  return router;
+}
@@ -0,0 +1,319 @@
+// routes/users.js
+// Sign-up, the signed-in user's profile and password, and TOTP two-factor setup.
+
+import express from "express";
+import bcrypt from "bcryptjs";
+import { isUniqueViolation } from "../utils/store/index.js";
+import { publish } from "../utils/events.js";
+import { FX_BASE_CURRENCY, isCurrencyCode, loadRates } from "../utils/fx.js";
+import { generateSecret, provisioningUri, verifyTotp } from "../utils/totp.js";
+import { hitRateLimit } from "../utils/throttle.js";
+import { REGISTER_PER_HOUR, STEP_UP_AMOUNT } from "../utils/config.js";
+import { sendError, handleError } from "../utils/helpers.js";
+import { validateBody } from "../utils/validate.js";
+
+const PASSWORD = { type: "string", min: 6, max: 200, trim: false };
+const TOTP_CODE = { type: "string", max: 32 };
+
+const SIGN_UP_SCHEMA = {
+  fullname: { type: "string", required: true, max: 120 },
+  phone: { type: "string", max: 32, default: "" },
+  email: { type: "email", required: true },
+  password: { ...PASSWORD, required: true },
+  accountname: { type: "string", max: 120, default: "" },
+};
+
+// absent fields are left alone; phone: null (or "") clears it
+const PROFILE_SCHEMA = {
+  fullname: { type: "string", max: 120, nullable: false },
+  phone: { type: "string", max: 32, pattern: /^\+?[0-9 ()\-.]{5,32}$/, message: "Invalid phone number" },
+  preferred_currency: { type: "string", uppercase: true, pattern: /^[A-Z]{3}$/, message: "Unsupported currency", nullable: false },
+};
+
+const PASSWORD_CHANGE_SCHEMA = {
+  current_password: { type: "string", required: true, max: 200, trim: false },
+  new_password: { ...PASSWORD, required: true },
+};
+
+const TWO_FACTOR_SETUP_SCHEMA = { password: { type: "string", required: true, max: 200, trim: false } };
+const TWO_FACTOR_CODE_SCHEMA = { code: { ...TOTP_CODE, required: true } };
+const TWO_FACTOR_DISABLE_SCHEMA = { ...TWO_FACTOR_SETUP_SCHEMA, code: TOTP_CODE, recovery_code: TOTP_CODE };
+
+export function usersRouter(ctx) {
+  const router = express.Router();
+  const { store, pool } = ctx;
+  const USE_POSTGRES = store.kind === "postgres";
+  const { loadProfile, summarizeAccounts } = ctx.profile;
+  const { issueToken, authMiddleware, createEmailVerification, sendVerificationEmail, verifySecondFactor, replaceRecoveryCodes, startSession } = ctx.auth;
+
+  router.post("/users", validateBody(SIGN_UP_SCHEMA), async (req, res) => {
+    try {
+      const { fullname, phone, email, password, accountname } = req.body;
+
+      if (USE_POSTGRES) {
+        const retryAfter = await hitRateLimit(pool, `register:${req.ip}`, { limit: REGISTER_PER_HOUR, windowMinutes: 60 });
+        if (retryAfter) {
+          res.set("Retry-After", String(retryAfter));
+          return sendError(res, 429, "too_many_signups", "Too many sign-ups from this network. Please try again later.");
+        }
+      }
+
+      if (await store.users.findByEmail(email)) return sendError(res, 409, "email_taken", "Email already registered");
+
+      const passwordHash = await bcrypt.hash(password, 10);
+      try {
+        // verification emails need Postgres; on SQLite (offline dev, CI) sign-ups start verified
+        const { user, account, verifyToken } = await store.transaction(async (tx) => {
+          const user = await tx.users.create({
+            fullname,
+            email,
+            passwordHash,
+            phone,
+            accountname,
+            emailVerified: !USE_POSTGRES,
+          });
+          const account = await tx.accounts.create({ userId: user.id, type: "checking", currency: FX_BASE_CURRENCY });
+          const verifyToken = tx.client ? await createEmailVerification(tx.client, user.id) : null;
+          return { user, account, verifyToken };
+        });
+
+        if (verifyToken) sendVerificationEmail(user, verifyToken).catch((e) => console.warn("verification email failed", e));
+        const tokens = await startSession(req, user);
+        return res.status(201).json({
+          id: user.id,
+          fullname: user.fullname,
+          email: user.email,
+          accountname: user.accountname,
+          email_verified: !verifyToken,
+          ...summarizeAccounts([account]),
+          ...tokens,
+        });
+      } catch (err) {
+        if (isUniqueViolation(err)) return sendError(res, 409, "email_taken", "Email already registered");
+        return handleError(res, "Registration error", err);
+      }
+    } catch (err) {
+      return handleError(res, "Registration error (outer)", err);
+    }
+  });
+
+  router.get("/users/me", authMiddleware, async (req, res) => {
+    try {
+      const profile = await loadProfile(req.user.sub);
+      if (!profile) return sendError(res, 404, "user_not_found", "User not found");
+      return res.json(profile);
+    } catch (err) {
+      return handleError(res, "Profile fetch error", err);
+    }
+  });
+
+  router.patch("/users/me", authMiddleware, validateBody(PROFILE_SCHEMA), async (req, res) => {
+    try {
+      const userId = req.user.sub;
+      const { fullname, phone, preferred_currency } = req.body;
+      if (fullname === undefined && phone === undefined && preferred_currency === undefined) {
+        return sendError(res, 400, "nothing_to_update", "Nothing to update: provide fullname, phone and/or preferred_currency");
+      }
+
+      const sets = [];
+      const params = [];
+      if (fullname !== undefined) {
+        params.push(fullname);
+        sets.push(`fullname = $${params.length}`);
+      }
+      if (phone !== undefined) {
+        params.push(phone || "");
+        sets.push(`phone = $${params.length}`);
+      }
+      if (preferred_currency !== undefined) {
+        if (!isCurrencyCode(preferred_currency) || !(await loadRates(pool)).has(preferred_currency)) {
+          return sendError(res, 400, "unsupported_currency", "Unsupported currency", { field: "preferred_currency" });
+        }
+        params.push(preferred_currency);
+        sets.push(`preferred_currency = $${params.length}`);
+      }
+      params.push(userId);
+      const upd = await pool.query(`UPDATE users SET ${sets.join(", ")} WHERE id = $${params.length}`, params);
+      if (!upd.rowCount) return sendError(res, 404, "user_not_found", "User not found");
+
+      const profile = await loadProfile(userId);
+      publish(userId, "profile.updated", { fullname: profile.fullname, phone: profile.phone, preferred_currency: profile.preferred_currency, balances: profile.balances });
+      return res.json(profile);
+    } catch (err) {
+      return handleError(res, "Profile update error", err);
+    }
+  });
+
+  router.post("/users/password", authMiddleware, validateBody(PASSWORD_CHANGE_SCHEMA), async (req, res) => {
+    try {
+      const userId = req.user.sub;
+      const { current_password, new_password } = req.body;
+
+      const q = await pool.query("SELECT id, email, password_hash FROM users WHERE id=$1", [userId]);
+      const user = q.rows[0];
+      if (!user) return sendError(res, 404, "user_not_found", "User not found");
+
+      const isPasswordValid = await bcrypt.compare(current_password, user.password_hash);
+      if (!isPasswordValid) return sendError(res, 403, "wrong_password", "Current password is incorrect", { field: "current_password" });
+
+      const passwordHash = await bcrypt.hash(new_password, 10);
+      const upd = await pool.query(
+        "UPDATE users SET password_hash = $1, password_changed_at = NOW() WHERE id = $2 RETURNING password_changed_at",
+        [passwordHash, user.id]
+      );
+
+      // every other session is signed out; this one carries on with a fresh access token
+      await pool.query("UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $2", [
+        user.id,
+        req.user.sid || null,
+      ]);
+      const tokens = req.user.sid ? { token: issueToken(user, req.user.sid) } : await startSession(req, user);
+      publish(user.id, "profile.updated", { password_changed_at: upd.rows[0].password_changed_at });
+      return res.json({ ok: true, ...tokens });
+    } catch (err) {
+      return handleError(res, "Password change error", err);
+    }
+  });
+
+  // Optional TOTP (utils/totp.js). Setup stores a pending secret until the first code proves the
+  // authenticator app has it; enabling returns ten one-time recovery codes, kept only as hashes.
+
+  router.get("/users/me/2fa", authMiddleware, async (req, res) => {
+    try {
+      const q = await pool.query(
+        `SELECT u.totp_enabled_at,
+                (SELECT COUNT(*)::int FROM recovery_codes r WHERE r.user_id = u.id AND r.used_at IS NULL) AS recovery_codes_remaining
+         FROM users u WHERE u.id = $1`,
+        [req.user.sub]
+      );
+      if (!q.rowCount) return sendError(res, 404, "user_not_found", "User not found");
+      const u = q.rows[0];
+      return res.json({
+        enabled: !!u.totp_enabled_at,
+        enabled_at: u.totp_enabled_at,
+        recovery_codes_remaining: u.totp_enabled_at ? u.recovery_codes_remaining : 0,
+        step_up_amount: STEP_UP_AMOUNT,
+        step_up_currency: FX_BASE_CURRENCY,
+      });
+    } catch (err) {
+      return handleError(res, "2FA status error", err);
+    }
+  });
+
+  // Starts (or restarts) enrollment; nothing changes for login until /enable confirms a code.
+  router.post("/users/me/2fa/setup", authMiddleware, validateBody(TWO_FACTOR_SETUP_SCHEMA), async (req, res) => {
+    try {
+      const { password } = req.body;
+      const q = await pool.query("SELECT email, password_hash, totp_enabled_at FROM users WHERE id=$1", [req.user.sub]);
+      const user = q.rows[0];
+      if (!user) return sendError(res, 404, "user_not_found", "User not found");
+      if (user.totp_enabled_at) return sendError(res, 409, "two_factor_enabled", "Two-factor authentication is already enabled");
+      if (!(await bcrypt.compare(password, user.password_hash))) return sendError(res, 403, "wrong_password", "Password is incorrect", { field: "password" });
+
+      const secret = generateSecret();
+      await pool.query("UPDATE users SET totp_pending_secret = $1 WHERE id = $2", [secret, req.user.sub]);
+      return res.json({ secret, otpauth_uri: provisioningUri(secret, user.email) });
+    } catch (err) {
+      return handleError(res, "2FA setup error", err);
+    }
+  });
+
+  router.post("/users/me/2fa/enable", authMiddleware, validateBody(TWO_FACTOR_CODE_SCHEMA), async (req, res) => {
+    const { code } = req.body;
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const q = await client.query("SELECT totp_pending_secret, totp_enabled_at FROM users WHERE id=$1 FOR UPDATE", [req.user.sub]);
+      const user = q.rows[0];
+      if (!user) {
+        await client.query("ROLLBACK");
+        return sendError(res, 404, "user_not_found", "User not found");
+      }
+      if (user.totp_enabled_at) {
+        await client.query("ROLLBACK");
+        return sendError(res, 409, "two_factor_enabled", "Two-factor authentication is already enabled");
+      }
+      if (!user.totp_pending_secret) {
+        await client.query("ROLLBACK");
+        return sendError(res, 400, "two_factor_not_started", "Start setup first");
+      }
+      const step = verifyTotp(user.totp_pending_secret, code);
+      if (step === null) {
+        await client.query("ROLLBACK");
+        return sendError(res, 400, "invalid_code", "Invalid authentication code", { field: "code" });
+      }
+
+      await client.query(
+        "UPDATE users SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled_at = NOW(), totp_last_step = $2 WHERE id = $1",
+        [req.user.sub, step]
+      );
+      const recoveryCodes = await replaceRecoveryCodes(client, req.user.sub);
+      await client.query("COMMIT");
+
+      publish(req.user.sub, "profile.updated", { two_factor_enabled: true });
+      return res.json({ ok: true, recovery_codes: recoveryCodes });
+    } catch (err) {
+      if (client) await client.query("ROLLBACK").catch(() => {});
+      return handleError(res, "2FA enable error", err);
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  router.post("/users/me/2fa/disable", authMiddleware, validateBody(TWO_FACTOR_DISABLE_SCHEMA), async (req, res) => {
+    try {
+      const { password, code, recovery_code } = req.body;
+      if (!code && !recovery_code) return sendError(res, 400, "missing_field", "code (or recovery_code) is required", { field: "code" });
+      const q = await pool.query("SELECT password_hash, totp_enabled_at FROM users WHERE id=$1", [req.user.sub]);
+      const user = q.rows[0];
+      if (!user) return sendError(res, 404, "user_not_found", "User not found");
+      if (!user.totp_enabled_at) return sendError(res, 409, "two_factor_disabled", "Two-factor authentication is not enabled");
+      if (!(await bcrypt.compare(password, user.password_hash))) return sendError(res, 403, "wrong_password", "Password is incorrect", { field: "password" });
+      if (!(await verifySecondFactor(pool, req.user.sub, { code, recoveryCode: recovery_code }))) {
+        return sendError(res, 403, "invalid_code", "Invalid authentication code", { field: "code" });
+      }
+
+      await pool.query(
+        "UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1",
+        [req.user.sub]
+      );
+      await pool.query("DELETE FROM recovery_codes WHERE user_id = $1", [req.user.sub]);
+      publish(req.user.sub, "profile.updated", { two_factor_enabled: false });
+      return res.json({ ok: true });
+    } catch (err) {
+      return handleError(res, "2FA disable error", err);
+    }
+  });
+
+  // Replaces every recovery code (used or not) with a fresh set.
+  router.post("/users/me/2fa/recovery-codes", authMiddleware, validateBody(TWO_FACTOR_CODE_SCHEMA), async (req, res) => {
+    const { code } = req.body;
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const q = await client.query("SELECT totp_enabled_at FROM users WHERE id=$1 FOR UPDATE", [req.user.sub]);
+      if (!q.rows[0] || !q.rows[0].totp_enabled_at) {
+        await client.query("ROLLBACK");
+        return sendError(res, 409, "two_factor_disabled", "Two-factor authentication is not enabled");
+      }
+      if (!(await verifySecondFactor(client, req.user.sub, { code }))) {
+        await client.query("ROLLBACK");
+        return sendError(res, 403, "invalid_code", "Invalid authentication code", { field: "code" });
+      }
+      const recoveryCodes = await replaceRecoveryCodes(client, req.user.sub);
+      await client.query("COMMIT");
+      return res.json({ ok: true, recovery_codes: recoveryCodes });
+    } catch (err) {
+      if (client) await client.query("ROLLBACK").catch(() => {});
+      return handleError(res, "Recovery codes error", err);
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  return router;
+}
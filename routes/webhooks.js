@@ -0,0 +1,276 @@
+// routes/webhooks.js
+// Outbound webhook endpoints per user, and the inbound settlement callback from the payout provider.
+
+import express from "express";
+import crypto from "crypto";
+import { makeWebhookSecret, WEBHOOK_EVENTS } from "../utils/webhooks.js";
+import { WEBHOOK_SECRET, WEBHOOK_TOLERANCE_SECONDS } from "../utils/config.js";
+import { formatMoney } from "../utils/fx.js";
+import { sendError, handleError, pageParams } from "../utils/helpers.js";
+import { validateBody } from "../utils/validate.js";
+
+const EVENTS = { type: "array", items: { type: "enum", values: WEBHOOK_EVENTS }, min: 1 };
+const URL_FIELD = { type: "string", max: 2048 };
+
+const CREATE_WEBHOOK_SCHEMA = {
+  url: { ...URL_FIELD, required: true },
+  description: { type: "string", max: 200, default: "" },
+  events: { ...EVENTS, default: WEBHOOK_EVENTS },
+};
+const UPDATE_WEBHOOK_SCHEMA = {
+  active: { type: "boolean", nullable: false },
+  events: { ...EVENTS, nullable: false },
+  url: { ...URL_FIELD, nullable: false },
+};
+const TEST_EVENT = { type: "enum", values: WEBHOOK_EVENTS, default: "transfer.completed" };
+const TEST_WEBHOOK_SCHEMA = { endpoint_id: { type: "id" }, event: TEST_EVENT };
+const TEST_ENDPOINT_SCHEMA = { event: TEST_EVENT };
+// the provider may add fields to its payload over time; unknown ones are ignored (the raw body is stored)
+const SETTLEMENT_SCHEMA = {
+  event_id: { type: "string", required: true, max: 200 },
+  reference: { type: "string", required: true, max: 200 },
+  status: { type: "string", required: true, lowercase: true, max: 40 },
+  provider_reference: { type: "string", max: 200, default: null },
+};
+
+export function webhooksRouter(ctx) {
+  const router = express.Router();
+  const { pool, clock } = ctx;
+  const { notify, emitTransferEvent } = ctx.notifications;
+  const { authMiddleware } = ctx.auth;
+  const { refundTransfer, completeExternalTransfer } = ctx.transfers;
+  const { checkWebhookUrl, redeliver, sendTestEvent } = ctx.webhooks;
+
+  const WEBHOOK_COLUMNS = "id, url, description, events, active, created_at";
+
+  router.get("/webhooks", authMiddleware, async (req, res) => {
+    try {
+      const q = await pool.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhook_endpoints WHERE user_id = $1 ORDER BY created_at`, [req.user.sub]);
+      return res.json({ items: q.rows, events: WEBHOOK_EVENTS });
+    } catch (err) {
+      return handleError(res, "Webhook list error", err);
+    }
+  });
+
+  // The signing secret is only returned here, once.
+  router.post("/webhooks", authMiddleware, validateBody(CREATE_WEBHOOK_SCHEMA), async (req, res) => {
+    try {
+      const { url, description, events } = req.body;
+      const problem = await checkWebhookUrl(url);
+      if (problem) return sendError(res, 400, "invalid_field", problem, { field: "url" });
+      const count = await pool.query("SELECT COUNT(*)::int AS n FROM webhook_endpoints WHERE user_id = $1", [req.user.sub]);
+      if (count.rows[0].n >= 10) return sendError(res, 400, "webhook_limit", "Webhook endpoint limit reached (10)");
+
+      const secret = makeWebhookSecret();
+      const q = await pool.query(
+        `INSERT INTO webhook_endpoints (user_id, url, description, events, secret)
+         VALUES ($1,$2,$3,$4,$5)
+         RETURNING ${WEBHOOK_COLUMNS}`,
+        [req.user.sub, url, description, events, secret]
+      );
+      return res.status(201).json({ ...q.rows[0], secret });
+    } catch (err) {
+      return handleError(res, "Webhook create error", err);
+    }
+  });
+
+  router.patch("/webhooks/:id", authMiddleware, validateBody(UPDATE_WEBHOOK_SCHEMA), async (req, res) => {
+    try {
+      const { active, events, url } = req.body;
+      const problem = url !== undefined ? await checkWebhookUrl(url) : null;
+      if (problem) return sendError(res, 400, "invalid_field", problem, { field: "url" });
+      const q = await pool.query(
+        `UPDATE webhook_endpoints
+         SET active = COALESCE($3, active), events = COALESCE($4, events), url = COALESCE($5, url)
+         WHERE id::text = $1 AND user_id = $2
+         RETURNING ${WEBHOOK_COLUMNS}`,
+        [String(req.params.id), req.user.sub, active ?? null, events || null, url || null]
+      );
+      if (!q.rowCount) return sendError(res, 404, "webhook_not_found", "Webhook endpoint not found");
+      return res.json(q.rows[0]);
+    } catch (err) {
+      return handleError(res, "Webhook update error", err);
+    }
+  });
+
+  router.delete("/webhooks/:id", authMiddleware, async (req, res) => {
+    try {
+      const q = await pool.query("DELETE FROM webhook_endpoints WHERE id::text = $1 AND user_id = $2", [String(req.params.id), req.user.sub]);
+      if (!q.rowCount) return sendError(res, 404, "webhook_not_found", "Webhook endpoint not found");
+      return res.json({ ok: true });
+    } catch (err) {
+      return handleError(res, "Webhook delete error", err);
+    }
+  });
+
+  router.get("/webhooks/:id/deliveries", authMiddleware, async (req, res) => {
+    try {
+      const { limit, page, offset } = pageParams(req.query, 50);
+      const q = await pool.query(
+        `SELECT d.id, d.event_id, d.event_type, d.status, d.attempts, d.next_attempt_at, d.last_status_code, d.last_error,
+                d.last_duration_ms, d.last_attempt_at, d.delivered_at, d.redelivery_of, d.created_at
+         FROM webhook_deliveries d
+         JOIN webhook_endpoints e ON e.id = d.endpoint_id
+         WHERE e.id::text = $1 AND e.user_id = $2
+         ORDER BY d.created_at DESC
+         LIMIT $3 OFFSET $4`,
+        [String(req.params.id), req.user.sub, limit, offset]
+      );
+      return res.json({ items: q.rows, page, limit });
+    } catch (err) {
+      return handleError(res, "Webhook deliveries error", err);
+    }
+  });
+
+  router.post("/webhooks/:id/deliveries/:deliveryId/redeliver", authMiddleware, async (req, res) => {
+    try {
+      const own = await pool.query(
+        `SELECT d.id FROM webhook_deliveries d
+         JOIN webhook_endpoints e ON e.id = d.endpoint_id
+         WHERE d.id::text = $1 AND e.id::text = $2 AND e.user_id = $3`,
+        [String(req.params.deliveryId), String(req.params.id), req.user.sub]
+      );
+      if (!own.rowCount) return sendError(res, 404, "delivery_not_found", "Delivery not found");
+      return res.json(await redeliver(own.rows[0].id));
+    } catch (err) {
+      return handleError(res, "Webhook redeliver error", err);
+    }
+  });
+
+  // Fires a real, signed sample event at one endpoint (endpoint_id) or at all of the user's active endpoints.
+  router.post("/webhooks/test", authMiddleware, validateBody(TEST_WEBHOOK_SCHEMA), async (req, res) => {
+    try {
+      const { endpoint_id, event } = req.body;
+      const q = await pool.query(
+        `SELECT id, url FROM webhook_endpoints
+         WHERE user_id = $1 AND ($2::text IS NULL OR id::text = $2) AND (active OR $2::text IS NOT NULL)`,
+        [req.user.sub, endpoint_id || null]
+      );
+      if (!q.rowCount) return sendError(res, 404, "webhook_not_found", "No webhook endpoint to test; register one first");
+      const results = [];
+      for (const e of q.rows) results.push({ endpoint_id: e.id, url: e.url, ...(await sendTestEvent(e.id, event)) });
+      return res.json({ event, results });
+    } catch (err) {
+      return handleError(res, "Webhook test error", err);
+    }
+  });
+
+  // Same as /webhooks/test for the one endpoint in the path, paused or not; answers with its delivery.
+  router.post("/webhooks/:id/test", authMiddleware, validateBody(TEST_ENDPOINT_SCHEMA), async (req, res) => {
+    try {
+      const q = await pool.query("SELECT id, url FROM webhook_endpoints WHERE id::text = $1 AND user_id = $2", [String(req.params.id), req.user.sub]);
+      if (!q.rowCount) return sendError(res, 404, "webhook_not_found", "Webhook endpoint not found");
+      const { id, url } = q.rows[0];
+      return res.json({ event: req.body.event, endpoint_id: id, url, ...(await sendTestEvent(id, req.body.event)) });
+    } catch (err) {
+      return handleError(res, "Webhook test error", err);
+    }
+  });
+
+  // Provider statuses -> our transfer statuses. "failed"/"returned" send the money back to the sender.
+  const SETTLEMENT_STATUS = { pending: "pending", processing: "pending", completed: "completed", settled: "completed", failed: "refunded", returned: "refunded" };
+
+  const SETTLEMENT_TRANSITIONS = {
+    pending: ["completed", "refunded"],
+    claimed: ["completed", "refunded"],
+  };
+
+  function verifyProviderSignature(req) {
+    if (!WEBHOOK_SECRET) return false;
+    const header = String(req.get("x-provider-signature") || "");
+    const parts = Object.fromEntries(header.split(",").map((p) => p.trim().split("=")));
+    const ts = Number(parts.t);
+    if (!ts || !parts.v1 || !req.rawBody) return false;
+    if (Math.abs(clock.now().getTime() / 1000 - ts) > WEBHOOK_TOLERANCE_SECONDS) return false;
+    const expected = crypto.createHmac("sha256", WEBHOOK_SECRET).update(`${ts}.${req.rawBody.toString("utf8")}`).digest("hex");
+    const a = Buffer.from(expected, "hex");
+    const b = Buffer.from(String(parts.v1), "hex");
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  // signature first: it covers the raw body, and unsigned callers learn nothing about the schema
+  const checkSignature = (req, res, next) => (verifyProviderSignature(req) ? next() : sendError(res, 401, "invalid_signature", "Invalid signature"));
+
+  router.post("/webhooks/settlement", checkSignature, validateBody(SETTLEMENT_SCHEMA, { allowUnknown: true }), async (req, res) => {
+    const { event_id, reference, status, provider_reference } = req.body;
+    const target = SETTLEMENT_STATUS[status];
+    if (!target) return sendError(res, 400, "invalid_field", `Unknown status: ${status}`, { field: "status" });
+
+    let client;
+    let settled = null;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      // claim the event id first: a replay blocks here until the first delivery commits, then sees the row
+      const ins = await client.query(
+        `INSERT INTO provider_events (event_id, reference, status, payload)
+         VALUES ($1,$2,$3,$4)
+         ON CONFLICT (event_id) DO NOTHING`,
+        [event_id, reference, status, req.rawBody.toString("utf8")]
+      );
+      if (!ins.rowCount) {
+        await client.query("ROLLBACK");
+        const prev = await pool.query("SELECT result FROM provider_events WHERE event_id = $1", [event_id]);
+        return res.json({ ok: true, duplicate: true, result: prev.rows[0] ? prev.rows[0].result : null });
+      }
+
+      const q = await client.query(
+        `SELECT t.id, t.status, t.amount, t.currency, t.sender_account_id, t.recipient_account_id, a.user_id AS sender_user_id
+         FROM transfers t
+         JOIN accounts a ON a.id = t.sender_account_id
+         WHERE t.id::text = $1
+         FOR UPDATE OF t`,
+        [reference]
+      );
+      const t = q.rows[0];
+      let result;
+      if (!t || t.recipient_account_id) {
+        result = "unknown_reference";
+      } else if (t.status === target) {
+        result = "noop";
+      } else if (!(SETTLEMENT_TRANSITIONS[t.status] || []).includes(target)) {
+        result = `invalid_transition:${t.status}->${target}`;
+      } else if (target === "completed") {
+        // the funds have been on hold since the transfer was created; settlement captures the hold, debiting the
+        // sender into the external settlement account (transfers from before holds move out of clearing instead)
+        await completeExternalTransfer(client, t, provider_reference);
+        result = "completed";
+      } else {
+        await refundTransfer(client, t, "payout failed at provider");
+        await client.query("UPDATE transfers SET provider_reference = COALESCE($2, provider_reference) WHERE id = $1", [t.id, provider_reference]);
+        result = "refunded";
+      }
+      // not applied: drop the event claim too, so the provider's retry (the transfer may not exist yet, or may
+      // still be in review) is processed afresh instead of being answered as a duplicate
+      if (result === "unknown_reference") {
+        await client.query("ROLLBACK");
+        return sendError(res, 404, "unknown_reference", "Unknown transfer reference", { details: { result } });
+      }
+      if (result.startsWith("invalid_transition")) {
+        await client.query("ROLLBACK");
+        return sendError(res, 409, "invalid_transition", `Invalid status transition from ${t.status} to ${target}`, { details: { result } });
+      }
+      await client.query("UPDATE provider_events SET result = $2, transfer_id = $3 WHERE event_id = $1", [event_id, result, t.id]);
+      await client.query("COMMIT");
+      if (result === "completed" || result === "refunded") settled = { ...t, status: result };
+
+      res.json({ ok: true, id: t.id, status: result === "noop" ? t.status : result, result });
+    } catch (err) {
+      if (client) await client.query("ROLLBACK").catch(() => {});
+      return handleError(res, "Settlement webhook error", err);
+    } finally {
+      if (client) client.release();
+    }
+
+    if (settled) {
+      const amt = formatMoney(settled.amount, settled.currency);
+      emitTransferEvent(settled.sender_user_id, settled.status, { id: settled.id, status: settled.status, amount: settled.amount, direction: "out" });
+      const body = settled.status === "completed" ? `Your transfer of ${amt} has been delivered.` : `Your transfer of ${amt} could not be delivered and was refunded.`;
+      notify(settled.sender_user_id, settled.status === "completed" ? "Transfer completed" : "Transfer refunded", body, "transfer", { transfer_id: settled.id }).catch((e) =>
+        console.warn("settlement notification failed", e)
+      );
+    }
+  });
+
+  return router;
+}
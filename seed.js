@@ -0,0 +1,187 @@
+// Creates demo users, accounts and a little transaction history for local development.
+//
+//   node seed.js [--reset]
+//
+// Applies pending migrations first. Every demo user signs in with SEED_PASSWORD (default "demo-password-1").
+// Money goes through the journal (utils/ledger.js), so `npm run ledger:reconcile` stays clean.
+// Re-running skips users that already exist; --reset deletes the demo users' data first.
+// Refuses to run with NODE_ENV=production.
+import dotenv from "dotenv";
+import bcrypt from "bcryptjs";
+import { Pool } from "pg";
+import { migrate } from "./utils/migrations.js";
+import { postJournal, systemAccount, OPENING_BALANCE } from "./utils/ledger.js";
+
+dotenv.config();
+
+const PASSWORD = process.env.SEED_PASSWORD || "demo-password-1";
+
+const USERS = [
+  {
+    fullname: "Ada Demo",
+    email: "ada@demo.bankswift.test",
+    phone: "+15550100001",
+    accountname: "ada",
+    role: "admin",
+    accounts: [
+      { type: "checking", currency: "USD", opening: 5200 },
+      { type: "savings", currency: "USD", opening: 12000, nickname: "Rainy day" },
+    ],
+  },
+  {
+    fullname: "Ben Demo",
+    email: "ben@demo.bankswift.test",
+    phone: "+15550100002",
+    accountname: "ben",
+    accounts: [
+      { type: "checking", currency: "USD", opening: 1850 },
+      { type: "checking", currency: "EUR", opening: 900, nickname: "Travel" },
+    ],
+  },
+  {
+    fullname: "Cleo Demo",
+    email: "cleo@demo.bankswift.test",
+    phone: "+15550100003",
+    accountname: "cleo",
+    accounts: [{ type: "checking", currency: "USD", opening: 640 }],
+  },
+];
+
+// [from email, to email, amount, description] between the users' first USD checking accounts
+const TRANSFERS = [
+  ["ada@demo.bankswift.test", "ben@demo.bankswift.test", 120, "Dinner"],
+  ["ben@demo.bankswift.test", "cleo@demo.bankswift.test", 45.5, "Concert tickets"],
+  ["cleo@demo.bankswift.test", "ada@demo.bankswift.test", 20, "Coffee"],
+  ["ada@demo.bankswift.test", "cleo@demo.bankswift.test", 300, "Rent share"],
+];
+
+if (process.env.NODE_ENV === "production") {
+  console.error("Refusing to seed demo data with NODE_ENV=production.");
+  process.exit(1);
+}
+
+const useSsl = process.env.PGSSLMODE === "require" || process.env.NODE_ENV === "production";
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL || undefined,
+  ssl: useSsl ? { rejectUnauthorized: false } : false,
+});
+
+// Removes everything hanging off the demo users so they can be created again.
+async function resetDemoUsers(client, emails) {
+  const users = await client.query("SELECT id FROM users WHERE email = ANY($1)", [emails]);
+  const ids = users.rows.map((u) => u.id);
+  if (!ids.length) return;
+  const accounts = await client.query("SELECT id FROM accounts WHERE user_id = ANY($1)", [ids]);
+  const accountIds = accounts.rows.map((a) => a.id);
+  const transfers = await client.query("SELECT id FROM transfers WHERE sender_account_id = ANY($1) OR recipient_account_id = ANY($1)", [accountIds]);
+  const transferIds = transfers.rows.map((t) => t.id);
+  await client.query("DELETE FROM holds WHERE account_id = ANY($1) OR transfer_id = ANY($2)", [accountIds, transferIds]);
+  await client.query(
+    "DELETE FROM journal_entries WHERE journal_id IN (SELECT journal_id FROM journal_entries WHERE account_id = ANY($1) UNION SELECT id FROM journals WHERE transfer_id = ANY($2))",
+    [accountIds, transferIds]
+  );
+  await client.query("DELETE FROM journals j WHERE transfer_id = ANY($1) OR NOT EXISTS (SELECT 1 FROM journal_entries e WHERE e.journal_id = j.id)", [transferIds]);
+  await client.query("DELETE FROM scheduled_transfer_runs WHERE transfer_id = ANY($1)", [transferIds]);
+  await client.query("DELETE FROM transfers WHERE id = ANY($1)", [transferIds]);
+  await client.query("DELETE FROM transactions WHERE account_id = ANY($1)", [accountIds]);
+  await client.query("DELETE FROM accounts WHERE id = ANY($1)", [accountIds]);
+  await client.query("DELETE FROM notifications WHERE user_id = ANY($1)", [ids]);
+  await client.query("DELETE FROM admin_audit WHERE actor_id = ANY($1)", [ids]);
+  await client.query("UPDATE transfer_limits SET updated_by = NULL WHERE updated_by = ANY($1)", [ids]);
+  await client.query("DELETE FROM users WHERE id = ANY($1)", [ids]);
+  console.log(`Removed ${ids.length} existing demo user(s).`);
+}
+
+async function createUser(client, u, passwordHash) {
+  const q = await client.query(
+    `INSERT INTO users (fullname, email, password_hash, phone, accountname, role, email_verified_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())
+     RETURNING id`,
+    [u.fullname, u.email, passwordHash, u.phone, u.accountname, u.role || "user"]
+  );
+  const userId = q.rows[0].id;
+  for (const a of u.accounts) {
+    const acc = await client.query("INSERT INTO accounts (user_id, type, currency, nickname) VALUES ($1, $2, $3, $4) RETURNING id", [
+      userId,
+      a.type,
+      a.currency,
+      a.nickname || null,
+    ]);
+    await postJournal(client, {
+      kind: "opening_balance",
+      description: "Opening deposit",
+      entries: [
+        { accountId: acc.rows[0].id, currency: a.currency, amount: a.opening },
+        { system: systemAccount(OPENING_BALANCE, a.currency), currency: a.currency, amount: -a.opening },
+      ],
+    });
+  }
+  return userId;
+}
+
+async function usdChecking(client, email) {
+  const q = await client.query(
+    `SELECT a.id, u.fullname FROM accounts a JOIN users u ON u.id = a.user_id
+     WHERE u.email = $1 AND a.type = 'checking' AND a.currency = 'USD' AND a.closed_at IS NULL
+     ORDER BY a.created_at LIMIT 1`,
+    [email]
+  );
+  return q.rows[0];
+}
+
+async function createTransfer(client, [fromEmail, toEmail, amount, description]) {
+  const from = await usdChecking(client, fromEmail);
+  const to = await usdChecking(client, toEmail);
+  const t = await client.query(
+    `INSERT INTO transfers (sender_account_id, recipient_account_id, recipient_email, recipient_name, amount, currency, method, status, description, completed_at)
+     VALUES ($1, $2, $3, $4, $5, 'USD', 'standard', 'completed', $6, NOW())
+     RETURNING id`,
+    [from.id, to.id, toEmail, to.fullname, amount, description]
+  );
+  await postJournal(client, {
+    kind: "transfer",
+    transferId: t.rows[0].id,
+    entries: [
+      { accountId: from.id, currency: "USD", amount: -amount, description: `${description} (to ${to.fullname})` },
+      { accountId: to.id, currency: "USD", amount, description: `${description} (from ${from.fullname})` },
+    ],
+  });
+}
+
+const client = await pool.connect();
+try {
+  await migrate(pool, { log: (line) => console.log(line) });
+
+  await client.query("BEGIN");
+  const emails = USERS.map((u) => u.email);
+  if (process.argv.includes("--reset")) await resetDemoUsers(client, emails);
+
+  const existing = await client.query("SELECT email FROM users WHERE email = ANY($1)", [emails]);
+  const skip = new Set(existing.rows.map((r) => r.email));
+  const passwordHash = await bcrypt.hash(PASSWORD, 10);
+  let created = 0;
+  for (const u of USERS) {
+    if (skip.has(u.email)) continue;
+    await createUser(client, u, passwordHash);
+    created++;
+  }
+  // the history only makes sense between freshly created users
+  if (created === USERS.length) {
+    for (const t of TRANSFERS) await createTransfer(client, t);
+  }
+  await client.query("COMMIT");
+
+  if (!created) {
+    console.log("Demo users already exist (use --reset to recreate them).");
+  } else {
+    console.log(`Created ${created} demo user(s)${created === USERS.length ? ` and ${TRANSFERS.length} transfers` : ""}. Password: ${PASSWORD}`);
+    for (const u of USERS) if (!skip.has(u.email)) console.log(`  ${u.email}${u.role === "admin" ? "  (admin)" : ""}`);
+  }
+} catch (err) {
+  await client.query("ROLLBACK").catch(() => {});
+  console.error("Seeding failed:", err.message);
+  process.exitCode = 1;
+} finally {
+  client.release();
+  await pool.end();
+}
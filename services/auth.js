@@ -0,0 +1,249 @@
+// services/auth.js
+// Access tokens and sessions, authMiddleware/requireRole, sign-in throttling, email verification and
+// second-factor checks.
+
+import jwt from "jsonwebtoken";
+import { FX_BASE_CURRENCY, formatMoney, loadRates, convertMid } from "../utils/fx.js";
+import { verifyTotp, generateRecoveryCodes, normalizeRecoveryCode } from "../utils/totp.js";
+import { recordFailure, clearThrottle, THROTTLE } from "../utils/throttle.js";
+import { JWT_SECRET, APP_BASE_URL, ACCESS_TOKEN_MINUTES, REFRESH_TOKEN_DAYS, UNLOCK_TOKEN_HOURS, VERIFY_TOKEN_HOURS, STEP_UP_AMOUNT, SQLITE_TOKEN_HOURS } from "../utils/config.js";
+import { makeToken, hashToken, escapeHtml, sendError, handleError } from "../utils/helpers.js";
+import { compareMoney } from "../utils/money.js";
+
+export function createAuthService(ctx) {
+  const { store, pool } = ctx;
+  const USE_POSTGRES = store.kind === "postgres";
+  const { sendEmail, renderEmail } = ctx.mailer;
+  const { summarizeAccounts } = ctx.profile;
+
+  function issueToken(user, sessionId) {
+    return jwt.sign({ sub: user.id, email: user.email, sid: String(sessionId) }, JWT_SECRET, { expiresIn: `${ACCESS_TOKEN_MINUTES}m` });
+  }
+
+  // SQLite backend: no sessions table, so no sid and no refresh token; the token just runs out
+  function issueLocalToken(user) {
+    return jwt.sign({ sub: user.id, email: user.email }, JWT_SECRET, { expiresIn: `${SQLITE_TOKEN_HOURS}h` });
+  }
+
+  async function authMiddleware(req, res, next) {
+    const auth = req.headers.authorization || "";
+    let token = auth.startsWith("Bearer ") ? auth.replace("Bearer ", "") : "";
+    if (!token && req.query && req.query.token) token = String(req.query.token);
+    if (!token) return sendError(res, 401, "missing_token", "Unauthorized: missing token");
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+      return sendError(res, 401, "invalid_token", "Unauthorized: invalid or expired token");
+    }
+    // 2FA challenge tokens only work at /api/login/2fa
+    if (payload.purpose) return sendError(res, 401, "invalid_token", "Unauthorized: invalid or expired token");
+    let account;
+    try {
+      account = await store.users.authState(payload.sub, sessionIdOf(payload));
+    } catch (err) {
+      return handleError(res, "Auth check error", err);
+    }
+    const rejected = tokenRejection(payload, account);
+    if (rejected) return sendError(res, 401, rejected, rejected === "session_ended" ? "Unauthorized: session ended" : "Unauthorized: invalid or expired token");
+    req.user = { ...payload, role: account.role || "user" };
+    next();
+  }
+
+  function sessionIdOf(payload) {
+    return payload.sid && /^\d+$/.test(payload.sid) ? payload.sid : null;
+  }
+
+  // Error code for a verified access token whose user, session or password has moved on since, else null.
+  function tokenRejection(payload, account) {
+    if (!account) return "invalid_token";
+    // a revoked (signed-out) session takes its access tokens with it; tokens without a sid predate
+    // sessions and simply run out
+    if (payload.sid && !account.session_id) return "session_ended";
+    // tokens issued before the last password change are no longer valid
+    const changedAt = account.password_changed_at;
+    if (changedAt && payload.iat < Math.floor(new Date(changedAt).getTime() / 1000)) return "invalid_token";
+    return null;
+  }
+
+  // Re-runs authMiddleware's account checks for a request it already let through (req.user); long-lived
+  // SSE streams call it on every heartbeat so a sign-out or password reset ends them too.
+  async function isStillAuthorized(user) {
+    const account = await store.users.authState(user.sub, sessionIdOf(user));
+    return !tokenRejection(user, account);
+  }
+
+  // Use after authMiddleware.
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user || req.user.role !== role) return sendError(res, 403, "forbidden", "Forbidden: insufficient role");
+      next();
+    };
+  }
+
+  function loginThrottleKeys(req, email) {
+    return [`ip:${req.ip}`, `email:${email}`];
+  }
+
+  // Same message whether the attempt is slowed down or locked out, and whether or not the email exists.
+  function tooManyAttempts(res, wait) {
+    res.set("Retry-After", String(wait.retryAfter));
+    return sendError(res, 429, "too_many_attempts", "Too many sign-in attempts. Please wait a moment and try again.");
+  }
+
+  async function loginFailed(keys, user) {
+    if (!USE_POSTGRES) return;
+    const { locked } = await recordFailure(pool, keys);
+    if (user && locked.includes(`email:${user.email}`)) {
+      sendLockoutNotice(user).catch((e) => console.warn("lockout email failed", e));
+    }
+  }
+
+  async function sendLockoutNotice(user) {
+    const token = makeToken(32);
+    await pool.query("INSERT INTO account_unlocks (user_id, token_hash, expires_at) VALUES ($1, $2, NOW() + make_interval(hours => $3))", [
+      user.id,
+      hashToken(token),
+      UNLOCK_TOKEN_HOURS,
+    ]);
+    const unlockLink = `${APP_BASE_URL}/login.html?unlock=${encodeURIComponent(token)}`;
+    const resetLink = `${APP_BASE_URL}/forgot-password.html`;
+    const html = renderEmail(
+      "Sign-in locked",
+      `<p>Hi ${escapeHtml(user.fullname || "there")},</p>
+       <p>We saw too many failed sign-in attempts on your Bank Swift account, so sign-in is paused for ${THROTTLE.lockoutMinutes} minutes.</p>
+       <p>If this was you, <a href="${unlockLink}">unlock your account now</a> (link valid for ${UNLOCK_TOKEN_HOURS} hours).</p>
+       <p>If it wasn't, someone may be guessing your password. <a href="${resetLink}">Reset your password</a> to be safe.</p>`
+    );
+    await sendEmail(user.email, "Your Bank Swift sign-in was locked", html);
+  }
+
+  async function completeLogin(req, res, user) {
+    if (USE_POSTGRES) await clearThrottle(pool, `email:${user.email}`);
+    const accounts = await store.accounts.listForUser(user.id);
+
+    const tokens = await startSession(req, user);
+
+    try {
+      await store.users.recordLogin(user.id, { ip: req.ip || req.headers["x-forwarded-for"] || null, userAgent: req.get("user-agent") || null });
+    } catch (e) {
+      console.warn("Failed to update last_login", e);
+    }
+
+    return res.json({
+      id: user.id,
+      fullname: user.fullname,
+      email: user.email,
+      accountname: user.accountname,
+      ...summarizeAccounts(accounts),
+      ...tokens,
+    });
+  }
+
+  // Sign-up emails a single-use link (stored hashed, like password resets). Until it is used the user can
+  // sign in and move money between their own and other Bank Swift accounts, but not send external transfers.
+
+  // Replaces any unused link for the user; returns the plaintext token for the email.
+  async function createEmailVerification(db, userId) {
+    const token = makeToken(32);
+    await db.query("UPDATE email_verifications SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL", [userId]);
+    await db.query("INSERT INTO email_verifications (user_id, token_hash, expires_at) VALUES ($1, $2, NOW() + make_interval(hours => $3))", [
+      userId,
+      hashToken(token),
+      VERIFY_TOKEN_HOURS,
+    ]);
+    return token;
+  }
+
+  async function sendVerificationEmail(user, token) {
+    const link = `${APP_BASE_URL}/register.html?verify=${encodeURIComponent(token)}`;
+    const html = renderEmail(
+      "Confirm your email",
+      `<p>Hi ${escapeHtml(user.fullname || "there")},</p>
+       <p>Confirm that ${escapeHtml(user.email)} is your email address to finish setting up Bank Swift. The link expires in ${VERIFY_TOKEN_HOURS} hours.</p>
+       <p><a href="${link}">Confirm my email</a></p>
+       <p>Until then you can't send transfers outside Bank Swift.</p>`
+    );
+    await sendEmail(user.email, "Confirm your Bank Swift email", html);
+  }
+
+  // Checks a TOTP code or an unused recovery code and consumes it. Pass the transaction's client when
+  // the caller may roll back, so a failed request doesn't burn the code.
+  async function verifySecondFactor(db, userId, { code, recoveryCode }) {
+    if (code) {
+      const q = await db.query("SELECT totp_secret, totp_last_step FROM users WHERE id=$1", [userId]);
+      const u = q.rows[0];
+      if (!u || !u.totp_secret) return false;
+      const step = verifyTotp(u.totp_secret, code, { afterStep: u.totp_last_step });
+      if (step === null) return false;
+      const upd = await db.query("UPDATE users SET totp_last_step = $2 WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)", [userId, step]);
+      return upd.rowCount === 1;
+    }
+    if (recoveryCode) {
+      const upd = await db.query(
+        "UPDATE recovery_codes SET used_at = NOW() WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL RETURNING id",
+        [userId, hashToken(normalizeRecoveryCode(recoveryCode))]
+      );
+      return upd.rowCount === 1;
+    }
+    return false;
+  }
+
+  async function replaceRecoveryCodes(client, userId) {
+    const codes = generateRecoveryCodes();
+    await client.query("DELETE FROM recovery_codes WHERE user_id = $1", [userId]);
+    for (const c of codes) {
+      await client.query("INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)", [userId, hashToken(normalizeRecoveryCode(c))]);
+    }
+    return codes;
+  }
+
+  // Transfers worth STEP_UP_AMOUNT (in FX_BASE_CURRENCY) or more from a 2FA user need a fresh code in the
+  // X-TOTP-Code header. Returns null when the request may go ahead, otherwise { status, code, message }.
+  async function checkStepUp(db, req, userId, { accountId, amount }) {
+    const q = await db.query(
+      "SELECT u.totp_enabled_at, a.currency FROM users u LEFT JOIN accounts a ON a.id = $2 AND a.user_id = u.id WHERE u.id = $1",
+      [userId, accountId]
+    );
+    if (!q.rows[0] || !q.rows[0].totp_enabled_at) return null;
+    const value = convertMid(await loadRates(db), q.rows[0].currency || FX_BASE_CURRENCY, FX_BASE_CURRENCY, amount);
+    if (value !== null && compareMoney(value, STEP_UP_AMOUNT) < 0) return null;
+    const given = req.get("x-totp-code");
+    const message = `Transfers of ${formatMoney(STEP_UP_AMOUNT, FX_BASE_CURRENCY)} or more need a code from your authenticator app`;
+    if (!given) return { status: 403, code: "step_up_required", message };
+    if (!(await verifySecondFactor(db, userId, { code: given }))) return { status: 403, code: "step_up_invalid", message: "Invalid authentication code" };
+    return null;
+  }
+
+  // Each sign-in opens a session row. Access tokens are short JWTs carrying the session id (sid), so
+  // authMiddleware can refuse them as soon as the session is revoked; the refresh token (stored only as a
+  // hash) buys a new pair and is replaced on every use.
+  async function startSession(req, user) {
+    if (!USE_POSTGRES) return { token: issueLocalToken(user), expires_in: SQLITE_TOKEN_HOURS * 3600 };
+    const refreshToken = makeToken(32);
+    const q = await pool.query(
+      `INSERT INTO sessions (user_id, refresh_hash, ip, user_agent, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+       RETURNING id`,
+      [user.id, hashToken(refreshToken), req.ip || null, req.get("user-agent") || null, REFRESH_TOKEN_DAYS]
+    );
+    return { token: issueToken(user, q.rows[0].id), refresh_token: refreshToken, expires_in: ACCESS_TOKEN_MINUTES * 60 };
+  }
+
+  return {
+    issueToken,
+    authMiddleware,
+    isStillAuthorized,
+    requireRole,
+    loginThrottleKeys,
+    tooManyAttempts,
+    loginFailed,
+    completeLogin,
+    createEmailVerification,
+    sendVerificationEmail,
+    verifySecondFactor,
+    replaceRecoveryCodes,
+    checkStepUp,
+    startSession,
+  };
+}
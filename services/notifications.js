@@ -0,0 +1,23 @@
+// services/notifications.js
+// In-app notifications and transfer lifecycle events (SSE + outbound webhooks).
+
+import { publish } from "../utils/events.js";
+
+export function createNotificationService(ctx) {
+  const { store } = ctx;
+  const { enqueueWebhookEvent } = ctx.webhooks;
+
+  // Fans a transfer lifecycle change out to open streams and the user's webhook endpoints.
+  function emitTransferEvent(userId, type, evt) {
+    publish(userId, "transfer", evt);
+    enqueueWebhookEvent(userId, `transfer.${type}`, evt).catch((e) => console.warn("webhook enqueue failed", e));
+  }
+
+  async function notify(userId, title, body, type = "info", meta = {}) {
+    const row = await store.notifications.add({ userId, title, body, type, meta });
+    publish(userId, "notification", row);
+    return row;
+  }
+
+  return { emitTransferEvent, notify };
+}
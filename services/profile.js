@@ -0,0 +1,64 @@
+// services/profile.js
+// The profile payload (user + account balances) and pushing balance changes to open streams.
+
+import { publish } from "../utils/events.js";
+import { FX_BASE_CURRENCY, loadRates, convertMid } from "../utils/fx.js";
+import { sumMoney } from "../utils/money.js";
+
+export function createProfileService(ctx) {
+  const { store, pool } = ctx;
+  const USE_POSTGRES = store.kind === "postgres";
+
+  async function loadProfile(userId) {
+    const user = await store.users.findById(userId);
+    if (!user) return null;
+
+    const accounts = await store.accounts.listForUser(user.id);
+    const summary = summarizeAccounts(accounts);
+
+    // every balance converted at mid-market into the preferred currency; null if a rate is missing
+    const preferred = user.preferred_currency || FX_BASE_CURRENCY;
+    const rates = USE_POSTGRES ? await loadRates(pool) : new Map([[FX_BASE_CURRENCY, 1]]);
+    const converted = accounts.map((a) => convertMid(rates, a.currency || FX_BASE_CURRENCY, preferred, a.balance));
+    summary.balances.converted_total = { currency: preferred, amount: converted.includes(null) ? null : sumMoney(converted, preferred) };
+
+    return {
+      id: user.id,
+      fullname: user.fullname,
+      email: user.email,
+      phone: user.phone,
+      accountname: user.accountname,
+      preferred_currency: preferred,
+      two_factor_enabled: !!user.totp_enabled_at,
+      email_verified: !!user.email_verified_at,
+      ...summary,
+    };
+  }
+
+  // Totals per account type (checking/savings) alongside the full list, as the dashboards expect. Amounts
+  // are decimal strings. Balances in different currencies don't add up: such a total is null, and
+  // balances.converted_total (loadProfile) is the overall figure to show instead.
+  function summarizeAccounts(accounts) {
+    const currencyOf = (list) => {
+      const currencies = new Set(list.map((a) => a.currency || FX_BASE_CURRENCY));
+      return currencies.size > 1 ? null : [...currencies][0] || FX_BASE_CURRENCY;
+    };
+    const sum = (list) => {
+      const currency = currencyOf(list);
+      return currency ? sumMoney(list.map((a) => a.balance || 0), currency) : null;
+    };
+    const view = ({ id, type, nickname, balance, available, currency }) => ({ id, type, nickname, balance, available, currency });
+    return {
+      checking: sum(accounts.filter((a) => a.type === "checking")),
+      savings: sum(accounts.filter((a) => a.type === "savings")),
+      balances: { total: sum(accounts), currency: currencyOf(accounts), accounts: accounts.map(view) },
+    };
+  }
+
+  async function publishAccounts(userId) {
+    const profile = await loadProfile(userId);
+    if (profile) publish(userId, "profile.updated", { checking: profile.checking, savings: profile.savings, balances: profile.balances });
+  }
+
+  return { loadProfile, summarizeAccounts, publishAccounts };
+}
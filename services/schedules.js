@@ -0,0 +1,170 @@
+// services/schedules.js
+// One-off (future-dated) and recurring transfers. The in-process scheduler runs due schedules through
+// executeTransfer(), so they take the same locks and ledger path as POST /api/transfers.
+
+import { publish } from "../utils/events.js";
+import { FREQUENCIES, nextRunAfter, upcomingRuns } from "../utils/schedules.js";
+import { FX_BASE_CURRENCY, formatMoney } from "../utils/fx.js";
+import { SCHEDULE_POLL_MS } from "../utils/config.js";
+
+// The schedule half of a POST /api/schedules body (the rest is TRANSFER_SCHEMA).
+export const SCHEDULE_SCHEMA = {
+  frequency: { type: "enum", values: FREQUENCIES, required: true },
+  start_at: { type: "date", required: true },
+  day_of_month: { type: "number", integer: true, min: 1, max: 31 },
+  end_at: { type: "date" },
+};
+
+export function createScheduleService(ctx) {
+  const { pool, clock } = ctx;
+  const { notify } = ctx.notifications;
+  const { parseTransferInput, executeTransfer, afterTransferCommitted } = ctx.transfers;
+
+  // a later run may succeed once funds arrive or the limit window rolls over; anything else pauses the schedule
+  const SKIPPABLE_RUN_ERRORS = ["insufficient_funds", "limit_daily", "limit_monthly", "velocity_external_hourly"];
+
+  let schedulerRunning = false;
+
+  function scheduleView(s, runs) {
+    const view = {
+      id: s.id,
+      frequency: s.frequency,
+      day_of_month: s.day_of_month,
+      start_at: s.start_at,
+      end_at: s.end_at,
+      next_run_at: s.next_run_at,
+      status: s.status,
+      run_count: s.run_count,
+      last_run_at: s.last_run_at,
+      created_at: s.created_at,
+      transfer: s.transfer,
+      upcoming: s.status === "active" ? upcomingRuns(s, 5) : [],
+    };
+    if (runs) view.runs = runs;
+    return view;
+  }
+
+  // Checks the SCHEDULE_SCHEMA fields against each other and the clock. Returns { schedule } or
+  // { error: { code, message, field } }.
+  function parseScheduleInput({ frequency, start_at: start, day_of_month = null, end_at: end = null }) {
+    const invalid = (field, message) => ({ error: { code: "invalid_field", message, field } });
+    if (start.getTime() <= clock.now().getTime()) return invalid("start_at", "start_at must be in the future");
+    if (end && end <= start) return invalid("end_at", "end_at must be after start_at");
+    const dom = frequency === "monthly" ? day_of_month ?? start.getUTCDate() : null;
+    const schedule = { frequency, start_at: start, day_of_month: dom, end_at: end };
+    schedule.next_run_at = nextRunAfter(schedule, new Date(start.getTime() - 1));
+    if (!schedule.next_run_at) return invalid("end_at", "The schedule has no runs before end_at");
+    return { schedule };
+  }
+
+  async function runOneDueSchedule() {
+    let client;
+    let outcome = null;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const q = await client.query(
+        `SELECT st.*, a.currency AS sender_currency
+         FROM scheduled_transfers st
+         LEFT JOIN accounts a ON a.id::text = st.transfer->>'sender_account_id'
+         WHERE st.status = 'active' AND st.next_run_at <= NOW()
+         ORDER BY st.next_run_at
+         LIMIT 1
+         FOR UPDATE OF st SKIP LOCKED`
+      );
+      const s = q.rows[0];
+      if (!s) {
+        await client.query("COMMIT");
+        return false;
+      }
+
+      await client.query("SAVEPOINT run");
+      const parsed = parseTransferInput(s.transfer);
+      let result;
+      try {
+        result = parsed.error
+          ? { error: { status: 400, code: "invalid_transfer", message: parsed.error.message } }
+          : await executeTransfer(client, s.user_id, parsed.input);
+      } catch (err) {
+        // recorded as a failed run like a returned error: left as is, the schedule would stay first in
+        // line and block every later one on each poll
+        console.warn("scheduled transfer run threw", s.id, err);
+        result = { error: { status: 500, code: "run_error", message: "An unexpected error occurred" } };
+      }
+      let runStatus = "executed";
+      if (result.error) {
+        await client.query("ROLLBACK TO SAVEPOINT run");
+        runStatus = SKIPPABLE_RUN_ERRORS.includes(result.error.code) ? "skipped" : "failed";
+      }
+      await client.query(
+        `INSERT INTO scheduled_transfer_runs (schedule_id, scheduled_for, status, transfer_id, error)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [s.id, s.next_run_at, runStatus, result.transfer ? result.transfer.id : null, result.error ? result.error.message : null]
+      );
+
+      // occurrences missed while the server was down are not replayed; carry on from the next future one
+      const next = nextRunAfter(s, new Date(Math.max(clock.now().getTime(), new Date(s.next_run_at).getTime())));
+      let status = next ? "active" : runStatus === "executed" ? "completed" : "failed";
+      if (runStatus === "failed" && next) status = "paused";
+      await client.query(
+        `UPDATE scheduled_transfers
+         SET next_run_at = $2, status = $3, run_count = run_count + $4, last_run_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [s.id, next, status, runStatus === "executed" ? 1 : 0]
+      );
+      await client.query("COMMIT");
+      outcome = { s, result, runStatus, next, status };
+    } catch (err) {
+      if (client) await client.query("ROLLBACK").catch(() => {});
+      throw err;
+    } finally {
+      if (client) client.release();
+    }
+
+    const { s, result, runStatus, next, status } = outcome;
+    const amount = formatMoney(s.transfer.amount, s.sender_currency || FX_BASE_CURRENCY);
+    if (runStatus === "executed") {
+      await afterTransferCommitted(s.user_id, result);
+    } else if (runStatus === "skipped") {
+      const when = next ? ` Next attempt: ${next.toUTCString()}.` : "";
+      const why = result.error.code === "insufficient_funds" ? " because of insufficient funds" : `: ${result.error.message}`;
+      await notify(s.user_id, "Scheduled transfer skipped", `Your scheduled transfer of ${amount} was skipped${why}.${when}`, "schedule", {
+        schedule_id: s.id,
+      }).catch((e) => console.warn("schedule notification failed", e));
+    } else {
+      await notify(s.user_id, status === "paused" ? "Scheduled transfer paused" : "Scheduled transfer failed", `Your scheduled transfer of ${amount} could not run: ${result.error.message}.`, "schedule", {
+        schedule_id: s.id,
+      }).catch((e) => console.warn("schedule notification failed", e));
+    }
+    publish(s.user_id, "schedule", { id: s.id, run: runStatus, status, next_run_at: next });
+    return true;
+  }
+
+  async function runDueSchedules() {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+    try {
+      for (let i = 0; i < 50; i++) {
+        if (!(await runOneDueSchedule())) break;
+      }
+    } catch (err) {
+      console.warn("scheduled transfer run failed", err);
+    } finally {
+      schedulerRunning = false;
+    }
+  }
+
+  function startTransferScheduler() {
+    if (!SCHEDULE_POLL_MS) return;
+    runDueSchedules();
+    setInterval(runDueSchedules, SCHEDULE_POLL_MS).unref();
+  }
+
+  async function findSchedule(id, userId) {
+    if (!/^\d+$/.test(String(id))) return null;
+    const q = await pool.query("SELECT * FROM scheduled_transfers WHERE id = $1 AND user_id = $2", [id, userId]);
+    return q.rows[0] || null;
+  }
+
+  return { scheduleView, parseScheduleInput, runDueSchedules, startTransferScheduler, findSchedule };
+}
@@ -0,0 +1,457 @@
+// services/transfers.js
+// The transfer engine: validation, limits and risk, the ledger postings, holds for external transfers,
+// and their claim, completion, refund and expiry.
+
+import { publish } from "../utils/events.js";
+import { formatMoney, quote } from "../utils/fx.js";
+import { postJournal, systemAccount, fxLegs, placeHold, endHold, backfillOpeningBalances, EXTERNAL_CLEARING, EXTERNAL_SETTLEMENT } from "../utils/ledger.js";
+import { checkTransferLimits } from "../utils/limits.js";
+import { scoreTransfer } from "../utils/risk.js";
+import { APP_BASE_URL, CLAIM_TOKEN_DAYS, CLAIM_SWEEP_MS } from "../utils/config.js";
+import { makeToken, escapeHtml } from "../utils/helpers.js";
+import { validate } from "../utils/validate.js";
+import { parseAmount, compareMoney, negateMoney } from "../utils/money.js";
+
+// POST /api/transfers body; also the transfer half of a POST /api/schedules body.
+export const TRANSFER_SCHEMA = {
+  sender_account_id: { type: "uuid", required: true },
+  recipient_account_id: { type: "uuid" },
+  recipient_email: { type: "email" },
+  recipient_name: { type: "string", max: 120 },
+  amount: { type: "amount", required: true },
+  method: { type: "enum", values: ["standard", "ach", "eft", "wire", "btc"], default: "standard" },
+  description: { type: "string", max: 255 },
+  bank_name: { type: "string", max: 120 },
+  account_number: { type: "string", max: 34 },
+  routing_number: { type: "string", max: 34 },
+  btc_address: { type: "string", max: 100 },
+};
+
+export function createTransferService(ctx) {
+  const { pool, clock } = ctx;
+  const { sendEmail, renderEmail } = ctx.mailer;
+  const { notify, emitTransferEvent } = ctx.notifications;
+
+  // Normalises a transfer body against TRANSFER_SCHEMA (unset fields become null).
+  // Returns { input } or { error: { code, message, field } }.
+  function parseTransferInput(body) {
+    const { value, error } = validate(TRANSFER_SCHEMA, body);
+    if (error) return { error };
+    return { input: Object.fromEntries(Object.entries(value).map(([k, v]) => [k, v ?? null])) };
+  }
+
+  /**
+   * Moves the money for one transfer inside the caller's transaction (accounts locked FOR UPDATE).
+   * Returns { transfer, ... } on success or { error: { status, code, message, field? } }; on error the caller
+   * must ROLLBACK. Shared by POST /api/transfers and the scheduler. context = { ip, userAgent } of the
+   * request feeds the risk score; a high score holds the funds and leaves the transfer in 'review'.
+   */
+  async function executeTransfer(client, userId, input, context = {}) {
+    const fail = (status, code, message, details) => ({ error: { status, code, message, details } });
+    const amt = input.amount;
+
+    // resolve the recipient's account first, then lock both rows in id order: locking sender-then-recipient
+    // lets two transfers in opposite directions between the same accounts deadlock
+    let recipientId = input.recipient_account_id;
+    if (!recipientId && input.recipient_email) {
+      const r = await client.query(
+        `SELECT a.id FROM users u JOIN accounts a ON a.user_id = u.id
+         WHERE u.email = $1 AND a.type = 'checking' AND a.closed_at IS NULL
+         ORDER BY a.created_at LIMIT 1`,
+        [input.recipient_email]
+      );
+      recipientId = r.rowCount ? r.rows[0].id : null;
+    }
+    const accQ = await client.query(
+      `SELECT id, user_id, balance, available, type, currency, closed_at FROM accounts
+       WHERE id = ANY($1::uuid[])
+       ORDER BY id
+       FOR UPDATE`,
+      [[input.sender_account_id, recipientId].filter(Boolean)]
+    );
+    const senderAcc = accQ.rows.find((a) => String(a.id) === String(input.sender_account_id));
+    if (!senderAcc || senderAcc.closed_at) return fail(404, "sender_not_found", "Sender account not found");
+    if (String(senderAcc.user_id) !== String(userId)) return fail(403, "forbidden", "Forbidden: sender account does not belong to authenticated user");
+    // the schema allows 2 decimals; the sender's currency may allow fewer (JPY)
+    const precise = parseAmount(amt, senderAcc.currency);
+    if (precise.error) return { error: { status: 400, code: "invalid_field", message: precise.error, field: "amount" } };
+    if (compareMoney(senderAcc.available, amt) < 0) return fail(400, "insufficient_funds", `Insufficient funds in ${senderAcc.type}`);
+
+    // no Bank Swift account for the recipient email: an external transfer
+    const recipientAcc = recipientId ? accQ.rows.find((a) => String(a.id) === String(recipientId)) : null;
+    if (recipientId && (!recipientAcc || recipientAcc.closed_at)) return fail(404, "recipient_not_found", "Recipient account not found");
+    const isInternal = Boolean(recipientAcc);
+
+    if (!isInternal) {
+      const v = await client.query("SELECT email_verified_at FROM users WHERE id=$1", [userId]);
+      if (!v.rows[0] || !v.rows[0].email_verified_at) return fail(403, "email_unverified", "Verify your email address before sending transfers outside Bank Swift");
+    }
+
+    const blocked = await checkTransferLimits(client, userId, { amount: amt, currency: senderAcc.currency, method: input.method, external: !isInternal });
+    if (blocked) return fail(blocked.status, blocked.code, blocked.message, blocked.details);
+
+    // amount is in the sender's currency; the recipient is credited the converted amount
+    let fx = null;
+    if (isInternal && recipientAcc) {
+      fx = await quote(client, senderAcc.currency, recipientAcc.currency, amt);
+      if (!fx) return fail(422, "fx_unavailable", `No exchange rate for ${senderAcc.currency} to ${recipientAcc.currency}`);
+      if (compareMoney(fx.amount, 0) <= 0) return { error: { status: 400, code: "invalid_field", message: `amount is too small to convert to ${recipientAcc.currency}`, field: "amount" } };
+    }
+
+    const risk = await scoreTransfer(client, { userId, input, recipientAccountId: recipientAcc ? recipientAcc.id : null, currency: senderAcc.currency, context });
+    const transferStatus = risk.review ? "review" : isInternal ? "completed" : "pending";
+    const { claimToken, claimExpires } = transferStatus === "pending" ? newClaim() : { claimToken: null, claimExpires: null };
+
+    const tRes = await client.query(
+      `INSERT INTO transfers
+        (sender_account_id, recipient_account_id, recipient_email, recipient_name, amount, currency, method, status, bank_name, account_number, routing_number, btc_address, description, claim_token, claim_expires,
+         fx_rate, fx_spread, converted_amount, converted_currency, risk_score, risk_reasons, created_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,NOW())
+       RETURNING id, status, currency, created_at`,
+      [
+        senderAcc.id,
+        isInternal && recipientAcc ? recipientAcc.id : null,
+        input.recipient_email,
+        input.recipient_name,
+        amt,
+        senderAcc.currency,
+        input.method,
+        transferStatus,
+        input.bank_name,
+        input.account_number,
+        input.routing_number,
+        input.btc_address,
+        input.description,
+        claimToken,
+        claimExpires,
+        fx ? fx.rate : null,
+        fx ? fx.spread : null,
+        fx ? fx.amount : null,
+        fx ? recipientAcc.currency : null,
+        risk.score,
+        JSON.stringify(risk.reasons),
+      ]
+    );
+    const transfer = tRes.rows[0];
+
+    // internal transfers post now; external ones (and anything held for review) hold the funds until
+    // settled, rejected or expired
+    const senderDesc = input.description || (isInternal ? `Transfer to ${recipientAcc.type || 'account'}` : `External transfer to ${input.recipient_name || input.recipient_email || 'recipient'}`);
+    if (isInternal && !risk.review) {
+      const recDesc = input.description || `Received from ${senderAcc.type || 'account'}`;
+      await postJournal(client, {
+        kind: "transfer",
+        transferId: transfer.id,
+        entries: [
+          { accountId: senderAcc.id, currency: senderAcc.currency, amount: negateMoney(amt), description: senderDesc },
+          ...fxLegs(senderAcc.currency, amt, recipientAcc.currency, fx.amount),
+          { accountId: recipientAcc.id, currency: recipientAcc.currency, amount: fx.amount, description: recDesc },
+        ],
+      });
+    } else {
+      await placeHold(client, { accountId: senderAcc.id, transferId: transfer.id, amount: amt, currency: senderAcc.currency, description: senderDesc });
+    }
+
+    return { transfer, amount: amt, currency: senderAcc.currency, fx, isInternal, recipientAcc, claimToken, claimExpires, input, risk };
+  }
+
+  function newClaim() {
+    return { claimToken: makeToken(18), claimExpires: new Date(clock.now().getTime() + CLAIM_TOKEN_DAYS * 24 * 60 * 60 * 1000) };
+  }
+
+  async function sendClaimEmail({ email, name, amount, currency, claimToken, claimExpires }) {
+    const link = `${APP_BASE_URL}/pay-fee.html?token=${encodeURIComponent(claimToken)}`;
+    const html = renderEmail(
+      "You have a pending transfer",
+      `<p>${escapeHtml(name || "Hello")},</p>
+       <p>A transfer of ${formatMoney(amount, currency)} is waiting for you. Claim it before ${claimExpires.toUTCString()}; after that it is returned to the sender.</p>
+       <p><a href="${link}">Claim your transfer</a></p>`
+    );
+    await sendEmail(email, "You have a pending Bank Swift transfer", html);
+  }
+
+  // Events, notifications and the claim email for a committed executeTransfer() result.
+  async function afterTransferCommitted(userId, result) {
+    const { transfer, amount: amt, currency, fx, isInternal, recipientAcc, claimToken, claimExpires, input } = result;
+    try {
+      const transferEvt = { id: transfer.id, status: transfer.status, amount: amt, currency };
+      emitTransferEvent(userId, "created", { ...transferEvt, direction: "out" });
+      if (transfer.status === "review") {
+        await notify(userId, "Transfer under review", `Your transfer of ${formatMoney(amt, currency)} is being reviewed. The funds are on hold until it is approved or rejected.`, "transfer", {
+          transfer_id: transfer.id,
+        });
+        return;
+      }
+      if (isInternal) emitTransferEvent(userId, "completed", { ...transferEvt, direction: "out" });
+      await notify(userId, "Transfer sent", `You sent ${formatMoney(amt, currency)} ${isInternal ? "to an internal account" : "to an external recipient"}`, "transfer", { transfer_id: transfer.id });
+      if (isInternal && recipientAcc && String(recipientAcc.user_id) !== String(userId)) {
+        emitTransferEvent(recipientAcc.user_id, "completed", { ...transferEvt, amount: fx.amount, currency: recipientAcc.currency, direction: "in" });
+        await notify(recipientAcc.user_id, "Transfer received", `You received ${formatMoney(fx.amount, recipientAcc.currency)}`, "transfer", { transfer_id: transfer.id });
+      }
+      if (claimToken && input.recipient_email) {
+        await sendClaimEmail({ email: input.recipient_email, name: input.recipient_name, amount: amt, currency, claimToken, claimExpires });
+      }
+    } catch (e) {
+      console.warn("post-transfer notification failed", e);
+    }
+  }
+
+  /**
+   * SQLite backend: transfers between Bank Swift accounts in one currency. There is no journal, hold,
+   * limit, risk or idempotency support without Postgres, so the balances move directly; the debit, the
+   * credit and the transfer row commit together or not at all.
+   */
+  async function executeLocalTransfer(tx, userId, input) {
+    const fail = (status, code, message) => ({ error: { status, code, message } });
+    const amt = input.amount;
+
+    const senderAcc = await tx.accounts.get(input.sender_account_id, { lock: true });
+    if (!senderAcc || senderAcc.closed_at) return fail(404, "sender_not_found", "Sender account not found");
+    if (String(senderAcc.user_id) !== String(userId)) return fail(403, "forbidden", "Forbidden: sender account does not belong to authenticated user");
+    const precise = parseAmount(amt, senderAcc.currency);
+    if (precise.error) return { error: { status: 400, code: "invalid_field", message: precise.error, field: "amount" } };
+    if (compareMoney(senderAcc.available, amt) < 0) return fail(400, "insufficient_funds", `Insufficient funds in ${senderAcc.type}`);
+
+    let recipientAcc = null;
+    if (input.recipient_account_id) {
+      recipientAcc = await tx.accounts.get(input.recipient_account_id, { lock: true });
+      if (!recipientAcc || recipientAcc.closed_at) return fail(404, "recipient_not_found", "Recipient account not found");
+    } else if (input.recipient_email) {
+      const recipient = await tx.users.findByEmail(input.recipient_email);
+      if (recipient) recipientAcc = await tx.accounts.primaryChecking(recipient.id, { lock: true });
+    }
+    if (!recipientAcc) return fail(501, "backend_unsupported", "External transfers are not available on the SQLite backend");
+    if (recipientAcc.currency !== senderAcc.currency) return fail(501, "backend_unsupported", "Cross-currency transfers are not available on the SQLite backend");
+
+    const transfer = await tx.transfers.create({
+      senderAccountId: senderAcc.id,
+      recipientAccountId: recipientAcc.id,
+      recipientEmail: input.recipient_email,
+      recipientName: input.recipient_name,
+      amount: amt,
+      currency: senderAcc.currency,
+      method: input.method,
+      status: "completed",
+      description: input.description,
+    });
+    const senderDesc = input.description || `Transfer to ${recipientAcc.type || "account"}`;
+    const recDesc = input.description || `Received from ${senderAcc.type || "account"}`;
+    await tx.accounts.adjust(senderAcc.id, negateMoney(amt));
+    await tx.transactions.add({ accountId: senderAcc.id, type: "debit", amount: amt, description: senderDesc, reference: transfer.id });
+    await tx.accounts.adjust(recipientAcc.id, amt);
+    await tx.transactions.add({ accountId: recipientAcc.id, type: "credit", amount: amt, description: recDesc, reference: transfer.id });
+
+    // the same shape executeTransfer() returns, for afterTransferCommitted()
+    return { transfer, amount: amt, currency: senderAcc.currency, fx: { amount: amt }, isInternal: true, recipientAcc, claimToken: null, claimExpires: null, input };
+  }
+
+  function maskTail(value, keep = 4) {
+    if (!value) return null;
+    const v = String(value);
+    return v.length <= keep ? v : `${"•".repeat(Math.min(v.length - keep, 6))}${v.slice(-keep)}`;
+  }
+
+  // Public view for whoever holds the claim link: no sender details, tokens or full account numbers.
+  function claimView(t) {
+    return {
+      id: t.id,
+      amount: t.amount,
+      currency: t.currency,
+      method: t.method,
+      status: t.status,
+      recipient_name: t.recipient_name,
+      bank_name: t.bank_name,
+      account_number: maskTail(t.account_number),
+      routing_number: t.routing_number,
+      btc_address: t.btc_address ? `${String(t.btc_address).slice(0, 6)}…${String(t.btc_address).slice(-4)}` : null,
+      claim_expires: t.claim_expires,
+      claimed_at: t.claimed_at,
+      created_at: t.created_at,
+    };
+  }
+
+  // Startup: journals balances that predate the ledger so reconciliation starts from zero drift.
+  async function backfillLedger() {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const n = await backfillOpeningBalances(client);
+      await client.query("COMMIT");
+      if (n) console.log(`Ledger: recorded ${n} opening balance(s)`);
+    } catch (err) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  function isClaimExpired(t) {
+    return t.status === "pending" && t.claim_expires && new Date(t.claim_expires).getTime() <= clock.now().getTime();
+  }
+
+  // Releases a pending transfer's hold. Caller owns the transaction and must hold the transfer row lock.
+  // Transfers created before holds were debited into clearing, so those are credited back instead.
+  async function refundTransfer(client, transfer, reason) {
+    const hold = await endHold(client, transfer.id, "released");
+    if (!hold) {
+      await postJournal(client, {
+        kind: "refund",
+        transferId: transfer.id,
+        entries: [
+          { system: systemAccount(EXTERNAL_CLEARING, transfer.currency), currency: transfer.currency, amount: negateMoney(transfer.amount) },
+          { accountId: transfer.sender_account_id, currency: transfer.currency, amount: transfer.amount, description: `Refund: ${reason}` },
+        ],
+      });
+    }
+    await client.query("UPDATE transfers SET status = 'refunded', refunded_at = NOW() WHERE id = $1", [transfer.id]);
+  }
+
+  // Marks an external transfer paid out: the hold settles into a debit of the sender's ledger balance
+  // (or, for transfers from before holds, the money leaves clearing) and goes to the settlement account.
+  async function completeExternalTransfer(client, transfer, providerReference = null) {
+    const hold = await endHold(client, transfer.id, "settled");
+    const { amount } = transfer;
+    await postJournal(client, {
+      kind: "settlement",
+      transferId: transfer.id,
+      entries: [
+        hold
+          ? { accountId: hold.account_id, currency: hold.currency, amount: negateMoney(amount), description: hold.description }
+          : { system: systemAccount(EXTERNAL_CLEARING, transfer.currency), currency: transfer.currency, amount: negateMoney(amount) },
+        { system: systemAccount(EXTERNAL_SETTLEMENT, transfer.currency), currency: transfer.currency, amount },
+      ],
+    });
+    await client.query("UPDATE transfers SET status = 'completed', completed_at = NOW(), provider_reference = COALESCE($2, provider_reference) WHERE id = $1", [
+      transfer.id,
+      providerReference,
+    ]);
+  }
+
+  // Refunds a batch of expired claims, each in its own transaction: one refund takes only its own sender's
+  // account lock (so it can't deadlock against executeTransfer's id-ordered locks), and a row that fails
+  // is logged and left for the next sweep without holding up the rest.
+  async function expireUnclaimedTransfers() {
+    let due;
+    try {
+      due = await pool.query(
+        `SELECT id FROM transfers
+         WHERE status = 'pending' AND claim_expires IS NOT NULL AND claim_expires <= NOW()
+         ORDER BY claim_expires
+         LIMIT 50`
+      );
+    } catch (err) {
+      console.warn("claim expiry sweep failed", err);
+      return 0;
+    }
+
+    let refunded = 0;
+    for (const { id } of due.rows) {
+      let client;
+      let t = null;
+      try {
+        client = await pool.connect();
+        await client.query("BEGIN");
+        const q = await client.query(
+          `SELECT t.id, t.sender_account_id, t.amount, t.currency, a.user_id AS sender_user_id
+           FROM transfers t
+           JOIN accounts a ON a.id = t.sender_account_id
+           WHERE t.id = $1 AND t.status = 'pending' AND t.claim_expires <= NOW()
+           FOR UPDATE OF t SKIP LOCKED`,
+          [id]
+        );
+        t = q.rows[0] || null;
+        if (t) await refundTransfer(client, t, "unclaimed transfer expired");
+        await client.query("COMMIT");
+      } catch (err) {
+        if (client) await client.query("ROLLBACK").catch(() => {});
+        console.warn("claim expiry refund failed", id, err);
+        t = null;
+      } finally {
+        if (client) client.release();
+      }
+      if (!t) continue;
+
+      refunded += 1;
+      emitTransferEvent(t.sender_user_id, "refunded", { id: t.id, status: "refunded", amount: t.amount, direction: "out" });
+      await notify(t.sender_user_id, "Transfer refunded", `Your transfer of ${formatMoney(t.amount, t.currency)} was not claimed in time and has been refunded.`, "transfer", {
+        transfer_id: t.id,
+      }).catch((e) => console.warn("refund notification failed", e));
+    }
+    return refunded;
+  }
+
+  function startClaimExpirySweeper() {
+    if (!CLAIM_SWEEP_MS) return;
+    expireUnclaimedTransfers();
+    setInterval(expireUnclaimedTransfers, CLAIM_SWEEP_MS).unref();
+  }
+
+  // Approving a transfer held for risk review runs what executeTransfer skipped: an internal transfer
+  // settles its hold into the journal (at the rate quoted when it was made); an external one keeps its
+  // hold and becomes a normal pending transfer with a claim link.
+  async function releaseReviewedTransfer(client, t) {
+    if (t.recipient_account_id) {
+      // both rows in id order, as in executeTransfer, before the journal updates them
+      const locked = await client.query("SELECT id, user_id, currency, closed_at FROM accounts WHERE id = ANY($1::uuid[]) ORDER BY id FOR UPDATE", [
+        [t.sender_account_id, t.recipient_account_id],
+      ]);
+      const recipient = locked.rows.find((a) => String(a.id) === String(t.recipient_account_id));
+      if (!recipient || recipient.closed_at) return { error: "The recipient account has been closed; reject the transfer instead" };
+      const hold = await endHold(client, t.id, "settled");
+      await postJournal(client, {
+        kind: "transfer",
+        transferId: t.id,
+        entries: [
+          { accountId: t.sender_account_id, currency: t.currency, amount: negateMoney(t.amount), description: hold ? hold.description : t.description },
+          ...fxLegs(t.currency, t.amount, t.converted_currency, t.converted_amount),
+          { accountId: recipient.id, currency: t.converted_currency, amount: t.converted_amount, description: t.description || `Received from ${t.sender_type || "account"}` },
+        ],
+      });
+      await client.query("UPDATE transfers SET status = 'completed', completed_at = NOW() WHERE id = $1", [t.id]);
+      return { status: "completed", recipient };
+    }
+    const { claimToken, claimExpires } = newClaim();
+    await client.query("UPDATE transfers SET status = 'pending', claim_token = $2, claim_expires = $3 WHERE id = $1", [t.id, claimToken, claimExpires]);
+    return { status: "pending", claimToken, claimExpires };
+  }
+
+  async function afterReviewRelease(t, released) {
+    try {
+      const evt = { id: t.id, status: released.status, amount: t.amount, currency: t.currency };
+      if (released.status === "completed") {
+        emitTransferEvent(t.sender_user_id, "completed", { ...evt, direction: "out" });
+        if (String(released.recipient.user_id) !== String(t.sender_user_id)) {
+          emitTransferEvent(released.recipient.user_id, "completed", { ...evt, amount: t.converted_amount, currency: t.converted_currency, direction: "in" });
+          await notify(released.recipient.user_id, "Transfer received", `You received ${formatMoney(t.converted_amount, t.converted_currency)}`, "transfer", { transfer_id: t.id });
+        }
+      } else {
+        publish(t.sender_user_id, "transfer", { ...evt, direction: "out" });
+        if (t.recipient_email) {
+          await sendClaimEmail({ email: t.recipient_email, name: t.recipient_name, amount: t.amount, currency: t.currency, claimToken: released.claimToken, claimExpires: released.claimExpires });
+        }
+      }
+      await notify(t.sender_user_id, "Transfer approved", `Your transfer of ${formatMoney(t.amount, t.currency)} passed review and has been released.`, "transfer", {
+        transfer_id: t.id,
+      });
+    } catch (e) {
+      console.warn("review release notification failed", e);
+    }
+  }
+
+  return {
+    parseTransferInput,
+    executeTransfer,
+    afterTransferCommitted,
+    executeLocalTransfer,
+    claimView,
+    backfillLedger,
+    isClaimExpired,
+    refundTransfer,
+    completeExternalTransfer,
+    expireUnclaimedTransfers,
+    startClaimExpirySweeper,
+    releaseReviewedTransfer,
+    afterReviewRelease,
+  };
+}
@@ -0,0 +1,187 @@
+// services/webhooks.js
+// Outbound webhook delivery: the persisted queue in webhook_deliveries, signed sends with backoff,
+// redelivery and test events. The queue lives in Postgres; on the SQLite backend events are dropped.
+
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+import { signPayload, backoffMs, webhookUrlProblem, publicOnlyLookup } from "../utils/webhooks.js";
+
+const POLL_MS = Number(process.env.WEBHOOK_POLL_MS || 5000);
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const BATCH = 20;
+// a leased row is retried after this long if its process died mid-delivery
+const LEASE_SECONDS = Math.ceil(TIMEOUT_MS / 1000) * 3;
+
+export function createWebhookService(ctx) {
+  const { pool, allowPrivateWebhooks = false } = ctx;
+
+  let running = false;
+
+  // Error message for a URL that may not receive webhooks (bad scheme, private address), else null.
+  function checkWebhookUrl(url) {
+    return webhookUrlProblem(url, { allowPrivate: allowPrivateWebhooks });
+  }
+
+  function newEvent(type, data, extra = {}) {
+    return { id: `evt_${crypto.randomBytes(12).toString("hex")}`, type, created: new Date().toISOString(), ...extra, data };
+  }
+
+  async function enqueueWebhookEvent(userId, type, data) {
+    if (!pool || !userId) return [];
+    const event = newEvent(type, data);
+    const q = await pool.query(
+      `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload, status, next_attempt_at)
+       SELECT e.id, $2, $3, $4, 'pending', NOW()
+       FROM webhook_endpoints e
+       WHERE e.user_id = $1 AND e.active AND $3 = ANY(e.events)
+       RETURNING id`,
+      [userId, event.id, type, JSON.stringify(event)]
+    );
+    if (q.rowCount) setImmediate(() => processDueDeliveries().catch((e) => console.warn("webhook worker failed", e)));
+    return q.rows.map((r) => r.id);
+  }
+
+  // One POST without following redirects. Through http(s) rather than fetch so the connection goes to the
+  // address publicOnlyLookup checked, not to a second resolution of the host.
+  function post(url, headers, body) {
+    return new Promise((resolve, reject) => {
+      const u = new URL(url);
+      const req = (u.protocol === "https:" ? https : http).request(u, {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: allowPrivateWebhooks ? undefined : publicOnlyLookup,
+      });
+      const timer = setTimeout(() => req.destroy(new Error(`Timed out after ${TIMEOUT_MS} ms`)), TIMEOUT_MS);
+      req.on("response", (res) => {
+        let text = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          if (text.length < 1000) text += chunk;
+        });
+        res.on("end", () => {
+          clearTimeout(timer);
+          resolve({ status: res.statusCode, text });
+        });
+        res.on("error", reject);
+      });
+      req.on("error", (e) => {
+        clearTimeout(timer);
+        reject(e);
+      });
+      req.end(body);
+    });
+  }
+
+  async function attemptDelivery(d) {
+    // checked again here: the host may resolve somewhere else than it did at registration
+    const problem = await checkWebhookUrl(d.url);
+    if (problem) return { ok: false, status: null, error: problem, response: null, ms: 0 };
+    const body = JSON.stringify(d.payload);
+    const ts = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    try {
+      const res = await post(
+        d.url,
+        {
+          "Content-Type": "application/json",
+          "User-Agent": "BankSwift-Webhooks/1.0",
+          "X-BankSwift-Event": d.event_type,
+          "X-BankSwift-Delivery": String(d.id),
+          "X-BankSwift-Signature": `t=${ts},v1=${signPayload(d.secret, ts, body)}`,
+        },
+        body
+      );
+      return { ok: res.status >= 200 && res.status < 300, status: res.status, error: null, response: res.text.slice(0, 1000), ms: Date.now() - started };
+    } catch (e) {
+      return { ok: false, status: null, error: String((e && e.message) || e).slice(0, 500), response: null, ms: Date.now() - started };
+    }
+  }
+
+  // Sends one delivery and records the outcome. The row must already be leased (attempts incremented).
+  async function deliver(deliveryId) {
+    const q = await pool.query(
+      `SELECT d.id, d.event_type, d.payload, d.attempts, e.url, e.secret
+       FROM webhook_deliveries d
+       JOIN webhook_endpoints e ON e.id = d.endpoint_id
+       WHERE d.id = $1`,
+      [deliveryId]
+    );
+    const d = q.rows[0];
+    if (!d) return null;
+
+    const result = await attemptDelivery(d);
+    let status = "succeeded";
+    let next = null;
+    if (!result.ok) {
+      status = d.attempts >= MAX_ATTEMPTS ? "failed" : "pending";
+      if (status === "pending") next = new Date(Date.now() + backoffMs(d.attempts));
+    }
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = $2, next_attempt_at = $3, last_status_code = $4, last_error = $5, last_response = $6, last_duration_ms = $7,
+           last_attempt_at = NOW(), delivered_at = CASE WHEN $2 = 'succeeded' THEN NOW() ELSE NULL END
+       WHERE id = $1`,
+      [d.id, status, next, result.status, result.error, result.response, result.ms]
+    );
+    return { id: d.id, status, attempts: d.attempts, status_code: result.status, error: result.error, next_attempt_at: next };
+  }
+
+  // Leases due rows (SKIP LOCKED, so several server processes can share the queue) and sends them.
+  async function processDueDeliveries() {
+    if (!pool || running) return 0;
+    running = true;
+    try {
+      const q = await pool.query(
+        `UPDATE webhook_deliveries
+         SET attempts = attempts + 1, next_attempt_at = NOW() + make_interval(secs => $2)
+         WHERE id IN (
+           SELECT id FROM webhook_deliveries
+           WHERE status = 'pending' AND next_attempt_at <= NOW()
+           ORDER BY next_attempt_at
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING id`,
+        [BATCH, LEASE_SECONDS]
+      );
+      for (const row of q.rows) await deliver(row.id);
+      return q.rowCount;
+    } finally {
+      running = false;
+    }
+  }
+
+  // Queues a fresh attempt of an earlier delivery (same event id, so receivers can dedupe) and sends it right away.
+  async function redeliver(deliveryId) {
+    const q = await pool.query(
+      `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload, status, attempts, next_attempt_at, redelivery_of)
+       SELECT endpoint_id, event_id, event_type, payload, 'pending', 1, NOW() + make_interval(secs => $2), id
+       FROM webhook_deliveries WHERE id = $1
+       RETURNING id`,
+      [deliveryId, LEASE_SECONDS]
+    );
+    if (!q.rowCount) return null;
+    return deliver(q.rows[0].id);
+  }
+
+  // Sends a signed sample event to one endpoint immediately; it is logged like any other delivery.
+  async function sendTestEvent(endpointId, type = "transfer.completed") {
+    const event = newEvent(type, { id: "demo123", amount: "500.00", currency: "USD", status: type.split(".")[1] || "completed" }, { test: true });
+    const q = await pool.query(
+      `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload, status, attempts, next_attempt_at)
+       VALUES ($1, $2, $3, $4, 'pending', 1, NOW() + make_interval(secs => $5))
+       RETURNING id`,
+      [endpointId, event.id, type, JSON.stringify(event), LEASE_SECONDS]
+    );
+    return deliver(q.rows[0].id);
+  }
+
+  function startDeliveryWorker() {
+    if (!POLL_MS) return;
+    setInterval(() => processDueDeliveries().catch((e) => console.warn("webhook worker failed", e)), POLL_MS).unref();
+  }
+
+  return { checkWebhookUrl, enqueueWebhookEvent, deliver, processDueDeliveries, redeliver, sendTestEvent, startDeliveryWorker };
+}
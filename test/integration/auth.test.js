@@ -0,0 +1,122 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { totpAt, currentStep } from "../../utils/totp.js";
+import { startApp, skipReason } from "./helpers.js";
+
+describe("auth", { skip: skipReason }, () => {
+  let t;
+  before(async () => {
+    t = await startApp();
+  });
+  after(() => t && t.stop());
+
+  it("signs up, verifies the email and signs in", async () => {
+    const ann = await t.register("ann");
+    assert.ok(ann.token);
+    assert.ok(ann.verifyToken, "sign-up emails a verification link");
+
+    let me = await t.api("GET", "/users/me", { token: ann.token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.email, "ann@example.test");
+    assert.equal(me.body.email_verified, false);
+
+    assert.equal((await t.api("POST", "/users/verify-email", { body: { token: ann.verifyToken } })).status, 200);
+    assert.equal((await t.api("POST", "/users/verify-email", { body: { token: ann.verifyToken } })).status, 400, "links are single-use");
+    me = await t.api("GET", "/users/me", { token: ann.token });
+    assert.equal(me.body.email_verified, true);
+
+    const login = await t.api("POST", "/login", { body: { email: "ANN@example.test", password: "correct-horse-1" } });
+    assert.equal(login.status, 200);
+    assert.ok(login.body.token);
+    assert.ok(login.body.refresh_token);
+  });
+
+  it("rejects duplicate emails, bad passwords and missing tokens", async () => {
+    await t.register("bob");
+    const dup = await t.api("POST", "/users", { body: { fullname: "Bob Again", email: "bob@example.test", password: "another-pass" } });
+    assert.equal(dup.status, 409);
+    assert.equal(dup.body.error.code, "email_taken");
+
+    const bad = await t.api("POST", "/login", { body: { email: "bob@example.test", password: "wrong-password" } });
+    assert.equal(bad.status, 401);
+    assert.deepEqual(bad.body, { error: { code: "invalid_credentials", message: "Invalid email or password", field: null } });
+
+    const anon = await t.api("GET", "/users/me");
+    assert.equal(anon.status, 401);
+    assert.equal(anon.body.error.code, "missing_token");
+    assert.equal((await t.api("GET", "/users/me", { token: "not-a-jwt" })).status, 401);
+  });
+
+  it("rejects malformed sign-ups with a field-level error", async () => {
+    const signUp = (body) => t.api("POST", "/users", { body: { fullname: "Eve Test", email: "eve@example.test", password: "correct-horse-1", ...body } });
+
+    const short = await signUp({ password: "abc" });
+    assert.equal(short.status, 400);
+    assert.equal(short.body.error.code, "invalid_field");
+    assert.equal(short.body.error.field, "password");
+
+    assert.equal((await signUp({ email: "not-an-email" })).body.error.field, "email");
+    assert.equal((await signUp({ fullname: "  " })).body.error.code, "missing_field");
+
+    const extra = await signUp({ role: "admin" });
+    assert.equal(extra.status, 400);
+    assert.deepEqual(extra.body.error, { code: "unknown_field", message: "Unknown field: role", field: "role" });
+
+    const res = await fetch(`${t.base}/users`, { method: "POST", headers: { "Content-Type": "application/json" }, body: "{nope" });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error.code, "invalid_json");
+
+    const missingRoute = await t.api("GET", "/no-such-thing");
+    assert.equal(missingRoute.status, 404);
+    assert.equal(missingRoute.body.error.code, "not_found");
+  });
+
+  it("rotates refresh tokens and ends sessions on sign-out", async () => {
+    const cat = await t.register("cat");
+    const refreshed = await t.api("POST", "/token/refresh", { body: { refresh_token: cat.refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.ok(refreshed.body.token);
+    assert.notEqual(refreshed.body.refresh_token, cat.refreshToken);
+
+    const sessions = await t.api("GET", "/sessions", { token: refreshed.body.token });
+    assert.equal(sessions.status, 200);
+    assert.equal(sessions.body.items.length, 1);
+
+    assert.equal((await t.api("POST", "/logout", { token: refreshed.body.token })).status, 200);
+    assert.equal((await t.api("GET", "/users/me", { token: refreshed.body.token })).status, 401);
+    assert.equal((await t.api("POST", "/token/refresh", { body: { refresh_token: refreshed.body.refresh_token } })).status, 401);
+  });
+
+  it("resets a forgotten password and signs out existing sessions", async () => {
+    const dan = await t.register("dan");
+    assert.equal((await t.api("POST", "/password/forgot", { body: { email: "dan@example.test" } })).status, 200);
+    const token = t.lastLinkToken("dan@example.test", "token");
+    assert.ok(token);
+
+    const reset = await t.api("POST", "/password/reset", { body: { email: "dan@example.test", token, new_password: "brand-new-pass" } });
+    assert.equal(reset.status, 200);
+    assert.equal((await t.api("GET", "/users/me", { token: dan.token })).status, 401);
+    assert.equal((await t.api("POST", "/password/reset", { body: { email: "dan@example.test", token, new_password: "again-new-pass" } })).status, 400);
+    assert.equal((await t.api("POST", "/login", { body: { email: "dan@example.test", password: "brand-new-pass" } })).status, 200);
+  });
+
+  it("signs in with a one-time recovery code when two-factor auth is on", async () => {
+    const eli = await t.register("eli");
+    const setup = await t.api("POST", "/users/me/2fa/setup", { token: eli.token, body: { password: "correct-horse-1" } });
+    const enabled = await t.api("POST", "/users/me/2fa/enable", { token: eli.token, body: { code: totpAt(setup.body.secret, currentStep()) } });
+    assert.equal(enabled.status, 200);
+    const codes = enabled.body.recovery_codes;
+    assert.equal(codes.length, 10);
+    for (const code of codes) assert.match(code, /^[A-Z2-7]{4}(-[A-Z2-7]{4}){3}$/);
+
+    const signIn = async (recovery_code) => {
+      const login = await t.api("POST", "/login", { body: { email: eli.email, password: "correct-horse-1" } });
+      assert.equal(login.body.two_factor_required, true);
+      return t.api("POST", "/login/2fa", { body: { challenge_token: login.body.challenge_token, recovery_code } });
+    };
+    const typed = codes[0].toLowerCase().replace(/-/g, " ");
+    assert.equal((await signIn(typed)).status, 200);
+    assert.equal((await signIn(codes[0])).status, 401);
+    assert.equal((await signIn(codes[1].slice(0, 9))).status, 401);
+  });
+});
@@ -0,0 +1,130 @@
+// test/integration/helpers.js
+// Boots createApp() on a random port against TEST_DATABASE_URL, with a mailer that records messages and a
+// clock the tests can move forward. Every startApp() wipes the database's public schema and migrates it
+// from scratch, so point TEST_DATABASE_URL at a throwaway database whose name contains "test".
+//
+//   TEST_DATABASE_URL=postgres://postgres@localhost:5432/bank_test npm run test:integration
+import { Pool } from "pg";
+import { createStore } from "../../utils/store/index.js";
+import { postJournal, systemAccount, OPENING_BALANCE } from "../../utils/ledger.js";
+import { renderEmail } from "../../utils/mailer.js";
+import { createApp } from "../../app.js";
+
+export const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL || "";
+// for node:test's { skip } option
+export const skipReason = TEST_DATABASE_URL ? false : "TEST_DATABASE_URL is not set";
+
+// Polls fn until it returns something truthy; for work that runs after the response (emails, notifications).
+export async function waitFor(fn, { timeout = 2000, interval = 25 } = {}) {
+  const until = Date.now() + timeout;
+  for (;;) {
+    const value = await fn();
+    if (value) return value;
+    if (Date.now() > until) throw new Error("waitFor: timed out");
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
+
+// `options` go on to createApp (e.g. { allowPrivateWebhooks: true } to receive webhooks on 127.0.0.1).
+export async function startApp(options = {}) {
+  const dbName = new URL(TEST_DATABASE_URL).pathname.slice(1);
+  if (!/test/i.test(dbName)) throw new Error(`Refusing to wipe "${dbName}": TEST_DATABASE_URL must name a test database`);
+
+  const pool = new Pool({ connectionString: TEST_DATABASE_URL, ssl: process.env.PGSSLMODE === "require" ? { rejectUnauthorized: false } : false });
+  await pool.query("DROP SCHEMA public CASCADE; CREATE SCHEMA public;");
+  const db = await createStore({ backend: "postgres", pool });
+  await db.init();
+
+  const mail = [];
+  const mailer = {
+    renderEmail,
+    async sendEmail(to, subject, html) {
+      mail.push({ to, subject, html });
+      return { ok: true };
+    },
+  };
+  let now = Date.now();
+  const clock = {
+    now: () => new Date(now),
+    advance(ms) {
+      now += ms;
+    },
+  };
+
+  const app = createApp({ db, mailer, clock, logRequests: false, ...options });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  async function api(method, path, { token, body, headers = {} } = {}) {
+    const res = await fetch(base + path, {
+      method,
+      headers: {
+        ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch {}
+    return { status: res.status, headers: res.headers, body: data };
+  }
+
+  // Signs up through the API and returns { id, token, refreshToken, accountId, verifyToken }.
+  async function register(name, { verify = false } = {}) {
+    const email = `${name}@example.test`;
+    const res = await api("POST", "/users", { body: { fullname: `${name} Test`, email, password: "correct-horse-1" } });
+    if (res.status !== 201) throw new Error(`sign-up failed: ${res.status} ${JSON.stringify(res.body)}`);
+    const verifyToken = lastLinkToken(email, "verify");
+    if (verify) await api("POST", "/users/verify-email", { body: { token: verifyToken } });
+    return {
+      id: res.body.id,
+      email,
+      token: res.body.token,
+      refreshToken: res.body.refresh_token,
+      accountId: res.body.balances.accounts[0].id,
+      verifyToken,
+    };
+  }
+
+  // Credits an account from the opening-balance system account, the way seed.js does.
+  async function fund(accountId, amount, currency = "USD") {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await postJournal(client, {
+        kind: "opening_balance",
+        description: "Test deposit",
+        entries: [
+          { accountId, currency, amount },
+          { system: systemAccount(OPENING_BALANCE, currency), currency, amount: -amount },
+        ],
+      });
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // The ?<param>= token from the newest email to `to` (verification, claim and reset links).
+  function lastLinkToken(to, param) {
+    const msg = [...mail].reverse().find((m) => m.to === to && m.html.includes(`${param}=`));
+    if (!msg) return null;
+    return decodeURIComponent(msg.html.match(new RegExp(`[?&]${param}=([^"&<\\s]+)`))[1]);
+  }
+
+  async function stop() {
+    await new Promise((resolve) => server.close(resolve));
+    await pool.end();
+  }
+
+  return { app, pool, mail, clock, base, api, register, fund, lastLinkToken, stop };
+}
@@ -0,0 +1,100 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApp, waitFor, skipReason } from "./helpers.js";
+
+describe("scheduled transfers", { skip: skipReason }, () => {
+  let t, ann, bob;
+  const create = async (description) => {
+    const res = await t.api("POST", "/schedules", {
+      token: ann.token,
+      body: {
+        sender_account_id: ann.accountId,
+        recipient_email: bob.email,
+        amount: "5.00",
+        description,
+        frequency: "monthly",
+        start_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+      },
+    });
+    assert.equal(res.status, 201);
+    return res.body.id;
+  };
+  const row = async (id) => (await t.pool.query("SELECT status, next_run_at FROM scheduled_transfers WHERE id = $1", [id])).rows[0];
+
+  // Runs `change` on the schedule row while `request` waits for its lock, as a scheduler run committing
+  // between the route's read and its write would.
+  async function whileLocked(id, request, change) {
+    const client = await t.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query("SELECT 1 FROM scheduled_transfers WHERE id = $1 FOR UPDATE", [id]);
+      const pending = request();
+      await waitFor(async () => (await t.pool.query("SELECT 1 FROM pg_stat_activity WHERE wait_event_type = 'Lock'")).rowCount > 0);
+      await client.query(change, [id]);
+      await client.query("COMMIT");
+      return await pending;
+    } finally {
+      client.release();
+    }
+  }
+
+  before(async () => {
+    t = await startApp();
+    ann = await t.register("ann");
+    bob = await t.register("bob");
+    await t.fund(ann.accountId, 100);
+  });
+  after(() => t && t.stop());
+
+  it("pauses a schedule whose run throws and still runs the ones due after it", async () => {
+    const broken = await create("boom");
+    const fine = await create("rent");
+    await t.pool.query(`
+      CREATE FUNCTION fail_boom() RETURNS trigger AS $$ BEGIN RAISE EXCEPTION 'boom'; END $$ LANGUAGE plpgsql;
+      CREATE TRIGGER fail_boom BEFORE INSERT ON transfers FOR EACH ROW WHEN (NEW.description = 'boom') EXECUTE FUNCTION fail_boom();
+    `);
+    await t.pool.query("UPDATE scheduled_transfers SET next_run_at = NOW() - make_interval(mins => $2) WHERE id = $1", [broken, 2]);
+    await t.pool.query("UPDATE scheduled_transfers SET next_run_at = NOW() - make_interval(mins => $2) WHERE id = $1", [fine, 1]);
+    try {
+      await t.app.locals.ctx.schedules.runDueSchedules();
+    } finally {
+      await t.pool.query("DROP TRIGGER fail_boom ON transfers; DROP FUNCTION fail_boom();");
+    }
+
+    const runs = async (id) => (await t.pool.query("SELECT status FROM scheduled_transfer_runs WHERE schedule_id = $1", [id])).rows.map((r) => r.status);
+    assert.equal((await row(broken)).status, "paused");
+    assert.deepEqual(await runs(broken), ["failed"]);
+    assert.equal((await row(fine)).status, "active");
+    assert.deepEqual(await runs(fine), ["executed"]);
+  });
+
+  it("refuses an edit that raced a run instead of writing back the occurrence that ran", async () => {
+    const id = await create("gym");
+    const before = await row(id);
+    const res = await whileLocked(
+      id,
+      () => t.api("PATCH", `/schedules/${id}`, { token: ann.token, body: { status: "paused" } }),
+      "UPDATE scheduled_transfers SET next_run_at = next_run_at + interval '1 month', run_count = run_count + 1 WHERE id = $1"
+    );
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error.code, "schedule_changed");
+    const after = await row(id);
+    assert.equal(after.status, "active");
+    assert.ok(after.next_run_at > before.next_run_at);
+
+    const paused = await t.api("PATCH", `/schedules/${id}`, { token: ann.token, body: { status: "paused" } });
+    assert.equal(paused.status, 200);
+    assert.equal(paused.body.status, "paused");
+  });
+
+  it("doesn't cancel a schedule that a run has just completed", async () => {
+    const id = await create("once more");
+    const res = await whileLocked(
+      id,
+      () => t.api("DELETE", `/schedules/${id}`, { token: ann.token }),
+      "UPDATE scheduled_transfers SET status = 'completed', next_run_at = NULL WHERE id = $1"
+    );
+    assert.equal(res.status, 404);
+    assert.equal((await row(id)).status, "completed");
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+// utils/config.js reads WEBHOOK_SECRET when it loads, so it is set before the app is imported
+process.env.WEBHOOK_SECRET = "whsec_settlement_test";
+const { startApp, skipReason } = await import("./helpers.js");
+
+describe("settlement callbacks", { skip: skipReason }, () => {
+  let t, ann;
+  const settle = (event_id, reference, status) => {
+    const body = { event_id, reference, status };
+    const ts = Math.floor(t.clock.now().getTime() / 1000);
+    const v1 = crypto.createHmac("sha256", process.env.WEBHOOK_SECRET).update(`${ts}.${JSON.stringify(body)}`).digest("hex");
+    return t.api("POST", "/webhooks/settlement", { body, headers: { "X-Provider-Signature": `t=${ts},v1=${v1}` } });
+  };
+
+  before(async () => {
+    t = await startApp();
+    ann = await t.register("ann", { verify: true });
+    await t.fund(ann.accountId, 100);
+  });
+  after(() => t && t.stop());
+
+  it("rejects unsigned callbacks", async () => {
+    const res = await t.api("POST", "/webhooks/settlement", { body: { event_id: "evt_x", reference: "x", status: "completed" } });
+    assert.equal(res.status, 401);
+  });
+
+  it("processes a retried event again after a 404 or 409 instead of calling it a duplicate", async () => {
+    const sent = await t.api("POST", "/transfers", {
+      token: ann.token,
+      body: { sender_account_id: ann.accountId, recipient_email: "zoe@elsewhere.test", recipient_name: "Zoe", amount: 40 },
+    });
+    assert.equal(sent.body.status, "pending");
+
+    const early = await settle("evt_early", crypto.randomUUID(), "completed");
+    assert.equal(early.status, 404);
+    assert.equal((await settle("evt_early", crypto.randomUUID(), "completed")).status, 404);
+
+    await t.pool.query("UPDATE transfers SET status = 'review' WHERE id = $1", [sent.body.id]);
+    const blocked = await settle("evt_1", sent.body.id, "completed");
+    assert.equal(blocked.status, 409);
+    assert.equal(blocked.body.error.code, "invalid_transition");
+
+    await t.pool.query("UPDATE transfers SET status = 'pending' WHERE id = $1", [sent.body.id]);
+    const retried = await settle("evt_1", sent.body.id, "completed");
+    assert.equal(retried.status, 200);
+    assert.deepEqual([retried.body.status, retried.body.result], ["completed", "completed"]);
+
+    const again = await settle("evt_1", sent.body.id, "completed");
+    assert.deepEqual(again.body, { ok: true, duplicate: true, result: "completed" });
+    const accounts = await t.api("GET", "/accounts", { token: ann.token });
+    assert.deepEqual(
+      accounts.body.items.filter((a) => a.id === ann.accountId).map((a) => [a.balance, a.available]),
+      [["60.00", "60.00"]]
+    );
+  });
+});
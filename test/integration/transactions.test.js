@@ -0,0 +1,94 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApp, waitFor, skipReason } from "./helpers.js";
+
+describe("transactions", { skip: skipReason }, () => {
+  let t, ann, bob;
+
+  before(async () => {
+    t = await startApp();
+    ann = await t.register("ann");
+    bob = await t.register("bob");
+    await t.fund(ann.accountId, 1000);
+    for (const [amount, description] of [
+      [12, "Coffee beans"],
+      [45, "Groceries"],
+      [300, "Rent share"],
+      [8.5, "Coffee"],
+    ]) {
+      const res = await t.api("POST", "/transfers", { token: ann.token, body: { sender_account_id: ann.accountId, recipient_email: bob.email, amount, description } });
+      assert.equal(res.status, 201);
+    }
+  });
+  after(() => t && t.stop());
+
+  it("pages through the history with the keyset cursor", async () => {
+    const seen = [];
+    let cursor = null;
+    for (let page = 0; page < 5; page++) {
+      const res = await t.api("GET", `/transactions?limit=2${cursor ? `&cursor=${cursor}` : ""}`, { token: ann.token });
+      assert.equal(res.status, 200);
+      seen.push(...res.body);
+      cursor = res.headers.get("x-next-cursor");
+      if (!cursor) break;
+      assert.match(res.headers.get("link"), /^<\/api\/transactions\?.*rel="next"$/);
+    }
+    // newest first: four debits, then the deposit
+    assert.deepEqual(
+      seen.map((tx) => tx.description),
+      ["Coffee", "Rent share", "Groceries", "Coffee beans", "Test deposit"]
+    );
+    assert.equal(new Set(seen.map((tx) => tx.id)).size, 5);
+
+    assert.equal((await t.api("GET", "/transactions?cursor=bogus", { token: ann.token })).status, 400);
+  });
+
+  it("filters by type, amount and text", async () => {
+    const debits = await t.api("GET", "/transactions?type=debit&min_amount=10&max_amount=100", { token: ann.token });
+    assert.deepEqual(
+      debits.body.map((tx) => tx.amount),
+      ["45.00", "12.00"]
+    );
+    const amounts = async (query) => (await t.api("GET", `/transactions?type=debit&${query}`, { token: ann.token })).body.map((tx) => tx.amount);
+    assert.deepEqual(await amounts("min_amount=12&max_amount=45.00"), ["45.00", "12.00"]);
+    assert.deepEqual(await amounts("min_amount=12.01&max_amount=44.99"), []);
+    assert.deepEqual(await amounts("min_amount=0&max_amount=12.00"), await amounts("max_amount=12"));
+    for (const query of ["min_amount=12.345", "min_amount=1e3", "max_amount=-5", "min_amount=50&max_amount=10"]) {
+      const bad = await t.api("GET", `/transactions?${query}`, { token: ann.token });
+      assert.equal(bad.status, 400, query);
+      assert.equal(bad.body.error.code, "invalid_field");
+    }
+    const coffee = await t.api("GET", "/transactions?q=coffee", { token: ann.token });
+    assert.equal(coffee.body.length, 2);
+    const received = await t.api("GET", "/transactions?type=credit", { token: bob.token });
+    assert.equal(received.body.length, 4);
+    assert.equal((await t.api("GET", "/transactions?type=refund", { token: ann.token })).status, 400);
+    for (const query of ["to=2024-02-31", "from=1", "from=March", "from=2024-13-01"]) {
+      const bad = await t.api("GET", `/transactions?${query}`, { token: ann.token });
+      assert.equal(bad.status, 400, query);
+      assert.deepEqual([bad.body.error.code, bad.body.error.field], ["invalid_field", query.split("=")[0]]);
+    }
+  });
+
+  it("exports a CSV statement", async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const res = await t.api("GET", `/transactions/export?format=csv&from=${today}&to=${today}`, { token: ann.token });
+    assert.equal(res.status, 200);
+    const lines = res.body.trim().split("\n");
+    assert.match(lines[0], /^date,description,type,amount/);
+    assert.equal(lines.length, 6);
+  });
+
+  it("tracks notifications and their read state", async () => {
+    // one "Transfer received" per payment, written after each response went out
+    const list = await waitFor(async () => {
+      const res = await t.api("GET", "/notifications", { token: bob.token });
+      return res.body.unread === 4 && res;
+    });
+    assert.equal(list.body.items.length, 4);
+
+    const read = await t.api("POST", "/notifications/read-all", { token: bob.token });
+    assert.equal(read.status, 200);
+    assert.equal((await t.api("GET", "/notifications", { token: bob.token })).body.unread, 0);
+  });
+});
@@ -0,0 +1,203 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { reconcileLedger } from "../../utils/ledger.js";
+import { startApp, waitFor, skipReason } from "./helpers.js";
+
+describe("transfers", { skip: skipReason }, () => {
+  let t, ann, bob;
+  const balance = async (user) => {
+    const res = await t.api("GET", "/accounts", { token: user.token });
+    const acc = res.body.items.find((a) => a.id === user.accountId);
+    return { balance: Number(acc.balance), available: Number(acc.available) };
+  };
+
+  before(async () => {
+    t = await startApp();
+    ann = await t.register("ann", { verify: true });
+    bob = await t.register("bob");
+    await t.fund(ann.accountId, 500);
+  });
+  after(() => t && t.stop());
+
+  it("moves money between Bank Swift customers by email", async () => {
+    const res = await t.api("POST", "/transfers", {
+      token: ann.token,
+      body: { sender_account_id: ann.accountId, recipient_email: bob.email, amount: 120.5, description: "Dinner" },
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.status, "completed");
+    assert.deepEqual(await balance(ann), { balance: 379.5, available: 379.5 });
+    assert.deepEqual(await balance(bob), { balance: 120.5, available: 120.5 });
+
+    const seen = await t.api("GET", `/transfers/${res.body.id}`, { token: bob.token });
+    assert.equal(seen.status, 200);
+    const sent = await t.api("GET", "/transfers", { token: ann.token });
+    assert.deepEqual(sent.body.items.map((x) => [x.id, x.recipient_email, x.amount]), [[res.body.id, bob.email, "120.50"]]);
+    assert.deepEqual((await t.api("GET", "/transfers", { token: bob.token })).body.items, []);
+    await waitFor(async () => (await t.api("GET", "/notifications", { token: bob.token })).body.unread === 1);
+  });
+
+  it("refuses overdrafts, foreign accounts and bad amounts", async () => {
+    const broke = await t.api("POST", "/transfers", { token: bob.token, body: { sender_account_id: bob.accountId, recipient_email: ann.email, amount: 1000 } });
+    assert.equal(broke.status, 400);
+    assert.equal(broke.body.error.code, "insufficient_funds");
+
+    const notMine = await t.api("POST", "/transfers", { token: bob.token, body: { sender_account_id: ann.accountId, recipient_email: bob.email, amount: 1 } });
+    assert.equal(notMine.status, 403);
+
+    const negative = await t.api("POST", "/transfers", { token: ann.token, body: { sender_account_id: ann.accountId, recipient_email: bob.email, amount: -5 } });
+    assert.equal(negative.status, 400);
+    assert.deepEqual(await balance(ann), { balance: 379.5, available: 379.5 });
+  });
+
+  it("validates the body against the transfer schema", async () => {
+    const send = (body) => t.api("POST", "/transfers", { token: ann.token, body: { sender_account_id: ann.accountId, recipient_email: bob.email, ...body } });
+
+    for (const amount of [0.001, "1e3", "12.345", "abc", 0]) {
+      const res = await send({ amount });
+      assert.equal(res.status, 400, `amount ${amount}`);
+      assert.equal(res.body.error.code, "invalid_field");
+      assert.equal(res.body.error.field, "amount");
+    }
+    const missing = await t.api("POST", "/transfers", { token: ann.token, body: { recipient_email: bob.email, amount: 1 } });
+    assert.deepEqual(missing.body, { error: { code: "missing_field", message: "sender_account_id is required", field: "sender_account_id" } });
+
+    const unknown = await send({ amount: 1, sender_email: ann.email });
+    assert.equal(unknown.body.error.code, "unknown_field");
+    assert.equal(unknown.body.error.field, "sender_email");
+
+    // "12.30" is coerced to 12.3 exactly
+    const ok = await send({ amount: "12.30" });
+    assert.equal(ok.status, 201);
+    assert.deepEqual(await balance(ann), { balance: 367.2, available: 367.2 });
+  });
+
+  it("replays a retried request with the same Idempotency-Key instead of paying twice", async () => {
+    const send = (body) => t.api("POST", "/transfers", { token: ann.token, body, headers: { "Idempotency-Key": "retry-test-0001" } });
+    const body = { sender_account_id: ann.accountId, recipient_email: bob.email, amount: 10 };
+    const first = await send(body);
+    const again = await send(body);
+    assert.equal(first.status, 201);
+    assert.equal(again.status, 201);
+    assert.equal(again.headers.get("idempotent-replayed"), "true");
+    assert.equal(again.body.id, first.body.id);
+    assert.deepEqual(await balance(bob), { balance: 142.8, available: 142.8 });
+
+    const changed = await send({ ...body, amount: 11 });
+    assert.equal(changed.status, 422);
+    assert.equal(changed.body.error.code, "idempotency_key_reused");
+  });
+
+  it("holds external transfers until claimed and expires the claim link", async () => {
+    const unverified = await t.api("POST", "/transfers", {
+      token: bob.token,
+      body: { sender_account_id: bob.accountId, recipient_email: "zoe@elsewhere.test", recipient_name: "Zoe", amount: 5 },
+    });
+    assert.equal(unverified.status, 403);
+    assert.equal(unverified.body.error.code, "email_unverified");
+
+    const res = await t.api("POST", "/transfers", {
+      token: ann.token,
+      body: { sender_account_id: ann.accountId, recipient_email: "zoe@elsewhere.test", recipient_name: "Zoe", amount: 50 },
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.status, "pending");
+    assert.deepEqual(await balance(ann), { balance: 357.2, available: 307.2 });
+
+    const holds = await t.api("GET", `/accounts/${ann.accountId}/holds`, { token: ann.token });
+    assert.equal(holds.body.items.length, 1);
+
+    const claimToken = await waitFor(() => t.lastLinkToken("zoe@elsewhere.test", "token"));
+    const claim = await t.api("GET", `/transfers/claim/${claimToken}`);
+    assert.equal(claim.status, 200);
+    assert.equal(claim.body.status, "pending");
+
+    t.clock.advance(8 * 24 * 60 * 60 * 1000);
+    assert.equal((await t.api("GET", `/transfers/claim/${claimToken}`)).status, 410);
+  });
+
+  it("keeps amounts exact, returns them as strings and honours currency precision", async () => {
+    const cat = await t.register("cat");
+    await t.fund(cat.accountId, "1.00");
+    for (const amount of [0.1, 0.2]) {
+      const res = await t.api("POST", "/transfers", { token: cat.token, body: { sender_account_id: cat.accountId, recipient_email: bob.email, amount } });
+      assert.equal(res.status, 201);
+    }
+    const me = await t.api("GET", "/users/me", { token: cat.token });
+    assert.equal(me.body.checking, "0.70");
+    assert.equal(me.body.balances.total, "0.70");
+    assert.equal(me.body.balances.accounts[0].balance, "0.70");
+
+    const tooPrecise = await t.api("POST", "/transfers", { token: cat.token, body: { sender_account_id: cat.accountId, recipient_email: bob.email, amount: 10.005 } });
+    assert.equal(tooPrecise.status, 400);
+    assert.equal(tooPrecise.body.error.field, "amount");
+
+    // yen have no minor unit: 0.50 USD at 150 less the spread credits 75 JPY, and "10.50" JPY is refused
+    await t.pool.query("INSERT INTO fx_rates (currency, rate, source) VALUES ('JPY', 150, 'test')");
+    const yen = await t.api("POST", "/accounts", { token: cat.token, body: { type: "savings", currency: "JPY" } });
+    assert.equal(yen.status, 201);
+    const moved = await t.api("POST", "/accounts/transfer", { token: cat.token, body: { from_account_id: cat.accountId, to_account_id: yen.body.id, amount: "0.50" } });
+    assert.equal(moved.status, 201);
+    assert.deepEqual([moved.body.amount, moved.body.converted_amount], ["0.50", "75"]);
+
+    // USD + JPY has no meaningful sum: only the total converted into the preferred currency is given
+    const mixed = (await t.api("GET", "/users/me", { token: cat.token })).body;
+    assert.deepEqual([mixed.balances.total, mixed.balances.currency, mixed.checking, mixed.savings], [null, null, "0.20", "75"]);
+    assert.equal(mixed.balances.converted_total.currency, "USD");
+    assert.match(mixed.balances.converted_total.amount, /^0\.\d\d$/);
+
+    const fractional = await t.api("POST", "/transfers", { token: cat.token, body: { sender_account_id: yen.body.id, recipient_email: bob.email, amount: "10.50" } });
+    assert.equal(fractional.status, 400);
+    assert.deepEqual(fractional.body.error, { code: "invalid_field", message: "JPY amounts can't have decimals", field: "amount" });
+  });
+
+  it("blocks transfers over a limit with the code and details the payment pages show", async () => {
+    const dee = await t.register("dee");
+    await t.fund(dee.accountId, 100);
+    await t.pool.query("INSERT INTO transfer_limits (user_id, daily_amount, reason) VALUES ($1, 20, 'test')", [dee.id]);
+    const send = (amount) => t.api("POST", "/transfers", { token: dee.token, body: { sender_account_id: dee.accountId, recipient_email: bob.email, amount } });
+    assert.equal((await send("15.00")).status, 201);
+    const blocked = await send("10.00");
+    assert.equal(blocked.status, 422);
+    assert.equal(blocked.body.error.code, "limit_daily");
+    assert.deepEqual(blocked.body.error.details, { currency: "USD", limit: "20.00", used: "15.00" });
+  });
+
+  it("runs opposite-direction transfers between the same accounts concurrently without deadlocking", async () => {
+    const send = (from, to) => t.api("POST", "/transfers", { token: from.token, body: { sender_account_id: from.accountId, recipient_email: to.email, amount: "1.00" } });
+    const results = await Promise.all(Array.from({ length: 6 }, (_, i) => (i % 2 ? send(bob, ann) : send(ann, bob))));
+    assert.deepEqual(results.map((r) => r.status), Array(6).fill(201));
+  });
+
+  it("refunds expired claims one by one, so a failing refund doesn't hold up the rest", async () => {
+    const eve = await t.register("eve", { verify: true });
+    await t.fund(eve.accountId, 100);
+    const send = async (description) =>
+      (await t.api("POST", "/transfers", { token: eve.token, body: { sender_account_id: eve.accountId, recipient_email: "yan@elsewhere.test", amount: 10, description } })).body.id;
+    const stuck = await send("stuck");
+    const fine = await send("fine");
+    await t.pool.query("UPDATE transfers SET claim_expires = NOW() - interval '1 minute' WHERE id = ANY($1::uuid[])", [[stuck, fine]]);
+    await t.pool.query(`
+      CREATE FUNCTION fail_stuck() RETURNS trigger AS $$ BEGIN RAISE EXCEPTION 'stuck'; END $$ LANGUAGE plpgsql;
+      CREATE TRIGGER fail_stuck BEFORE UPDATE ON transfers FOR EACH ROW WHEN (NEW.description = 'stuck' AND NEW.status = 'refunded') EXECUTE FUNCTION fail_stuck();
+    `);
+    const status = async (id) => (await t.pool.query("SELECT status FROM transfers WHERE id = $1", [id])).rows[0].status;
+    const { expireUnclaimedTransfers } = t.app.locals.ctx.transfers;
+    try {
+      assert.equal(await expireUnclaimedTransfers(), 1);
+      assert.deepEqual([await status(stuck), await status(fine)], ["pending", "refunded"]);
+    } finally {
+      await t.pool.query("DROP TRIGGER fail_stuck ON transfers; DROP FUNCTION fail_stuck();");
+    }
+    assert.equal(await expireUnclaimedTransfers(), 1);
+    assert.equal(await status(stuck), "refunded");
+    assert.deepEqual(await balance(eve), { balance: 100, available: 100 });
+  });
+
+  it("keeps the ledger in step with account balances", async () => {
+    const report = await reconcileLedger(t.pool);
+    assert.deepEqual(report.drift, []);
+    assert.deepEqual(report.availableDrift, []);
+    assert.deepEqual(report.unbalanced, []);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { signPayload } from "../../utils/webhooks.js";
+import { startApp, skipReason } from "./helpers.js";
+
+describe("webhooks", { skip: skipReason }, () => {
+  let t, ann, bob, receiver, received, status;
+
+  before(async () => {
+    received = [];
+    status = 200;
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(status).end("ok");
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+    // the receiver is on loopback, which registration refuses unless private URLs are allowed
+    t = await startApp({ allowPrivateWebhooks: true });
+    ann = await t.register("ann");
+    bob = await t.register("bob");
+  });
+  after(async () => {
+    if (t) await t.stop();
+    if (receiver) await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  it("sends a signed test event to one endpoint and logs the delivery", async () => {
+    const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+    const created = await t.api("POST", "/webhooks", { token: ann.token, body: { url, events: ["transfer.completed", "transfer.refunded"] } });
+    assert.equal(created.status, 201);
+    const { id, secret } = created.body;
+
+    const res = await t.api("POST", `/webhooks/${id}/test`, { token: ann.token, body: { event: "transfer.refunded" } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.endpoint_id, id);
+    assert.equal(res.body.status, "succeeded");
+    assert.equal(res.body.status_code, 200);
+
+    assert.equal(received.length, 1);
+    const { headers, body } = received[0];
+    const event = JSON.parse(body);
+    assert.equal(event.type, "transfer.refunded");
+    assert.equal(event.test, true);
+    assert.equal(headers["x-bankswift-event"], "transfer.refunded");
+    const sig = Object.fromEntries(headers["x-bankswift-signature"].split(",").map((p) => p.split("=")));
+    assert.equal(sig.v1, signPayload(secret, sig.t, body));
+
+    const log = await t.api("GET", `/webhooks/${id}/deliveries`, { token: ann.token });
+    assert.deepEqual(log.body.items.map((d) => [d.event_id, d.status, d.last_status_code]), [[event.id, "succeeded", 200]]);
+  });
+
+  it("records a failing receiver for retry and keeps other users' endpoints private", async () => {
+    const [endpoint] = (await t.api("GET", "/webhooks", { token: ann.token })).body.items;
+    status = 500;
+    const res = await t.api("POST", `/webhooks/${endpoint.id}/test`, { token: ann.token, body: {} });
+    status = 200;
+    assert.equal(res.body.event, "transfer.completed");
+    assert.equal(res.body.status, "pending");
+    assert.equal(res.body.status_code, 500);
+    assert.ok(res.body.next_attempt_at);
+
+    const foreign = await t.api("POST", `/webhooks/${endpoint.id}/test`, { token: bob.token, body: {} });
+    assert.equal(foreign.status, 404);
+    assert.equal(foreign.body.error.code, "webhook_not_found");
+    assert.equal(received.length, 2);
+  });
+});
+
+describe("webhook URL checks", { skip: skipReason }, () => {
+  let t, ann;
+
+  before(async () => {
+    t = await startApp();
+    ann = await t.register("ann");
+  });
+  after(() => t && t.stop());
+
+  it("refuses URLs that resolve to loopback, private or link-local addresses", async () => {
+    for (const url of ["http://127.0.0.1:8080/hook", "http://localhost/hook", "https://10.1.2.3/hook", "https://169.254.169.254/latest", "http://[::1]/hook", "http://[fd00::1]/hook"]) {
+      const res = await t.api("POST", "/webhooks", { token: ann.token, body: { url } });
+      assert.equal(res.status, 400, url);
+      assert.equal(res.body.error.code, "invalid_field");
+      assert.equal(res.body.error.field, "url");
+    }
+    assert.deepEqual((await t.api("GET", "/webhooks", { token: ann.token })).body.items, []);
+  });
+
+  it("won't deliver to an endpoint whose host has come to resolve to a private address", async () => {
+    let hits = 0;
+    const receiver = http.createServer((req, res) => {
+      hits += 1;
+      res.end("ok");
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+    try {
+      // as if the DNS record changed after registration
+      const q = await t.pool.query("INSERT INTO webhook_endpoints (user_id, url, description, events, secret) VALUES ($1, $2, '', $3, 'whsec_test') RETURNING id", [
+        ann.id,
+        `http://localhost:${receiver.address().port}/hook`,
+        ["transfer.completed"],
+      ]);
+      const res = await t.api("POST", `/webhooks/${q.rows[0].id}/test`, { token: ann.token, body: {} });
+      assert.equal(res.body.status, "pending");
+      assert.equal(res.body.status_code, null);
+      assert.match(res.body.error, /private address/);
+      assert.equal(hits, 0);
+    } finally {
+      await new Promise((resolve) => receiver.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { currencyDecimals, toMinor, fromMinor, normalizeMoney, parseAmount, sumMoney, compareMoney, multiplyMoney, convertMoney } from "../../utils/money.js";
+
+describe("money", () => {
+  it("takes each currency's precision, capped at the 2 stored decimals", () => {
+    assert.deepEqual(["USD", "JPY", "KWD", null].map(currencyDecimals), [2, 0, 2, 2]);
+  });
+
+  it("converts between decimal strings and minor units without rounding", () => {
+    assert.equal(toMinor("12.30", "USD"), 1230n);
+    assert.equal(toMinor(12.3, "USD"), 1230n);
+    assert.equal(toMinor("1000.00", "JPY"), 1000n);
+    assert.throws(() => toMinor("12.345", "USD"), RangeError);
+    assert.throws(() => toMinor("10.5", "JPY"), RangeError);
+    assert.throws(() => toMinor("1e3"), RangeError);
+    assert.equal(fromMinor(1230n, "USD"), "12.30");
+    assert.equal(fromMinor(-5n, "USD"), "-0.05");
+    assert.equal(fromMinor(75n, "JPY"), "75");
+    assert.equal(normalizeMoney("7.1"), "7.10");
+  });
+
+  it("parses user input into a canonical amount or a sentence", () => {
+    assert.deepEqual(parseAmount(" 10.5 "), { amount: "10.50" });
+    assert.deepEqual(parseAmount("10.5", "JPY"), { error: "JPY amounts can't have decimals" });
+    assert.deepEqual(parseAmount("12.345"), { error: "Amounts can have at most 2 decimals" });
+    assert.deepEqual(parseAmount("abc"), { error: "Amount must be a decimal number" });
+    assert.deepEqual(parseAmount("0.00"), { error: "Amount must be greater than zero" });
+    assert.deepEqual(parseAmount(null), { error: "Amount must be a decimal number" });
+  });
+
+  it("adds and compares exactly where floats drift", () => {
+    assert.notEqual(0.1 + 0.2, 0.3);
+    assert.equal(sumMoney(["0.10", "0.20"]), "0.30");
+    assert.equal(sumMoney(["9007199254740.99", "0.01"]), "9007199254741.00");
+    assert.equal(compareMoney("10.00", "9.99"), 1);
+    assert.equal(compareMoney("0.30", sumMoney([0.1, 0.2])), 0);
+    assert.equal(compareMoney("-1.00", "0"), -1);
+  });
+
+  it("multiplies and converts rounding half away from zero", () => {
+    assert.equal(multiplyMoney("33.35", 3), "100.05");
+    assert.equal(multiplyMoney("0.10", 3), "0.30");
+    assert.equal(multiplyMoney("0.05", 0.5), "0.03");
+    assert.equal(multiplyMoney("-0.05", 0.5), "-0.03");
+    assert.equal(multiplyMoney("0.04", 0.5), "0.02");
+    assert.equal(convertMoney("100.00", "JPY", 149.525), "14953");
+    assert.equal(convertMoney("0.50", "JPY", 150), "75");
+    assert.equal(convertMoney("14953", "USD", 1 / 149.525), "100.00");
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { nextRunAfter, upcomingRuns } from "../../utils/schedules.js";
+
+const iso = (d) => d && d.toISOString();
+
+describe("schedules", () => {
+  it("runs a one-off schedule once", () => {
+    const once = { frequency: "once", start_at: "2024-03-01T09:00:00Z" };
+    assert.equal(iso(nextRunAfter(once, "2024-02-01T00:00:00Z")), "2024-03-01T09:00:00.000Z");
+    assert.equal(nextRunAfter(once, "2024-03-01T09:00:00Z"), null);
+    assert.deepEqual(upcomingRuns({ ...once, next_run_at: once.start_at }).map(iso), ["2024-03-01T09:00:00.000Z"]);
+  });
+
+  it("steps weekly schedules in whole weeks from the start", () => {
+    const weekly = { frequency: "weekly", start_at: "2024-01-01T09:00:00Z" };
+    assert.equal(iso(nextRunAfter(weekly, "2023-12-01T00:00:00Z")), "2024-01-01T09:00:00.000Z");
+    assert.equal(iso(nextRunAfter(weekly, "2024-01-01T09:00:00Z")), "2024-01-08T09:00:00.000Z");
+    assert.equal(iso(nextRunAfter(weekly, "2024-01-10T00:00:00Z")), "2024-01-15T09:00:00.000Z");
+  });
+
+  it("clamps the monthly day to short months and keeps the time of day", () => {
+    const monthly = { frequency: "monthly", start_at: "2024-01-31T14:30:00Z", day_of_month: 31, next_run_at: "2024-01-31T14:30:00Z" };
+    assert.deepEqual(upcomingRuns(monthly, 4).map(iso), [
+      "2024-01-31T14:30:00.000Z",
+      "2024-02-29T14:30:00.000Z",
+      "2024-03-31T14:30:00.000Z",
+      "2024-04-30T14:30:00.000Z",
+    ]);
+    assert.equal(iso(nextRunAfter(monthly, "2024-12-31T14:30:00Z")), "2025-01-31T14:30:00.000Z");
+  });
+
+  it("never runs before start_at or after end_at", () => {
+    const monthly = { frequency: "monthly", start_at: "2024-05-20T09:00:00Z", day_of_month: 10, end_at: "2024-08-01T00:00:00Z", next_run_at: "2024-06-10T09:00:00Z" };
+    assert.equal(iso(nextRunAfter(monthly, "2024-05-01T00:00:00Z")), "2024-06-10T09:00:00.000Z");
+    assert.deepEqual(upcomingRuns(monthly).map(iso), ["2024-06-10T09:00:00.000Z", "2024-07-10T09:00:00.000Z"]);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { csvHeader, csvLine, ofxHeader, ofxAccountOpen, ofxTransaction, ofxAccountClose, ofxFooter } from "../../utils/statements.js";
+
+const tx = {
+  id: "tx-1",
+  account_id: "acc-1",
+  account_type: "checking",
+  currency: "USD",
+  type: "debit",
+  amount: "12.30",
+  description: 'Dinner, "Luigi\'s"',
+  reference: null,
+  created_at: "2024-01-31T12:34:56.789Z",
+};
+
+describe("statements", () => {
+  it("writes CSV rows with signed amounts and quoted cells", () => {
+    assert.equal(csvHeader(), "date,description,type,amount,currency,account_id,account_type,reference,id\r\n");
+    assert.equal(csvLine(tx), '2024-01-31T12:34:56.789Z,"Dinner, ""Luigi\'s""",debit,-12.30,USD,acc-1,checking,,tx-1\r\n');
+    assert.equal(csvLine({ ...tx, type: "credit", description: "multi\nline" }).split(",")[1], '"multi\nline"');
+  });
+
+  it("defuses spreadsheet formulas in text cells", () => {
+    assert.equal(csvLine({ ...tx, description: "=HYPERLINK(1)" }).split(",")[1], "'=HYPERLINK(1)");
+    assert.equal(csvLine({ ...tx, description: "-5 refund" }).split(",")[1], "'-5 refund");
+    assert.match(csvLine(tx), /,debit,-12\.30,USD,/);
+  });
+
+  it("writes OFX transactions with GMT dates, escaped text and a 32-character NAME", () => {
+    const out = ofxTransaction({ ...tx, description: "Fish & Chips <takeaway> for the whole office party" });
+    assert.match(out, /<TRNTYPE>DEBIT<\/TRNTYPE>/);
+    assert.match(out, /<DTPOSTED>20240131123456\[0:GMT\]<\/DTPOSTED>/);
+    assert.match(out, /<TRNAMT>-12.30<\/TRNAMT>/);
+    assert.match(out, /<NAME>Fish &amp; Chips &lt;takeaway&gt; for the <\/NAME>/);
+    assert.match(out, /<MEMO>Fish &amp; Chips &lt;takeaway&gt; for the whole office party<\/MEMO>/);
+    assert.doesNotMatch(ofxTransaction({ ...tx, type: "credit", description: "" }), /<MEMO>/);
+    assert.match(ofxTransaction({ ...tx, type: "credit", description: "" }), /<NAME>Credit<\/NAME>/);
+  });
+
+  it("wraps accounts in a complete OFX document", () => {
+    const acc = { id: "acc-1", type: "savings", currency: "EUR", balance: "100.00" };
+    const doc = ofxHeader() + ofxAccountOpen(acc, "2024-01-01T00:00:00Z", "2024-02-01T00:00:00Z") + ofxTransaction(tx) + ofxAccountClose(acc) + ofxFooter();
+    assert.ok(doc.startsWith("OFXHEADER:100\r\n"));
+    assert.match(doc, /<CURDEF>EUR<\/CURDEF>/);
+    assert.match(doc, /<ACCTTYPE>SAVINGS<\/ACCTTYPE>/);
+    assert.match(doc, /<DTSTART>20240101000000\[0:GMT\]<\/DTSTART>/);
+    assert.match(doc, /<BALAMT>100.00<\/BALAMT>/);
+    assert.ok(doc.endsWith("</BANKMSGSRSV1>\r\n</OFX>\r\n"));
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { base32Encode, base32Decode, currentStep, totpAt, verifyTotp, generateRecoveryCodes, normalizeRecoveryCode } from "../../utils/totp.js";
+
+// RFC 6238 appendix B: the SHA-1 key "12345678901234567890", last 6 of the 8 digits listed there
+const SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("totp", () => {
+  it("round-trips base32", () => {
+    assert.equal(SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    assert.equal(base32Decode(SECRET.toLowerCase()).toString(), "12345678901234567890");
+    assert.throws(() => base32Decode("not base32!"), /Invalid base32/);
+  });
+
+  it("matches the RFC 6238 test vectors", () => {
+    assert.equal(totpAt(SECRET, currentStep(59 * 1000)), "287082");
+    assert.equal(totpAt(SECRET, currentStep(1111111109 * 1000)), "081804");
+    assert.equal(totpAt(SECRET, currentStep(1234567890 * 1000)), "005924");
+  });
+
+  it("accepts the previous, current and next 30-second step only", () => {
+    const now = 1234567890 * 1000;
+    const step = currentStep(now);
+    assert.equal(verifyTotp(SECRET, totpAt(SECRET, step), { now }), step);
+    assert.equal(verifyTotp(SECRET, totpAt(SECRET, step - 1), { now }), step - 1);
+    assert.equal(verifyTotp(SECRET, totpAt(SECRET, step + 1), { now }), step + 1);
+    assert.equal(verifyTotp(SECRET, totpAt(SECRET, step - 2), { now }), null);
+    assert.equal(verifyTotp(SECRET, totpAt(SECRET, step + 2), { now }), null);
+    assert.equal(verifyTotp(SECRET, "005 924", { now }), step);
+    assert.equal(verifyTotp(SECRET, "12345", { now }), null);
+  });
+
+  it("refuses a code from a step already used", () => {
+    const now = 1234567890 * 1000;
+    const step = currentStep(now);
+    assert.equal(verifyTotp(SECRET, totpAt(SECRET, step), { now, afterStep: step }), null);
+    assert.equal(verifyTotp(SECRET, totpAt(SECRET, step + 1), { now, afterStep: step }), step + 1);
+  });
+
+  it("makes recovery codes that normalize regardless of case and dashes", () => {
+    const codes = generateRecoveryCodes();
+    assert.equal(codes.length, 10);
+    for (const code of codes) assert.match(code, /^[A-Z2-7]{4}(-[A-Z2-7]{4}){3}$/);
+    assert.equal(new Set(codes).size, 10);
+    assert.equal(base32Decode(normalizeRecoveryCode(codes[0])).length, 10);
+    assert.equal(normalizeRecoveryCode(" k7qf-2mzd x4pa-B6NE "), "K7QF2MZDX4PAB6NE");
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { validate, parseIsoDate } from "../../utils/validate.js";
+
+const SCHEMA = {
+  email: { type: "email", required: true },
+  amount: { type: "amount", required: true },
+  method: { type: "enum", values: ["standard", "wire"], default: "standard" },
+  note: { type: "string", max: 5 },
+  password: { type: "string", trim: false },
+};
+const base = { email: " Ann@Example.TEST ", amount: "12.5" };
+
+describe("validate", () => {
+  it("coerces values and fills in defaults", () => {
+    assert.deepEqual(validate(SCHEMA, base), {
+      value: { email: "ann@example.test", amount: "12.50", method: "standard", note: undefined, password: undefined },
+    });
+    assert.equal(validate(SCHEMA, { ...base, note: " hi " }).value.note, "hi");
+    assert.equal(validate(SCHEMA, { ...base, password: " pw " }).value.password, " pw ");
+  });
+
+  it("reports the first problem with a stable code and field", () => {
+    const error = (body) => validate(SCHEMA, body).error;
+    assert.deepEqual(error([]), { code: "invalid_body", message: "The request body must be a JSON object", field: null });
+    assert.deepEqual(error({ amount: 1 }), { code: "missing_field", message: "email is required", field: "email" });
+    assert.deepEqual(error({ ...base, email: "   " }), { code: "missing_field", message: "email is required", field: "email" });
+    assert.deepEqual(error({ ...base, extra: 1 }), { code: "unknown_field", message: "Unknown field: extra", field: "extra" });
+    assert.equal(error({ ...base, method: "ach" }).code, "invalid_field");
+    assert.equal(error({ ...base, note: "too long" }).message, "note must be at most 5 characters");
+    assert.equal(validate(SCHEMA, { ...base, extra: 1 }, { allowUnknown: true }).value.extra, undefined);
+  });
+
+  it("accepts amounts only as positive decimals with at most 2 places", () => {
+    const amount = (value) => validate(SCHEMA, { ...base, amount: value });
+    for (const bad of [0.001, "1e3", "12.345", "-1", "abc", 0, 1e13]) assert.equal(amount(bad).error.field, "amount", String(bad));
+    assert.equal(amount(0.1 + 0.2).error.code, "invalid_field");
+    assert.equal(amount(12.3).value.amount, "12.30");
+    assert.equal(validate({ fee: { type: "amount", allowZero: true } }, { fee: "0" }).value.fee, "0.00");
+  });
+
+  it("checks ids, numbers, arrays and dates", () => {
+    const rules = {
+      id: { type: "id" },
+      n: { type: "number", integer: true, min: 1, max: 10 },
+      tags: { type: "array", items: { type: "string" }, max: 2 },
+      at: { type: "date" },
+    };
+    const { value } = validate(rules, { id: 42, n: "3", tags: ["a", "a", "b"], at: "2024-02-29T09:00:00Z" });
+    assert.deepEqual(value, { id: "42", n: 3, tags: ["a", "b"], at: new Date("2024-02-29T09:00:00Z") });
+    assert.equal(validate(rules, { id: "0" }).error.field, "id");
+    assert.equal(validate(rules, { n: 2.5 }).error.message, "n must be a whole number");
+    assert.equal(validate(rules, { tags: ["a", "b", "c"] }).error.message, "tags allows at most 2 items");
+    assert.equal(validate(rules, { at: "yesterday" }).error.message, "at must be an ISO 8601 date");
+    for (const at of ["2024-02-31", "2023-02-29", "2024-04-31T10:00:00Z", "2024-13-01", "2024-00-10"]) {
+      assert.deepEqual(validate(rules, { at }).error, { code: "invalid_field", message: "at must be an ISO 8601 date", field: "at" }, at);
+    }
+    assert.deepEqual(validate(rules, { at: "2024-12-31T23:30:00-05:00" }).value.at, new Date("2025-01-01T04:30:00Z"));
+  });
+
+  it("parses only real ISO 8601 dates", () => {
+    assert.deepEqual(parseIsoDate(" 2024-02-29 "), new Date("2024-02-29T00:00:00Z"));
+    assert.deepEqual(parseIsoDate("2024-03-01T10:15:00+02:00"), new Date("2024-03-01T08:15:00Z"));
+    for (const bad of ["2024-02-31", "2023-02-29", "2024-06-31T00:00:00Z", "1", "March", "03/01/2024", "", null, 1700000000000]) {
+      assert.equal(parseIsoDate(bad), null, String(bad));
+    }
+  });
+});
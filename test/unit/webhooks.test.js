@@ -0,0 +1,49 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { isPrivateAddress, publicOnlyLookup, signPayload, backoffMs } from "../../utils/webhooks.js";
+
+describe("webhooks", () => {
+  it("treats loopback, private, link-local, multicast and reserved IPv4 space as private", () => {
+    for (const ip of ["0.0.0.0", "0.1.2.3", "10.0.0.1", "127.0.0.1", "100.64.0.1", "169.254.169.254", "172.16.0.1", "172.31.255.255", "192.168.1.1", "224.0.0.1", "239.255.255.250", "240.0.0.1", "255.255.255.255"]) {
+      assert.equal(isPrivateAddress(ip), true, ip);
+    }
+    for (const ip of ["8.8.8.8", "100.128.0.1", "172.32.0.1", "192.169.0.1", "223.255.255.255"]) assert.equal(isPrivateAddress(ip), false, ip);
+  });
+
+  it("decodes IPv4 addresses carried inside IPv6 ones", () => {
+    for (const ip of ["::", "::1", "::127.0.0.1", "::a9fe:a9fe", "::ffff:10.0.0.1", "::ffff:7f00:1", "64:ff9b::169.254.169.254", "64:ff9b::a00:1", "2002:7f00:1::", "2002:c0a8:101::1"]) {
+      assert.equal(isPrivateAddress(ip), true, ip);
+    }
+    for (const ip of ["::8.8.8.8", "::ffff:8.8.8.8", "64:ff9b::808:808", "2002:808:808::1"]) assert.equal(isPrivateAddress(ip), false, ip);
+  });
+
+  it("treats unique-local, link-local and multicast IPv6 as private", () => {
+    for (const ip of ["fc00::1", "fd12:3456::1", "fe80::1", "fe80::1%eth0", "ff02::1"]) assert.equal(isPrivateAddress(ip), true, ip);
+    for (const ip of ["2001:4860:4860::8888", "2606:4700::1111"]) assert.equal(isPrivateAddress(ip), false, ip);
+  });
+
+  it("refuses to connect when the host resolves to a private address", async () => {
+    const server = http.createServer((req, res) => res.end("reached"));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    try {
+      const err = await new Promise((resolve) => {
+        const req = http.request(`http://localhost:${server.address().port}/`, { lookup: publicOnlyLookup }, () => resolve(null));
+        req.on("error", resolve);
+        req.end();
+      });
+      assert.equal(err && err.code, "EPRIVATEADDRESS");
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it("signs payloads and backs off exponentially", () => {
+    assert.equal(signPayload("whsec_test", 1700000000, "{}"), signPayload("whsec_test", "1700000000", "{}"));
+    assert.notEqual(signPayload("whsec_test", 1700000000, "{}"), signPayload("whsec_test", 1700000001, "{}"));
+    const first = backoffMs(1);
+    const third = backoffMs(3);
+    assert.ok(first >= 24000 && first <= 36000, String(first));
+    assert.ok(third >= 96000 && third <= 144000, String(third));
+  });
+});
@@ -0,0 +1,29 @@
+// utils/config.js
+// Settings read from the environment (or .env, which server.js loads before anything else).
+// Usage:
+//   import { JWT_SECRET, APP_BASE_URL } from './utils/config.js';
+
+export const NODE_ENV = process.env.NODE_ENV || 'development';
+export const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-me';
+export const PORT = Number(process.env.PORT) || 4000;
+export const APP_BASE_URL = (process.env.APP_BASE_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+export const RESET_TOKEN_MINUTES = Number(process.env.RESET_TOKEN_MINUTES || 60);
+export const CLAIM_TOKEN_DAYS = Number(process.env.CLAIM_TOKEN_DAYS || 7);
+export const CLAIM_SWEEP_MS = Number(process.env.CLAIM_SWEEP_MS || 60 * 1000);
+export const SCHEDULE_POLL_MS = Number(process.env.SCHEDULE_POLL_MS || 60 * 1000);
+export const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+export const WEBHOOK_TOLERANCE_SECONDS = Number(process.env.WEBHOOK_TOLERANCE_SECONDS || 300);
+// lets outbound webhooks reach localhost and private networks; for local development only
+export const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === '1';
+export const TWO_FACTOR_CHALLENGE_MINUTES = 5;
+export const ACCESS_TOKEN_MINUTES = Number(process.env.ACCESS_TOKEN_MINUTES || 15);
+export const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS || 30);
+export const REFRESH_REUSE_GRACE_SECONDS = 30;
+export const REGISTER_PER_HOUR = Number(process.env.REGISTER_PER_HOUR || 10);
+export const UNLOCK_TOKEN_HOURS = Number(process.env.UNLOCK_TOKEN_HOURS || 24);
+export const VERIFY_TOKEN_HOURS = Number(process.env.VERIFY_TOKEN_HOURS || 48);
+export const VERIFY_RESENDS_PER_HOUR = 5;
+export const STEP_UP_AMOUNT = Number(process.env.STEP_UP_AMOUNT || 1000);
+export const SQLITE_TOKEN_HOURS = 12;
+export const MAX_OPEN_ACCOUNTS = Number(process.env.MAX_OPEN_ACCOUNTS || 10);
+export const FX_RATES_FILE = process.env.FX_RATES_FILE || 'fx-rates.json';
@@ -0,0 +1,28 @@
+// utils/events.js
+// In-process, per-user event bus. Route handlers publish; open streams subscribe.
+// Usage:
+//   import { publish, subscribe } from './utils/events.js';
+//   const off = subscribe(userId, (evt) => { ... }); // evt = { type, data, at }
+//   publish(userId, 'profile.updated', { fullname: 'Ada' });
+//   off(); // unsubscribe
+
+import { EventEmitter } from 'events';
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open stream; no fixed ceiling
+
+export function publish(userId, type, data = {}) {
+  if (!userId) return;
+  const evt = { type, data, at: new Date().toISOString() };
+  try {
+    bus.emit(String(userId), evt);
+  } catch (e) {
+    console.warn('publish: listener failed', type, e);
+  }
+}
+
+export function subscribe(userId, fn) {
+  const key = String(userId);
+  bus.on(key, fn);
+  return () => bus.off(key, fn);
+}
@@ -0,0 +1,99 @@
+// utils/fx.js
+// Foreign-exchange rates and conversion. Rates are stored in `fx_rates` as units of currency per
+// 1 unit of FX_BASE_CURRENCY (USD by default); the base currency itself is implicit with rate 1.
+// Usage:
+//   import { loadRates, quote, replaceRates, parseRatesFile } from './utils/fx.js';
+//   const q = await quote(client, 'USD', 'EUR', '100.00'); // { rate, spread, mid, amount: '91.54' } or null if unknown
+//   await replaceRates(client, parseRatesFile(fs.readFileSync(file, 'utf8')), 'file:rates.json');
+//
+// Rate files are JSON ({ "base": "USD", "rates": { "EUR": 0.92 } }) or CSV lines of `currency,rate`.
+
+import { normalizeMoney, convertMoney } from './money.js';
+
+export const FX_BASE_CURRENCY = (process.env.FX_BASE_CURRENCY || 'USD').toUpperCase();
+// Applied on every cross-currency conversion, in the bank's favour (0.005 = 0.5%).
+export const FX_SPREAD = Number(process.env.FX_SPREAD || 0.005);
+
+export function isCurrencyCode(code) {
+  return typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+}
+
+// Intl formats a decimal string exactly, so this never goes through a float.
+export function formatMoney(amount, currency = FX_BASE_CURRENCY) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(normalizeMoney(amount));
+  } catch {
+    return `${normalizeMoney(amount)} ${currency}`;
+  }
+}
+
+// db is a pool or a client. Returns a Map of currency -> rate, always including the base currency.
+export async function loadRates(db) {
+  const q = await db.query('SELECT currency, rate FROM fx_rates');
+  const rates = new Map(q.rows.map((r) => [r.currency, Number(r.rate)]));
+  rates.set(FX_BASE_CURRENCY, 1);
+  return rates;
+}
+
+// Converts `amount` of `from` into `to`, rounded to the precision of `to`. Same currency => rate 1, no
+// spread. null when a rate is missing.
+export async function quote(db, from, to, amount) {
+  if (from === to) return { rate: 1, mid: 1, spread: 0, amount: normalizeMoney(amount) };
+  const rates = await loadRates(db);
+  if (!rates.has(from) || !rates.has(to)) return null;
+  const mid = rates.get(to) / rates.get(from);
+  const rate = mid * (1 - FX_SPREAD);
+  return { rate: Number(rate.toFixed(10)), mid: Number(mid.toFixed(10)), spread: FX_SPREAD, amount: convertMoney(amount, to, rate) };
+}
+
+// Mid-market conversion for totals and limits, as a decimal string; null when a rate is missing.
+export function convertMid(rates, from, to, amount) {
+  if (from === to) return normalizeMoney(amount);
+  if (!rates.has(from) || !rates.has(to)) return null;
+  return convertMoney(amount, to, rates.get(to) / rates.get(from));
+}
+
+// Accepts { base, rates } objects or `currency,rate` CSV text. Returns { CUR: rate } relative to FX_BASE_CURRENCY.
+export function parseRatesFile(input) {
+  let base = FX_BASE_CURRENCY;
+  let raw = {};
+  if (typeof input === 'string' && !input.trim().startsWith('{')) {
+    for (const line of input.split(/\r?\n/)) {
+      const [cur, rate] = line.split(',').map((s) => s && s.trim());
+      if (!cur || cur.toLowerCase() === 'currency' || cur.startsWith('#')) continue;
+      raw[cur.toUpperCase()] = rate;
+    }
+  } else {
+    const obj = typeof input === 'string' ? JSON.parse(input) : input || {};
+    base = String(obj.base || FX_BASE_CURRENCY).toUpperCase();
+    raw = obj.rates || {};
+  }
+
+  const parsed = {};
+  for (const [cur, value] of Object.entries(raw)) {
+    const code = String(cur).toUpperCase();
+    const rate = Number(value);
+    if (!isCurrencyCode(code)) throw new Error(`Invalid currency code: ${cur}`);
+    if (!Number.isFinite(rate) || rate <= 0) throw new Error(`Invalid rate for ${code}`);
+    parsed[code] = rate;
+  }
+  if (base !== FX_BASE_CURRENCY) {
+    // rebase: the file quotes against another currency, which must itself be listed
+    const baseRate = parsed[FX_BASE_CURRENCY];
+    if (!baseRate) throw new Error(`Rates are quoted in ${base}; include ${FX_BASE_CURRENCY} to rebase them`);
+    for (const code of Object.keys(parsed)) parsed[code] = parsed[code] / baseRate;
+    parsed[base] = 1 / baseRate;
+  }
+  delete parsed[FX_BASE_CURRENCY];
+  if (!Object.keys(parsed).length) throw new Error('No rates found');
+  return parsed;
+}
+
+// Replaces the whole table in the caller's transaction so a bad upload never leaves a partial set.
+export async function replaceRates(client, rates, source) {
+  await client.query('DELETE FROM fx_rates');
+  for (const [currency, rate] of Object.entries(rates)) {
+    await client.query('INSERT INTO fx_rates (currency, rate, source, updated_at) VALUES ($1, $2, $3, NOW())', [currency, rate, source]);
+  }
+  return Object.keys(rates).length;
+}
@@ -0,0 +1,49 @@
+// utils/helpers.js
+// Small helpers shared by the routers and services.
+// Usage:
+//   import { makeToken, hashToken, sendError, handleError } from './utils/helpers.js';
+//   const token = makeToken();                  // url-safe random string; store hashToken(token)
+//   if (!account) return sendError(res, 404, 'account_not_found', 'Account not found');
+//   catch (err) { return handleError(res, 'Transfer error', err); }
+
+import crypto from 'crypto';
+
+export function makeToken(len = 24) {
+  return crypto.randomBytes(len).toString('base64url');
+}
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+export function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Every error response is { error: { code, message, field } }: code is a stable snake_case identifier
+// the pages map to their own wording, field names the offending body field (or null). Extra context
+// (limits, failed checks) goes in error.details.
+export function sendError(res, status, code, message, { field = null, details } = {}) {
+  return res.status(status).json({ error: { code, message, field, ...(details !== undefined ? { details } : {}) } });
+}
+
+// Logs the real error; the client only ever sees a generic 500.
+export function handleError(res, label, err) {
+  console.error(label, err);
+  return sendError(res, 500, 'internal_error', 'Server error');
+}
+
+export async function writeAudit(client, actorId, action, targetType, targetId, reason, meta = {}) {
+  await client.query(
+    `INSERT INTO admin_audit (actor_id, action, target_type, target_id, reason, meta, created_at)
+     VALUES ($1,$2,$3,$4,$5,$6,NOW())`,
+    [actorId, action, targetType, String(targetId), reason, JSON.stringify(meta)]
+  );
+}
+
+// ?limit=&page= for the paged admin/webhook lists
+export function pageParams(query, defLimit = 25) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defLimit, 1), 100);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  return { limit, page, offset: (page - 1) * limit };
+}
@@ -0,0 +1,73 @@
+// utils/idempotency.js
+// Idempotency-Key support for money-moving POSTs. Keys are scoped per user and stored with a
+// fingerprint of the request plus the original response.
+// Usage (inside the handler's own DB transaction, right after BEGIN):
+//   const idem = await claimIdempotencyKey(client, userId, key, fingerprintRequest(req));
+//   if (idem.replay) return res.status(idem.replay.status).json(idem.replay.body);   // after ROLLBACK
+//   ... do the work ...
+//   await saveIdempotentResponse(client, userId, key, 201, body);                      // before COMMIT
+//
+// Because the key row is written in the same transaction as the transfer, a rollback frees the key
+// again, and a concurrent retry blocks on the row until the first request commits, then replays it.
+
+import crypto from 'crypto';
+
+export const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+
+export function validIdempotencyKey(key) {
+  return typeof key === 'string' && /^[\x21-\x7e]{1,255}$/.test(key);
+}
+
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Same method + path + body (key order ignored) => same fingerprint.
+export function fingerprintRequest(req) {
+  return crypto.createHash('sha256').update(`${req.method} ${req.baseUrl || ''}${req.path}\n${canonical(req.body || {})}`).digest('hex');
+}
+
+// Returns { claimed: true } when this request owns the key, { replay: { status, body } } for a
+// completed earlier request, or { mismatch: true } when the key was used with a different body.
+export async function claimIdempotencyKey(client, userId, key, fingerprint) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const ins = await client.query(
+      `INSERT INTO idempotency_keys (user_id, idem_key, request_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))
+       ON CONFLICT (user_id, idem_key) DO NOTHING`,
+      [userId, key, fingerprint, IDEMPOTENCY_TTL_HOURS]
+    );
+    if (ins.rowCount) return { claimed: true };
+
+    const q = await client.query(
+      `SELECT request_hash, response_status, response_body, expires_at <= NOW() AS expired
+       FROM idempotency_keys WHERE user_id = $1 AND idem_key = $2`,
+      [userId, key]
+    );
+    const row = q.rows[0];
+    if (!row) continue; // purged between the two statements
+    if (row.expired) {
+      await client.query('DELETE FROM idempotency_keys WHERE user_id = $1 AND idem_key = $2', [userId, key]);
+      continue;
+    }
+    if (row.request_hash !== fingerprint) return { mismatch: true };
+    return { replay: { status: row.response_status, body: row.response_body } };
+  }
+  throw new Error('claimIdempotencyKey: could not claim key');
+}
+
+export async function saveIdempotentResponse(client, userId, key, status, body) {
+  await client.query(
+    'UPDATE idempotency_keys SET response_status = $3, response_body = $4 WHERE user_id = $1 AND idem_key = $2',
+    [userId, key, status, JSON.stringify(body)]
+  );
+}
+
+export async function purgeExpiredIdempotencyKeys(pool) {
+  const q = await pool.query('DELETE FROM idempotency_keys WHERE expires_at <= NOW()');
+  return q.rowCount;
+}
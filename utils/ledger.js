@@ -0,0 +1,186 @@
+// utils/ledger.js
+// Double-entry journal. Every money movement is one journal whose entries sum to zero per currency:
+// amounts are signed from the account holder's side (+ credit, - debit). Customer entries also move
+// accounts.balance/available and write the customer-facing `transactions` row; system entries
+// (clearing, settlement, FX position, opening balances) live only in the journal.
+// Holds reserve funds for pending external transfers: they lower `available` only, and the ledger
+// balance moves when the hold settles.
+// Usage:
+//   import { postJournal, systemAccount, fxLegs, reconcileLedger } from './utils/ledger.js';
+//   await postJournal(client, { kind: 'transfer', transferId, entries: [
+//     { accountId, currency: 'USD', amount: '-25.00', description: 'Transfer to ...' },
+//     { system: systemAccount('external_clearing', 'USD'), currency: 'USD', amount: '25.00' },
+//   ] });
+//   await placeHold(client, { accountId, transferId, amount: '25.00', currency: 'USD', description: 'External transfer' });
+//   const hold = await endHold(client, transferId, 'settled');   // or 'released'; null when there was no active hold
+//   const report = await reconcileLedger(pool);   // { drift, availableDrift, unbalanced, system }
+
+import { toMinor, fromMinor, normalizeMoney, negateMoney } from './money.js';
+
+export const EXTERNAL_CLEARING = 'external_clearing'; // funds debited for external transfers not yet paid out
+export const EXTERNAL_SETTLEMENT = 'external_settlement'; // funds paid out through the provider
+export const FX_POSITION = 'fx_position'; // the bank's side of cross-currency conversions
+export const OPENING_BALANCE = 'opening_balance'; // balances that existed before the journal
+
+export function systemAccount(name, currency) {
+  return `${name}:${currency}`;
+}
+
+// The bank's legs of a conversion: it receives the sender's currency and pays out the recipient's,
+// so each currency balances on its own. Empty for same-currency moves.
+export function fxLegs(fromCurrency, fromAmount, toCurrency, toAmount) {
+  if (fromCurrency === toCurrency) return [];
+  return [
+    { system: systemAccount(FX_POSITION, fromCurrency), currency: fromCurrency, amount: normalizeMoney(fromAmount) },
+    { system: systemAccount(FX_POSITION, toCurrency), currency: toCurrency, amount: negateMoney(toAmount) },
+  ];
+}
+
+// Posts one balanced journal in the caller's transaction and returns its id. Throws (so the caller
+// rolls back) when an entry is malformed, has more than 2 decimals or the entries don't balance. Pass applyBalances: false to
+// record balances that are already on the account (opening balances).
+export async function postJournal(client, { kind, transferId = null, description = null, entries, applyBalances = true }) {
+  if (!entries || entries.length < 2) throw new Error('A journal needs at least two entries');
+  const totals = new Map();
+  for (const e of entries) {
+    if (!e.accountId === !e.system) throw new Error('Each journal entry needs exactly one of accountId or system');
+    let minor;
+    try {
+      minor = toMinor(e.amount);
+    } catch {
+      minor = 0n;
+    }
+    if (minor === 0n) throw new Error(`Invalid journal amount: ${e.amount}`);
+    totals.set(e.currency, (totals.get(e.currency) || 0n) + minor);
+  }
+  for (const [currency, minor] of totals) {
+    if (minor !== 0n) throw new Error(`Unbalanced journal (${kind}): ${currency} off by ${fromMinor(minor)}`);
+  }
+
+  const j = await client.query('INSERT INTO journals (kind, transfer_id, description) VALUES ($1, $2, $3) RETURNING id', [kind, transferId, description]);
+  const journalId = j.rows[0].id;
+  for (const e of entries) {
+    const amount = normalizeMoney(e.amount);
+    await client.query('INSERT INTO journal_entries (journal_id, account_id, system_account, currency, amount) VALUES ($1, $2, $3, $4, $5)', [
+      journalId,
+      e.accountId || null,
+      e.system || null,
+      e.currency,
+      amount,
+    ]);
+    if (!e.accountId || !applyBalances) continue;
+    await client.query('UPDATE accounts SET balance = balance + $1, available = available + $1 WHERE id = $2', [amount, e.accountId]);
+    await client.query(
+      `INSERT INTO transactions (account_id, type, amount, description, reference, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [e.accountId, amount.startsWith('-') ? 'debit' : 'credit', amount.replace(/^-/, ''), e.description || description, transferId]
+    );
+  }
+  return journalId;
+}
+
+export async function placeHold(client, { accountId, transferId = null, amount, currency, description = null }) {
+  const q = await client.query(
+    `INSERT INTO holds (account_id, transfer_id, amount, currency, description)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [accountId, transferId, amount, currency, description]
+  );
+  await client.query('UPDATE accounts SET available = available - $1 WHERE id = $2', [amount, accountId]);
+  return q.rows[0].id;
+}
+
+// Ends the transfer's active hold as 'settled' or 'released' and gives the amount back to `available`;
+// a settling caller then posts the journal, which takes it out of both balances.
+export async function endHold(client, transferId, status) {
+  const q = await client.query(
+    `UPDATE holds SET status = $2, ended_at = NOW()
+     WHERE transfer_id = $1 AND status = 'active'
+     RETURNING id, account_id, amount, currency, description`,
+    [transferId, status]
+  );
+  const hold = q.rows[0];
+  if (!hold) return null;
+  await client.query('UPDATE accounts SET available = available + $1 WHERE id = $2', [hold.amount, hold.account_id]);
+  return hold;
+}
+
+// Records each non-zero account balance that has no journal entries yet as an opening balance, and
+// puts in-flight external transfers from before the journal into clearing, so the journal can be
+// introduced on a database that already holds money.
+export async function backfillOpeningBalances(client) {
+  const q = await client.query(
+    `SELECT a.id, a.currency, a.balance FROM accounts a
+     WHERE a.balance <> 0 AND NOT EXISTS (SELECT 1 FROM journal_entries e WHERE e.account_id = a.id)
+     FOR UPDATE OF a`
+  );
+  for (const a of q.rows) {
+    await postJournal(client, {
+      kind: 'opening_balance',
+      description: 'Opening balance',
+      applyBalances: false,
+      entries: [
+        { accountId: a.id, currency: a.currency, amount: a.balance },
+        { system: systemAccount(OPENING_BALANCE, a.currency), currency: a.currency, amount: negateMoney(a.balance) },
+      ],
+    });
+  }
+  const inFlight = await client.query(
+    `SELECT t.id, t.amount, t.currency FROM transfers t
+     WHERE t.status IN ('pending', 'claimed') AND t.recipient_account_id IS NULL
+       AND NOT EXISTS (SELECT 1 FROM journals j WHERE j.transfer_id = t.id)
+       AND NOT EXISTS (SELECT 1 FROM holds h WHERE h.transfer_id = t.id)
+     FOR UPDATE OF t`
+  );
+  for (const t of inFlight.rows) {
+    await postJournal(client, {
+      kind: 'opening_balance',
+      transferId: t.id,
+      description: 'Opening balance: external transfer in flight',
+      applyBalances: false,
+      entries: [
+        { system: systemAccount(EXTERNAL_CLEARING, t.currency), currency: t.currency, amount: t.amount },
+        { system: systemAccount(OPENING_BALANCE, t.currency), currency: t.currency, amount: negateMoney(t.amount) },
+      ],
+    });
+  }
+  return q.rowCount + inFlight.rowCount;
+}
+
+// Recomputes every account balance from the journal. drift lists accounts whose stored balance
+// differs; availableDrift lists accounts where available != balance - active holds; unbalanced lists
+// journals whose entries don't sum to zero; system totals each system account.
+export async function reconcileLedger(db) {
+  const drift = await db.query(
+    `SELECT a.id AS account_id, a.user_id, a.currency, a.balance AS stored, COALESCE(SUM(e.amount), 0) AS journal,
+            a.balance - COALESCE(SUM(e.amount), 0) AS drift
+     FROM accounts a
+     LEFT JOIN journal_entries e ON e.account_id = a.id
+     GROUP BY a.id
+     HAVING a.balance <> COALESCE(SUM(e.amount), 0)
+     ORDER BY a.created_at`
+  );
+  const availableDrift = await db.query(
+    `SELECT a.id AS account_id, a.currency, a.balance, a.available, COALESCE(h.held, 0) AS held
+     FROM accounts a
+     LEFT JOIN (SELECT account_id, SUM(amount) AS held FROM holds WHERE status = 'active' GROUP BY account_id) h ON h.account_id = a.id
+     WHERE a.available <> a.balance - COALESCE(h.held, 0)
+     ORDER BY a.created_at`
+  );
+  const unbalanced = await db.query(
+    `SELECT journal_id, currency, SUM(amount) AS total
+     FROM journal_entries
+     GROUP BY journal_id, currency
+     HAVING SUM(amount) <> 0
+     ORDER BY journal_id`
+  );
+  const system = await db.query(
+    `SELECT system_account, currency, SUM(amount) AS balance
+     FROM journal_entries
+     WHERE system_account IS NOT NULL
+     GROUP BY system_account, currency
+     ORDER BY system_account`
+  );
+  const accounts = await db.query('SELECT COUNT(*)::int AS n FROM accounts');
+  return { accounts: accounts.rows[0].n, drift: drift.rows, availableDrift: availableDrift.rows, unbalanced: unbalanced.rows, system: system.rows };
+}
@@ -0,0 +1,114 @@
+// utils/limits.js
+// Per-user transfer limits and velocity rules. Amounts are decimal strings in FX_BASE_CURRENCY; transfers
+// in other currencies are converted at the mid rate. Defaults come from the environment and an admin can
+// override any of them per user (transfer_limits row; a NULL column falls back to the default).
+// Usage:
+//   import { checkTransferLimits, effectiveLimits, limitUsage } from './utils/limits.js';
+//   const blocked = await checkTransferLimits(client, userId, { amount, currency, method, external });
+//   if (blocked) ... // { status, code, message, details }
+//
+// Daily and monthly windows are UTC calendar days/months; the external velocity window is the last hour.
+
+import { FX_BASE_CURRENCY, loadRates, convertMid, formatMoney } from './fx.js';
+import { parseAmount, normalizeMoney, sumMoney, compareMoney } from './money.js';
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function envMoney(name, fallback) {
+  return parseAmount(process.env[name] ?? '').amount || fallback;
+}
+
+export const DEFAULT_LIMITS = {
+  daily_amount: envMoney('LIMIT_DAILY_AMOUNT', '10000.00'),
+  monthly_amount: envMoney('LIMIT_MONTHLY_AMOUNT', '50000.00'),
+  per_tx_standard: envMoney('LIMIT_PER_TX_STANDARD', '5000.00'),
+  per_tx_wire: envMoney('LIMIT_PER_TX_WIRE', '25000.00'),
+  per_tx_btc: envMoney('LIMIT_PER_TX_BTC', '2000.00'),
+  external_per_hour: envNumber('LIMIT_EXTERNAL_PER_HOUR', 5),
+};
+export const LIMIT_FIELDS = Object.keys(DEFAULT_LIMITS);
+
+// Methods without their own per-transaction cap (ach, eft, ...) use the standard one.
+export function perTransactionField(method) {
+  return ['wire', 'btc'].includes(method) ? `per_tx_${method}` : 'per_tx_standard';
+}
+
+export async function effectiveLimits(db, userId) {
+  const q = await db.query(`SELECT ${LIMIT_FIELDS.join(', ')}, reason, updated_by, updated_at FROM transfer_limits WHERE user_id = $1`, [userId]);
+  const override = q.rows[0] || null;
+  const limits = {};
+  for (const f of LIMIT_FIELDS) {
+    if (!override || override[f] == null) limits[f] = DEFAULT_LIMITS[f];
+    else limits[f] = f === 'external_per_hour' ? Number(override[f]) : normalizeMoney(override[f]);
+  }
+  return { limits, override };
+}
+
+// Outgoing transfers to other people (own-account moves don't count), excluding refunded ones.
+export async function limitUsage(db, userId, rates = null) {
+  rates = rates || (await loadRates(db));
+  const q = await db.query(
+    `SELECT t.currency,
+            SUM(t.amount) FILTER (WHERE t.created_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC') AS today,
+            SUM(t.amount) AS month,
+            COUNT(*) FILTER (WHERE t.recipient_account_id IS NULL AND t.created_at >= NOW() - INTERVAL '1 hour') AS external_last_hour
+     FROM transfers t
+     JOIN accounts a ON a.id = t.sender_account_id
+     WHERE a.user_id = $1
+       AND t.method <> 'own_account'
+       AND t.status <> 'refunded'
+       AND t.created_at >= date_trunc('month', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+     GROUP BY t.currency`,
+    [userId]
+  );
+  const inBase = (amount, currency) => convertMid(rates, currency, FX_BASE_CURRENCY, amount || 0) || 0;
+  return {
+    currency: FX_BASE_CURRENCY,
+    today: sumMoney(q.rows.map((r) => inBase(r.today, r.currency))),
+    month: sumMoney(q.rows.map((r) => inBase(r.month, r.currency))),
+    external_last_hour: q.rows.reduce((n, r) => n + Number(r.external_last_hour), 0),
+  };
+}
+
+// Returns null when the transfer is allowed, otherwise { status, code, message, details }.
+// Locks the user row so two concurrent transfers can't both slip under the same limit.
+export async function checkTransferLimits(client, userId, { amount, currency, method, external }) {
+  await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  const rates = await loadRates(client);
+  const { limits } = await effectiveLimits(client, userId);
+  const value = convertMid(rates, currency, FX_BASE_CURRENCY, amount);
+  const base = (n) => formatMoney(n, FX_BASE_CURRENCY);
+  const block = (status, code, message, details) => ({ status, code, message, details: { currency: FX_BASE_CURRENCY, ...details } });
+
+  // without a rate the amount can't be checked, so refuse rather than let it through uncapped
+  if (value == null) return block(422, 'fx_unavailable', `No exchange rate for ${currency} to check transfer limits`, {});
+
+  const field = perTransactionField(method);
+  if (compareMoney(value, limits[field]) > 0) {
+    return block(422, 'limit_per_transaction', `The most you can send by ${method} in one transfer is ${base(limits[field])}`, { limit: limits[field], method });
+  }
+
+  const usage = await limitUsage(client, userId, rates);
+  if (compareMoney(sumMoney([usage.today, value]), limits.daily_amount) > 0) {
+    return block(422, 'limit_daily', `This transfer would exceed your daily limit of ${base(limits.daily_amount)} (${base(usage.today)} sent today)`, {
+      limit: limits.daily_amount,
+      used: usage.today,
+    });
+  }
+  if (compareMoney(sumMoney([usage.month, value]), limits.monthly_amount) > 0) {
+    return block(422, 'limit_monthly', `This transfer would exceed your monthly limit of ${base(limits.monthly_amount)} (${base(usage.month)} sent this month)`, {
+      limit: limits.monthly_amount,
+      used: usage.month,
+    });
+  }
+  if (external && usage.external_last_hour >= limits.external_per_hour) {
+    return block(429, 'velocity_external_hourly', `You can make at most ${limits.external_per_hour} external transfers per hour. Try again later.`, {
+      limit: limits.external_per_hour,
+      used: usage.external_last_hour,
+    });
+  }
+  return null;
+}
@@ -0,0 +1,138 @@
+// utils/migrations.js
+// Versioned schema migrations. Each migration is a pair of files in migrations/ named
+// NNNN_description.up.sql / NNNN_description.down.sql; applied versions are recorded in schema_migrations
+// with a checksum of the up file, so an edit to an already-applied migration is reported instead of ignored.
+// Every migration runs in its own transaction, under an advisory lock so two instances starting at once
+// don't race.
+// Usage:
+//   import { migrate, rollback, migrationStatus } from './utils/migrations.js';
+//   const applied = await migrate(pool);              // [{ version, name }] newly applied, in order
+//   const reverted = await rollback(pool, { steps: 1 });
+//   const rows = await migrationStatus(pool);         // [{ version, name, applied_at, changed }]
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+const LOCK_ID = 72100201;
+const FILE_RE = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+// Reads migrations/ into [{ version, name, up, down }] sorted by version. A migration without a down
+// file can be applied but not rolled back.
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir).sort()) {
+    const m = FILE_RE.exec(file);
+    if (!m) continue;
+    const [, version, name, direction] = m;
+    const entry = byVersion.get(version) || { version, name, up: null, down: null };
+    if (entry.name !== name) throw new Error(`Migration ${version} has two names: ${entry.name} and ${name}`);
+    entry[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, entry);
+  }
+  const list = [...byVersion.values()].sort((a, b) => a.version.localeCompare(b.version));
+  for (const m of list) if (!m.up) throw new Error(`Migration ${m.version}_${m.name} has no .up.sql file`);
+  return list;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version TEXT PRIMARY KEY,
+       name TEXT NOT NULL,
+       checksum TEXT NOT NULL,
+       applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     )`
+  );
+}
+
+async function appliedVersions(db) {
+  const q = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return q.rows;
+}
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, sql, after) {
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await after();
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  }
+}
+
+// Applies every pending migration in version order (or up to and including `to`).
+export async function migrate(pool, { to = null, dir = MIGRATIONS_DIR, log = () => {} } = {}) {
+  const migrations = loadMigrations(dir);
+  return withLock(pool, async (client) => {
+    const done = new Set((await appliedVersions(client)).map((r) => r.version));
+    const applied = [];
+    for (const m of migrations) {
+      if (done.has(m.version)) continue;
+      if (to && m.version > to) break;
+      log(`Applying ${m.version}_${m.name}`);
+      await runInTransaction(client, m.up, () =>
+        client.query('INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)', [m.version, m.name, checksum(m.up)])
+      );
+      applied.push({ version: m.version, name: m.name });
+    }
+    return applied;
+  });
+}
+
+// Reverts the last `steps` applied migrations, newest first.
+export async function rollback(pool, { steps = 1, dir = MIGRATIONS_DIR, log = () => {} } = {}) {
+  const byVersion = new Map(loadMigrations(dir).map((m) => [m.version, m]));
+  return withLock(pool, async (client) => {
+    const targets = (await appliedVersions(client)).reverse().slice(0, steps);
+    const reverted = [];
+    for (const row of targets) {
+      const m = byVersion.get(row.version);
+      if (!m) throw new Error(`Migration ${row.version}_${row.name} is applied but its files are missing`);
+      if (!m.down) throw new Error(`Migration ${m.version}_${m.name} has no .down.sql file and can't be rolled back`);
+      log(`Reverting ${m.version}_${m.name}`);
+      await runInTransaction(client, m.down, () => client.query('DELETE FROM schema_migrations WHERE version = $1', [m.version]));
+      reverted.push({ version: m.version, name: m.name });
+    }
+    return reverted;
+  });
+}
+
+// Every known migration with applied_at (null = pending) and whether its up file changed since it was applied.
+export async function migrationStatus(pool, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+  return withLock(pool, async (client) => {
+    const applied = new Map((await appliedVersions(client)).map((r) => [r.version, r]));
+    const rows = migrations.map((m) => {
+      const row = applied.get(m.version);
+      return { version: m.version, name: m.name, applied_at: row ? row.applied_at : null, changed: row ? row.checksum !== checksum(m.up) : false };
+    });
+    for (const [version, row] of applied) {
+      if (!migrations.some((m) => m.version === version)) rows.push({ version, name: row.name, applied_at: row.applied_at, changed: false, missing: true });
+    }
+    return rows.sort((a, b) => a.version.localeCompare(b.version));
+  });
+}
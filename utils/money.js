@@ -0,0 +1,124 @@
+// utils/money.js
+// Exact money arithmetic. Amounts travel as decimal strings ("12.30", the way pg returns NUMERIC) and
+// are computed in integer minor units (BigInt), never in floating point. Precision is per currency
+// (USD 2, JPY 0), capped at the 2 decimals the NUMERIC(18,2) columns hold; without a currency the
+// storage precision (2) is used, e.g. for totals across currencies.
+// Usage:
+//   import { toMinor, fromMinor, parseAmount, sumMoney, compareMoney, multiplyMoney, convertMoney } from './utils/money.js';
+//   toMinor('12.30', 'USD')                  // 1230n; throws RangeError on '12.345' or 'abc'
+//   fromMinor(1230n, 'USD')                  // '12.30'
+//   parseAmount('10.5', 'JPY')               // { error: 'JPY amounts can't have decimals' }
+//   sumMoney(['0.10', '0.20'])               // '0.30'
+//   compareMoney('10.00', '9.99')            // 1
+//   multiplyMoney('33.35', 3)                // '100.05'
+//   convertMoney('100.00', 'JPY', 149.525)  // '14953' (half away from zero)
+
+export const STORAGE_DECIMALS = 2;
+const RATE_DECIMALS = 10; // fx_rates.rate is NUMERIC(20,10)
+const DECIMAL_RE = /^(-)?(\d+)(?:\.(\d+))?$/;
+
+const decimalsCache = new Map();
+
+// Fraction digits of the currency's minor unit (ISO 4217 via Intl), at most STORAGE_DECIMALS.
+export function currencyDecimals(currency) {
+  if (!currency) return STORAGE_DECIMALS;
+  if (!decimalsCache.has(currency)) {
+    let digits = STORAGE_DECIMALS;
+    try {
+      digits = new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+    } catch {
+      // not a currency Intl knows: keep the storage precision
+    }
+    decimalsCache.set(currency, Math.min(digits, STORAGE_DECIMALS));
+  }
+  return decimalsCache.get(currency);
+}
+
+// Digits of a decimal string or number scaled by 10^decimals, as a BigInt. Extra fraction digits must
+// be zeros: this never rounds.
+function scaled(value, decimals, what) {
+  const m = DECIMAL_RE.exec(typeof value === 'number' ? String(value) : String(value ?? '').trim());
+  if (!m) throw new RangeError(`Not a decimal amount: ${value}`);
+  const [, sign, whole, fraction = ''] = m;
+  if (/[1-9]/.test(fraction.slice(decimals))) throw new RangeError(`${value} has more than ${decimals} decimal(s)${what}`);
+  const n = BigInt(whole + fraction.slice(0, decimals).padEnd(decimals, '0'));
+  return sign ? -n : n;
+}
+
+// Decimal string, number or BigInt minor units -> BigInt minor units. Trailing zeros beyond the
+// precision are fine ("1000.00" JPY); any other extra digit throws rather than rounds.
+export function toMinor(value, currency = null) {
+  if (typeof value === 'bigint') return value;
+  return scaled(value, currencyDecimals(currency), currency ? ` for ${currency}` : '');
+}
+
+export function fromMinor(minor, currency = null) {
+  const decimals = currencyDecimals(currency);
+  const n = BigInt(minor);
+  const digits = (n < 0n ? -n : n).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const out = decimals ? `${whole}.${digits.slice(-decimals)}` : whole;
+  return n < 0n ? `-${out}` : out;
+}
+
+// Canonical string for an amount: normalizeMoney(12.3) -> '12.30'.
+export function normalizeMoney(value, currency = null) {
+  return fromMinor(toMinor(value, currency), currency);
+}
+
+// User-entered amount in `currency`: { amount } (canonical string) or { error } (a sentence).
+export function parseAmount(value, currency = null) {
+  let minor;
+  try {
+    minor = toMinor(value, currency);
+  } catch {
+    const decimals = currencyDecimals(currency);
+    const ok = typeof value === 'string' || typeof value === 'number' ? DECIMAL_RE.test(String(value).trim()) : false;
+    if (!ok) return { error: 'Amount must be a decimal number' };
+    const what = currency ? `${currency} amounts` : 'Amounts';
+    return { error: decimals ? `${what} can have at most ${decimals} decimals` : `${what} can't have decimals` };
+  }
+  if (minor <= 0n) return { error: 'Amount must be greater than zero' };
+  return { amount: fromMinor(minor, currency) };
+}
+
+export function sumMoney(values, currency = null) {
+  return fromMinor(values.reduce((sum, v) => sum + toMinor(v ?? 0, currency), 0n), currency);
+}
+
+export function addMoney(a, b, currency = null) {
+  return fromMinor(toMinor(a, currency) + toMinor(b, currency), currency);
+}
+
+export function subtractMoney(a, b, currency = null) {
+  return fromMinor(toMinor(a, currency) - toMinor(b, currency), currency);
+}
+
+export function negateMoney(value, currency = null) {
+  return fromMinor(-toMinor(value, currency), currency);
+}
+
+// -1, 0 or 1, like a sort comparator.
+export function compareMoney(a, b, currency = null) {
+  const d = toMinor(a, currency) - toMinor(b, currency);
+  return d < 0n ? -1 : d > 0n ? 1 : 0;
+}
+
+// minor units at `decimals` * factor, rounded half away from zero to the precision of `to`. The factor
+// is taken at RATE_DECIMALS, the precision fx_rates stores.
+function scaleMinor(minor, decimals, factor, to) {
+  const num = minor * scaled(Number(factor).toFixed(RATE_DECIMALS), RATE_DECIMALS, '') * 10n ** BigInt(currencyDecimals(to));
+  const den = 10n ** BigInt(decimals + RATE_DECIMALS);
+  const q = (2n * (num < 0n ? -num : num) + den) / (2n * den);
+  return fromMinor(num < 0n ? -q : q, to);
+}
+
+// amount * factor in the same currency, rounded half away from zero.
+export function multiplyMoney(amount, factor, currency = null) {
+  return scaleMinor(toMinor(amount, currency), currencyDecimals(currency), factor, currency);
+}
+
+// amount * rate, converted into `to` and rounded half away from zero to its precision.
+export function convertMoney(amount, to, rate) {
+  return scaleMinor(toMinor(amount), STORAGE_DECIMALS, rate, to);
+}
@@ -0,0 +1,84 @@
+// utils/risk.js
+// Rule-based fraud scoring for outgoing transfers. Every rule that fires adds its weight and a reason;
+// a transfer scoring RISK_REVIEW_THRESHOLD or more is held for manual review instead of executing.
+// Usage:
+//   import { scoreTransfer } from './utils/risk.js';
+//   const risk = await scoreTransfer(client, { userId, input, recipientAccountId, currency, context: { ip, userAgent } });
+//   // { score: 45, reasons: [{ code: 'first_time_recipient', weight: 25, detail: '...' }, ...], review: false }
+//
+// Amounts are compared as exact decimal strings (utils/money.js).
+//
+// Device signals compare the request with users.last_login_ip / last_login_ua, so they only apply to
+// transfers made over HTTP (not scheduled runs).
+
+import { parseAmount, compareMoney, multiplyMoney } from './money.js';
+
+export const RISK_REVIEW_THRESHOLD = Number(process.env.RISK_REVIEW_THRESHOLD || 60);
+
+export const RISK_WEIGHTS = {
+  new_ip: 20,
+  new_device: 20,
+  first_time_recipient: 25,
+  unusual_amount: 25,
+  large_first_transfer: 20,
+  btc_destination: 30,
+};
+
+// "unusual" = more than this many times the average of the user's recent transfers in that currency
+const AMOUNT_MULTIPLIER = Number(process.env.RISK_AMOUNT_MULTIPLIER || 3);
+const MIN_HISTORY = 3;
+const FIRST_TRANSFER_AMOUNT = parseAmount(process.env.RISK_FIRST_TRANSFER_AMOUNT ?? '').amount || '1000.00';
+
+// The SQL predicate (on transfers t) that identifies the same destination in earlier transfers.
+function recipientMatch(input, recipientAccountId) {
+  if (recipientAccountId) return { sql: 't.recipient_account_id = $2', value: recipientAccountId };
+  if (input.btc_address) return { sql: 't.btc_address = $2', value: input.btc_address };
+  if (input.account_number) return { sql: "t.account_number || ':' || COALESCE(t.routing_number, '') = $2", value: `${input.account_number}:${input.routing_number || ''}` };
+  if (input.recipient_email) return { sql: 'lower(t.recipient_email) = $2', value: input.recipient_email };
+  return null;
+}
+
+export async function scoreTransfer(db, { userId, input, recipientAccountId = null, currency, context = {} }) {
+  const reasons = [];
+  const hit = (code, detail) => reasons.push({ code, weight: RISK_WEIGHTS[code], detail });
+
+  if (context.ip || context.userAgent) {
+    const u = await db.query('SELECT last_login_ip, last_login_ua FROM users WHERE id = $1', [userId]);
+    const last = u.rows[0] || {};
+    if (context.ip && last.last_login_ip && context.ip !== last.last_login_ip) hit('new_ip', `Request from ${context.ip}; last login from ${last.last_login_ip}`);
+    if (context.userAgent && last.last_login_ua && context.userAgent !== last.last_login_ua) hit('new_device', 'User agent differs from the last login');
+  }
+
+  const match = recipientMatch(input, recipientAccountId);
+  if (match) {
+    const prev = await db.query(
+      `SELECT 1 FROM transfers t
+       JOIN accounts a ON a.id = t.sender_account_id
+       WHERE a.user_id = $1 AND t.status IN ('completed', 'pending', 'claimed') AND ${match.sql}
+       LIMIT 1`,
+      [userId, match.value]
+    );
+    if (!prev.rowCount) hit('first_time_recipient', 'No earlier transfers to this recipient');
+  }
+
+  const history = await db.query(
+    `SELECT COUNT(*)::int AS n, COALESCE(SUM(t.amount), 0) AS total, ROUND(AVG(t.amount), 2) AS avg
+     FROM transfers t
+     JOIN accounts a ON a.id = t.sender_account_id
+     WHERE a.user_id = $1 AND t.currency = $2 AND t.method <> 'own_account'
+       AND t.status IN ('completed', 'pending', 'claimed') AND t.created_at >= NOW() - INTERVAL '90 days'`,
+    [userId, currency]
+  );
+  const { n, total, avg } = history.rows[0];
+  // amount > multiplier x (total / n), compared as amount x n > multiplier x total so no average is rounded
+  if (n >= MIN_HISTORY && compareMoney(multiplyMoney(input.amount, n), multiplyMoney(total, AMOUNT_MULTIPLIER)) > 0) {
+    hit('unusual_amount', `${input.amount} is over ${AMOUNT_MULTIPLIER}x the 90-day average of ${avg} ${currency}`);
+  } else if (n < MIN_HISTORY && compareMoney(input.amount, FIRST_TRANSFER_AMOUNT) >= 0) {
+    hit('large_first_transfer', `${input.amount} ${currency} with only ${n} earlier transfer(s)`);
+  }
+
+  if (input.method === 'btc' || input.btc_address) hit('btc_destination', 'Destination is a BTC address');
+
+  const score = reasons.reduce((sum, r) => sum + r.weight, 0);
+  return { score, reasons, review: score >= RISK_REVIEW_THRESHOLD };
+}
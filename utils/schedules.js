@@ -0,0 +1,65 @@
+// utils/schedules.js
+// Date math for scheduled/recurring transfers. All calculations are in UTC.
+// A schedule is { frequency: 'once' | 'weekly' | 'monthly', start_at, day_of_month, end_at }.
+// Usage:
+//   import { nextRunAfter, upcomingRuns } from './utils/schedules.js';
+//   const next = nextRunAfter(schedule, lastRunAt);   // Date, or null when the schedule is finished
+//   const preview = upcomingRuns(schedule, 5);        // next 5 run dates from schedule.next_run_at
+
+export const FREQUENCIES = ['once', 'weekly', 'monthly'];
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// The run in the given month: day_of_month clamped to the month length, at start_at's time of day.
+function monthlyRun(schedule, year, month) {
+  const start = new Date(schedule.start_at);
+  const day = Math.min(Number(schedule.day_of_month) || start.getUTCDate(), daysInMonth(year, month));
+  return new Date(Date.UTC(year, month, day, start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds()));
+}
+
+// First run strictly after `after`, or null once the schedule is finished (one-off, or past end_at).
+export function nextRunAfter(schedule, after) {
+  const afterTs = new Date(after).getTime();
+  const start = new Date(schedule.start_at);
+  let next = null;
+
+  if (schedule.frequency === 'once') {
+    next = start.getTime() > afterTs ? start : null;
+  } else if (schedule.frequency === 'weekly') {
+    const week = 7 * 24 * 60 * 60 * 1000;
+    const n = start.getTime() > afterTs ? 0 : Math.floor((afterTs - start.getTime()) / week) + 1;
+    next = new Date(start.getTime() + n * week);
+  } else if (schedule.frequency === 'monthly') {
+    const from = new Date(Math.max(afterTs, start.getTime() - 1));
+    let year = from.getUTCFullYear();
+    let month = from.getUTCMonth();
+    for (;;) {
+      const candidate = monthlyRun(schedule, year, month);
+      if (candidate.getTime() > afterTs && candidate.getTime() >= start.getTime()) {
+        next = candidate;
+        break;
+      }
+      month += 1;
+      if (month > 11) {
+        month = 0;
+        year += 1;
+      }
+    }
+  }
+
+  if (next && schedule.end_at && next.getTime() > new Date(schedule.end_at).getTime()) return null;
+  return next;
+}
+
+export function upcomingRuns(schedule, count = 5) {
+  const runs = [];
+  let next = schedule.next_run_at ? new Date(schedule.next_run_at) : null;
+  while (next && runs.length < count) {
+    runs.push(next);
+    if (schedule.frequency === 'once') break;
+    next = nextRunAfter(schedule, next);
+  }
+  return runs;
+}
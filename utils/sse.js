@@ -0,0 +1,78 @@
+// utils/sse.js
+// Minimal Server-Sent Events helper with heartbeats.
+// Usage:
+//   import { openStream } from './utils/sse.js';
+//   const stream = openStream(req, res);            // writes headers, starts `ping` heartbeats
+//   stream.send({ hello: 1 }, { id: 42 });          // default "message" event
+//   stream.send({ ok: true }, { event: 'profile.updated' });
+//   stream.onClose(() => unsubscribe());
+//   openStream(req, res, { alive: () => stillSignedIn() }); // checked on each heartbeat; false ends the stream
+
+const PING_MS = Number(process.env.SSE_PING_MS || 25000);
+const RETRY_MS = Number(process.env.SSE_RETRY_MS || 5000);
+
+export function openStream(req, res, { pingMs = PING_MS, alive = null } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  let closed = false;
+  const closers = [];
+
+  function write(chunk) {
+    if (closed) return false;
+    try {
+      return res.write(chunk);
+    } catch (e) {
+      close();
+      return false;
+    }
+  }
+
+  function send(data, { event, id } = {}) {
+    let out = '';
+    if (id !== undefined && id !== null) out += `id: ${id}\n`;
+    if (event) out += `event: ${event}\n`;
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    for (const line of payload.split('\n')) out += `data: ${line}\n`;
+    return write(out + '\n');
+  }
+
+  async function ping() {
+    if (alive) {
+      let ok = false;
+      try {
+        ok = await alive();
+      } catch (e) {
+        console.warn('sse: alive check failed', e); // the client reconnects and is checked afresh
+      }
+      if (!ok) return close();
+    }
+    send({ t: Date.now() }, { event: 'ping' });
+  }
+
+  const timer = setInterval(ping, pingMs);
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(timer);
+    for (const fn of closers.splice(0)) {
+      try { fn(); } catch (e) { /* ignore */ }
+    }
+    try { res.end(); } catch (e) { /* ignore */ }
+  }
+
+  req.on('close', close);
+
+  return {
+    send,
+    close,
+    onClose(fn) { if (closed) fn(); else closers.push(fn); },
+    get closed() { return closed; },
+  };
+}
@@ -0,0 +1,114 @@
+// utils/statements.js
+// CSV and OFX (1.0.2, SGML with closing tags) statement formatting for transaction exports.
+// Rows are { id, account_id, account_type, currency, type, amount, description, reference, created_at }.
+// Usage:
+//   res.write(csvHeader()); for (const tx of rows) res.write(csvLine(tx));
+//   res.write(ofxHeader()); res.write(ofxAccountOpen(acc, from, to)); ... res.write(ofxTransaction(tx)); ... res.write(ofxAccountClose(acc)); res.write(ofxFooter());
+
+const CSV_COLUMNS = ['date', 'description', 'type', 'amount', 'currency', 'account_id', 'account_type', 'reference', 'id'];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let s = value instanceof Date ? value.toISOString() : String(value);
+  // keep spreadsheet apps from evaluating formulas in free-text fields
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function csvHeader() {
+  return `${CSV_COLUMNS.join(',')}\r\n`;
+}
+
+export function csvLine(tx) {
+  const signed = tx.type === 'debit' ? `-${tx.amount}` : String(tx.amount);
+  return `${[new Date(tx.created_at).toISOString(), tx.description, tx.type, signed, tx.currency, tx.account_id, tx.account_type, tx.reference, tx.id]
+    .map((v, i) => (i === 3 ? v : csvCell(v)))
+    .join(',')}\r\n`;
+}
+
+function ofxDate(d) {
+  const iso = new Date(d).toISOString(); // 2024-01-31T12:34:56.789Z
+  return `${iso.slice(0, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 19)}[0:GMT]`;
+}
+
+// cut to `max` characters before escaping, so an entity is never split
+function ofxText(s, max = 255) {
+  return String(s || '')
+    .replace(/[\r\n]+/g, ' ')
+    .slice(0, max)
+    .replace(/[&<>]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[c]);
+}
+
+export function ofxHeader() {
+  const now = ofxDate(new Date());
+  return [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:UNICODE',
+    'CHARSET:NONE',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<DTSERVER>${now}</DTSERVER>`,
+    '<LANGUAGE>ENG</LANGUAGE>',
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1>',
+    '',
+  ].join('\r\n');
+}
+
+export function ofxAccountOpen(acc, from, to) {
+  return [
+    '<STMTTRNRS>',
+    `<TRNUID>${ofxText(acc.id, 36)}</TRNUID>`,
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    '<STMTRS>',
+    `<CURDEF>${ofxText(acc.currency || 'USD', 3)}</CURDEF>`,
+    '<BANKACCTFROM>',
+    `<BANKID>${ofxText(process.env.BANK_ROUTING_ID || '000000000', 9)}</BANKID>`,
+    `<ACCTID>${ofxText(acc.id, 22)}</ACCTID>`,
+    `<ACCTTYPE>${acc.type === 'savings' ? 'SAVINGS' : 'CHECKING'}</ACCTTYPE>`,
+    '</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    `<DTSTART>${ofxDate(from)}</DTSTART>`,
+    `<DTEND>${ofxDate(to)}</DTEND>`,
+    '',
+  ].join('\r\n');
+}
+
+export function ofxTransaction(tx) {
+  const signed = tx.type === 'debit' ? `-${tx.amount}` : String(tx.amount);
+  return [
+    '<STMTTRN>',
+    `<TRNTYPE>${tx.type === 'debit' ? 'DEBIT' : 'CREDIT'}</TRNTYPE>`,
+    `<DTPOSTED>${ofxDate(tx.created_at)}</DTPOSTED>`,
+    `<TRNAMT>${signed}</TRNAMT>`,
+    `<FITID>${ofxText(tx.id, 255)}</FITID>`,
+    `<NAME>${ofxText(tx.description || (tx.type === 'debit' ? 'Debit' : 'Credit'), 32)}</NAME>`,
+    tx.description ? `<MEMO>${ofxText(tx.description)}</MEMO>` : null,
+    '</STMTTRN>',
+    '',
+  ]
+    .filter((l) => l !== null)
+    .join('\r\n');
+}
+
+export function ofxAccountClose(acc) {
+  return [
+    '</BANKTRANLIST>',
+    `<LEDGERBAL><BALAMT>${acc.balance}</BALAMT><DTASOF>${ofxDate(new Date())}</DTASOF></LEDGERBAL>`,
+    '</STMTRS>',
+    '</STMTTRNRS>',
+    '',
+  ].join('\r\n');
+}
+
+export function ofxFooter() {
+  return ['</BANKMSGSRSV1>', '</OFX>', ''].join('\r\n');
+}
@@ -0,0 +1,48 @@
+// utils/store/index.js
+// Data-access layer for the core tables (users, accounts, transactions, transfers, notifications) with a
+// Postgres and a SQLite backend, picked by DB_BACKEND ('postgres', the default, or 'sqlite'; the file is
+// SQLITE_FILE, default data/banking.db). Everything else the API stores (journal, holds, sessions,
+// webhooks, ...) is Postgres-only and still queried through the pool.
+// Usage:
+//   import { createStore } from './utils/store/index.js';
+//   const store = await createStore({ pool });          // store.kind is 'postgres' or 'sqlite'
+//   await store.init();                                 // migrations / SQLite tables
+//   const user = await store.users.findByEmail('ann@example.com');
+//   await store.transaction(async (tx) => {             // commits when fn returns, rolls back when it throws
+//     const acc = await tx.accounts.get(id, { lock: true });
+//     await tx.accounts.adjust(acc.id, '-25.00');
+//     await tx.transactions.add({ accountId: acc.id, type: 'debit', amount: '25.00', description: 'Coffee' });
+//   });                                                 // tx.client is the pg client (null on SQLite)
+//
+// Repositories (all async; money comes back as "0.00" strings on both backends):
+//   users          findById, findByEmail, create, recordLogin, authState
+//   accounts       listForUser, get, primaryChecking, create, adjust (balance and available by a signed amount)
+//   transactions   add, page(userId, filter, { before | after: { key, id }, limit, order })
+//                  filter = { accountId, type, from, to, minAmount, maxAmount (decimal strings), text }; rows carry created_key
+//                  for the cursor
+//   transfers      create, get
+//   notifications  add, list, unreadSince, unreadCount, markRead, markAllRead
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createPostgresStore } from './postgres.js';
+
+export const DB_BACKEND = (process.env.DB_BACKEND || 'postgres').toLowerCase();
+export const SQLITE_FILE = process.env.SQLITE_FILE || path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'data', 'banking.db');
+
+export async function createStore({ backend = DB_BACKEND, pool = null, file = SQLITE_FILE } = {}) {
+  if (backend === 'postgres') {
+    if (!pool) throw new Error('The postgres store needs a pg Pool');
+    return createPostgresStore(pool);
+  }
+  if (backend === 'sqlite') {
+    const { createSqliteStore } = await import('./sqlite.js');
+    return createSqliteStore(file);
+  }
+  throw new Error(`Unknown DB_BACKEND "${backend}" (use postgres or sqlite)`);
+}
+
+// A duplicate key (users.email) on either backend.
+export function isUniqueViolation(err) {
+  return !!err && (err.code === '23505' || err.code === 'SQLITE_CONSTRAINT_UNIQUE');
+}
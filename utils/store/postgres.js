@@ -0,0 +1,206 @@
+// utils/store/postgres.js
+// Postgres implementation of the store (see ./index.js for the interface). Wraps the server's pg Pool;
+// inside store.transaction() every query runs on one client between BEGIN and COMMIT, and
+// { lock: true } reads take row locks (SELECT ... FOR UPDATE).
+
+import { migrate } from '../migrations.js';
+
+const USER_COLUMNS =
+  'id, fullname, email, password_hash, phone, accountname, role, preferred_currency, totp_enabled_at, email_verified_at, password_changed_at, created_at';
+const ACCOUNT_COLUMNS = 'id, user_id, type, nickname, balance, available, currency, created_at, closed_at';
+const TX_COLUMNS = `t.id, t.account_id, t.type, t.amount, t.description, t.reference, t.created_at,
+              t.created_at::text AS created_key, a.type AS account_type, a.currency`;
+const NOTIFICATION_COLUMNS = 'id, title, body, type, meta, created_at, read_at';
+
+// WHERE clauses for a transaction history filter (see transactions.page in ./index.js).
+function transactionWhere(userId, filter, params) {
+  const where = ['a.user_id = $1'];
+  params.push(userId);
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replace('?', `$${params.length}`));
+  };
+  if (filter.accountId) add('t.account_id = ?', filter.accountId);
+  if (filter.type) add('t.type = ?', filter.type);
+  if (filter.from) add('t.created_at >= ?', filter.from);
+  if (filter.to) add('t.created_at < ?', filter.to);
+  if (filter.minAmount != null) add('t.amount >= ?', filter.minAmount);
+  if (filter.maxAmount != null) add('t.amount <= ?', filter.maxAmount);
+  if (filter.text) add('t.description ILIKE ?', `%${filter.text.replace(/[\\%_]/g, (c) => `\\${c}`)}%`);
+  return where;
+}
+
+function repositories(db) {
+  const one = async (sql, params) => (await db.query(sql, params)).rows[0] || null;
+  const lockClause = (opts) => (opts && opts.lock ? ' FOR UPDATE' : '');
+
+  return {
+    users: {
+      findById: (id) => one(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]),
+      findByEmail: (email) => one(`SELECT ${USER_COLUMNS} FROM users WHERE email = $1`, [email]),
+      create: ({ fullname, email, passwordHash, phone = null, accountname = null, emailVerified = false }) =>
+        one(
+          `INSERT INTO users (fullname, email, password_hash, phone, accountname, email_verified_at)
+           VALUES ($1, $2, $3, $4, $5, CASE WHEN $6 THEN NOW() END)
+           RETURNING id, fullname, email, accountname`,
+          [fullname, email, passwordHash, phone, accountname, emailVerified]
+        ),
+      recordLogin: (id, { ip = null, userAgent = null } = {}) =>
+        db.query('UPDATE users SET last_login_at = NOW(), last_login_ip = $1, last_login_ua = $2 WHERE id = $3', [ip, userAgent, id]),
+      // what authMiddleware needs: role, password_changed_at and whether session `sessionId` is live
+      authState: (id, sessionId = null) =>
+        one(
+          `SELECT u.password_changed_at, u.role, s.id AS session_id
+           FROM users u
+           LEFT JOIN sessions s ON s.id = $2 AND s.user_id = u.id AND s.revoked_at IS NULL AND s.expires_at > NOW()
+           WHERE u.id = $1`,
+          [id, sessionId]
+        ),
+    },
+
+    accounts: {
+      listForUser: async (userId, { includeClosed = false } = {}) =>
+        (
+          await db.query(
+            `SELECT ${ACCOUNT_COLUMNS} FROM accounts
+             WHERE user_id = $1 AND ($2 OR closed_at IS NULL)
+             ORDER BY created_at`,
+            [userId, includeClosed]
+          )
+        ).rows,
+      get: (id, opts) => one(`SELECT ${ACCOUNT_COLUMNS} FROM accounts WHERE id = $1${lockClause(opts)}`, [id]),
+      // the account money sent to a user's email address lands in
+      primaryChecking: (userId, opts) =>
+        one(
+          `SELECT ${ACCOUNT_COLUMNS} FROM accounts
+           WHERE user_id = $1 AND type = 'checking' AND closed_at IS NULL
+           ORDER BY created_at LIMIT 1${lockClause(opts)}`,
+          [userId]
+        ),
+      create: ({ userId, type, currency, nickname = null }) =>
+        one(
+          `INSERT INTO accounts (user_id, type, currency, nickname, balance, available)
+           VALUES ($1, $2, $3, $4, 0, 0)
+           RETURNING ${ACCOUNT_COLUMNS}`,
+          [userId, type, currency, nickname]
+        ),
+      adjust: (id, amount) => db.query('UPDATE accounts SET balance = balance + $1, available = available + $1 WHERE id = $2', [amount, id]),
+    },
+
+    transactions: {
+      add: ({ accountId, type, amount, description = null, reference = null }) =>
+        one(
+          `INSERT INTO transactions (account_id, type, amount, description, reference, created_at)
+           VALUES ($1, $2, $3, $4, $5, NOW())
+           RETURNING id, account_id, type, amount, description, reference, created_at`,
+          [accountId, type, amount, description, reference]
+        ),
+      page: async (userId, filter = {}, { after = null, before = null, limit = 100, order = 'desc' } = {}) => {
+        const params = [];
+        const where = transactionWhere(userId, filter, params);
+        const cursor = before || after;
+        if (cursor) {
+          params.push(cursor.key, cursor.id);
+          where.push(`(t.created_at, t.id) ${before ? '<' : '>'} ($${params.length - 1}::timestamptz, $${params.length}::uuid)`);
+        }
+        params.push(limit);
+        const dir = order === 'asc' ? 'ASC' : 'DESC';
+        const q = await db.query(
+          `SELECT ${TX_COLUMNS}
+           FROM transactions t
+           JOIN accounts a ON a.id = t.account_id
+           WHERE ${where.join(' AND ')}
+           ORDER BY t.created_at ${dir}, t.id ${dir}
+           LIMIT $${params.length}`,
+          params
+        );
+        return q.rows;
+      },
+    },
+
+    transfers: {
+      create: (t) =>
+        one(
+          `INSERT INTO transfers
+             (sender_account_id, recipient_account_id, recipient_email, recipient_name, amount, currency, method, status, description, completed_at, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CASE WHEN $8 = 'completed' THEN NOW() END, NOW())
+           RETURNING id, status, currency, created_at`,
+          [
+            t.senderAccountId,
+            t.recipientAccountId || null,
+            t.recipientEmail || null,
+            t.recipientName || null,
+            t.amount,
+            t.currency,
+            t.method,
+            t.status,
+            t.description || null,
+          ]
+        ),
+      get: (id) => one('SELECT * FROM transfers WHERE id::text = $1', [String(id)]),
+    },
+
+    notifications: {
+      add: ({ userId, title, body, type = 'info', meta = {} }) =>
+        one(
+          `INSERT INTO notifications (user_id, title, body, type, meta, created_at)
+           VALUES ($1, $2, $3, $4, $5, NOW())
+           RETURNING ${NOTIFICATION_COLUMNS}`,
+          [userId, title, body, type, JSON.stringify(meta)]
+        ),
+      list: async (userId, { unreadOnly = false, limit = 50 } = {}) =>
+        (
+          await db.query(
+            `SELECT ${NOTIFICATION_COLUMNS}
+             FROM notifications
+             WHERE user_id = $1 ${unreadOnly ? 'AND read_at IS NULL' : ''}
+             ORDER BY created_at DESC
+             LIMIT $2`,
+            [userId, limit]
+          )
+        ).rows,
+      // unread ones newer than notification `afterId` (all unread when it is null), oldest first
+      unreadSince: async (userId, afterId = null, limit = 100) =>
+        (
+          await db.query(
+            `SELECT ${NOTIFICATION_COLUMNS}
+             FROM notifications
+             WHERE user_id = $1 AND read_at IS NULL
+               AND created_at > COALESCE((SELECT created_at FROM notifications WHERE user_id = $1 AND id::text = $2), '-infinity')
+             ORDER BY created_at ASC
+             LIMIT $3`,
+            [userId, afterId, limit]
+          )
+        ).rows,
+      unreadCount: async (userId) => (await one('SELECT COUNT(*)::int AS n FROM notifications WHERE user_id = $1 AND read_at IS NULL', [userId])).n,
+      markRead: async (userId, ids) =>
+        (await db.query('UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND id::text = ANY($2::text[]) AND read_at IS NULL', [userId, ids])).rowCount,
+      markAllRead: async (userId) => (await db.query('UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL', [userId])).rowCount,
+    },
+  };
+}
+
+export function createPostgresStore(pool) {
+  return {
+    kind: 'postgres',
+    pool,
+    ...repositories(pool),
+    init: () => migrate(pool),
+    ping: () => pool.query('SELECT 1'),
+    close: () => pool.end(),
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await fn({ ...repositories(client), client });
+        await client.query('COMMIT');
+        return result;
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+  };
+}
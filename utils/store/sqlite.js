@@ -0,0 +1,363 @@
+// utils/store/sqlite.js
+// SQLite implementation of the store (see ./index.js for the interface), on better-sqlite3. The driver
+// is synchronous and the file has one writer, so transactions are BEGIN IMMEDIATE and queued: a
+// transaction and every call made outside one run one after another, never interleaved, which keeps
+// transfers atomic without row locks ({ lock: true } is accepted and ignored).
+// Ids are UUIDs generated here, timestamps ISO-8601 UTC text (so they sort as text) and money is
+// returned as "0.00" strings like pg's NUMERIC. Balances are added up in JS (utils/money.js), not as
+// REAL arithmetic in SQL.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { addMoney } from '../money.js';
+
+const NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS users (
+     id TEXT PRIMARY KEY,
+     fullname TEXT NOT NULL,
+     email TEXT NOT NULL UNIQUE,
+     password_hash TEXT NOT NULL,
+     phone TEXT,
+     accountname TEXT,
+     role TEXT NOT NULL DEFAULT 'user',
+     preferred_currency TEXT,
+     totp_enabled_at TEXT,
+     email_verified_at TEXT,
+     password_changed_at TEXT,
+     last_login_at TEXT,
+     last_login_ip TEXT,
+     last_login_ua TEXT,
+     created_at TEXT NOT NULL DEFAULT (${NOW})
+   )`,
+  `CREATE TABLE IF NOT EXISTS accounts (
+     id TEXT PRIMARY KEY,
+     user_id TEXT NOT NULL REFERENCES users(id),
+     type TEXT NOT NULL,
+     nickname TEXT,
+     currency TEXT NOT NULL DEFAULT 'USD',
+     balance NUMERIC NOT NULL DEFAULT 0,
+     available NUMERIC NOT NULL DEFAULT 0,
+     created_at TEXT NOT NULL DEFAULT (${NOW}),
+     closed_at TEXT
+   )`,
+  `CREATE INDEX IF NOT EXISTS accounts_user_idx ON accounts (user_id)`,
+  `CREATE TABLE IF NOT EXISTS transactions (
+     id TEXT PRIMARY KEY,
+     account_id TEXT NOT NULL REFERENCES accounts(id),
+     type TEXT NOT NULL,
+     amount NUMERIC NOT NULL,
+     description TEXT,
+     reference TEXT,
+     created_at TEXT NOT NULL DEFAULT (${NOW})
+   )`,
+  `CREATE INDEX IF NOT EXISTS transactions_account_created_idx ON transactions (account_id, created_at DESC, id DESC)`,
+  `CREATE TABLE IF NOT EXISTS transfers (
+     id TEXT PRIMARY KEY,
+     sender_account_id TEXT NOT NULL REFERENCES accounts(id),
+     recipient_account_id TEXT REFERENCES accounts(id),
+     recipient_email TEXT,
+     recipient_name TEXT,
+     amount NUMERIC NOT NULL CHECK (amount > 0),
+     currency TEXT NOT NULL,
+     method TEXT NOT NULL,
+     status TEXT NOT NULL,
+     description TEXT,
+     completed_at TEXT,
+     created_at TEXT NOT NULL DEFAULT (${NOW})
+   )`,
+  `CREATE TABLE IF NOT EXISTS notifications (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     user_id TEXT NOT NULL REFERENCES users(id),
+     title TEXT,
+     body TEXT,
+     type TEXT,
+     meta TEXT,
+     created_at TEXT NOT NULL DEFAULT (${NOW}),
+     read_at TEXT
+   )`,
+  `CREATE INDEX IF NOT EXISTS notifications_user_created_idx ON notifications (user_id, created_at)`,
+];
+
+const USER_COLUMNS =
+  'id, fullname, email, password_hash, phone, accountname, role, preferred_currency, totp_enabled_at, email_verified_at, password_changed_at, created_at';
+const ACCOUNT_COLUMNS = 'id, user_id, type, nickname, balance, available, currency, created_at, closed_at';
+const TX_COLUMNS = `t.id, t.account_id, t.type, t.amount, t.description, t.reference, t.created_at,
+              t.created_at AS created_key, a.type AS account_type, a.currency`;
+const NOTIFICATION_COLUMNS = 'id, title, body, type, meta, created_at, read_at';
+
+const money = (n) => Number(n).toFixed(2);
+const now = () => new Date().toISOString();
+const iso = (d) => (d instanceof Date ? d.toISOString() : d);
+
+function accountRow(r) {
+  return r && { ...r, balance: money(r.balance), available: money(r.available) };
+}
+function txRow(r) {
+  return r && { ...r, amount: money(r.amount) };
+}
+function notificationRow(r) {
+  return r && { ...r, id: String(r.id), meta: r.meta ? JSON.parse(r.meta) : null };
+}
+
+// The prototype that shipped data/banking.db had its own `transfers` table (reference, from_account,
+// ...). It is kept, renamed, rather than dropped.
+function adoptLegacyTables(db) {
+  const cols = db.prepare("SELECT name FROM pragma_table_info('transfers')").all().map((c) => c.name);
+  if (cols.length && !cols.includes('sender_account_id')) db.exec('ALTER TABLE transfers RENAME TO legacy_transfers');
+}
+
+function transactionWhere(userId, filter, params) {
+  const where = ['a.user_id = ?'];
+  params.push(userId);
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql);
+  };
+  if (filter.accountId) add('t.account_id = ?', filter.accountId);
+  if (filter.type) add('t.type = ?', filter.type);
+  if (filter.from) add('t.created_at >= ?', iso(filter.from));
+  if (filter.to) add('t.created_at < ?', iso(filter.to));
+  // amounts are stored as REAL here (see transactions.add), so the bounds are bound as numbers too
+  if (filter.minAmount != null) add('t.amount >= ?', Number(filter.minAmount));
+  if (filter.maxAmount != null) add('t.amount <= ?', Number(filter.maxAmount));
+  // LIKE is case-insensitive for ASCII in SQLite, like ILIKE
+  if (filter.text) add("t.description LIKE ? ESCAPE '\\'", `%${filter.text.replace(/[\\%_]/g, (c) => `\\${c}`)}%`);
+  return where;
+}
+
+function repositories(db) {
+  const get = (sql, ...params) => db.prepare(sql).get(...params) || null;
+  const all = (sql, ...params) => db.prepare(sql).all(...params);
+  const run = (sql, ...params) => db.prepare(sql).run(...params);
+
+  return {
+    users: {
+      findById: async (id) => get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, id),
+      findByEmail: async (email) => get(`SELECT ${USER_COLUMNS} FROM users WHERE email = ?`, email),
+      create: async ({ fullname, email, passwordHash, phone = null, accountname = null, emailVerified = false }) =>
+        get(
+          `INSERT INTO users (id, fullname, email, password_hash, phone, accountname, email_verified_at, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+           RETURNING id, fullname, email, accountname`,
+          crypto.randomUUID(),
+          fullname,
+          email,
+          passwordHash,
+          phone,
+          accountname,
+          emailVerified ? now() : null,
+          now()
+        ),
+      recordLogin: async (id, { ip = null, userAgent = null } = {}) =>
+        run('UPDATE users SET last_login_at = ?, last_login_ip = ?, last_login_ua = ? WHERE id = ?', now(), ip, userAgent, id),
+      // no sessions table here, so session_id is always null (tokens from this backend carry no sid)
+      authState: async (id) => get('SELECT password_changed_at, role, NULL AS session_id FROM users WHERE id = ?', id),
+    },
+
+    accounts: {
+      listForUser: async (userId, { includeClosed = false } = {}) =>
+        all(`SELECT ${ACCOUNT_COLUMNS} FROM accounts WHERE user_id = ? AND (? OR closed_at IS NULL) ORDER BY created_at`, userId, includeClosed ? 1 : 0).map(
+          accountRow
+        ),
+      get: async (id) => accountRow(get(`SELECT ${ACCOUNT_COLUMNS} FROM accounts WHERE id = ?`, id)),
+      primaryChecking: async (userId) =>
+        accountRow(
+          get(
+            `SELECT ${ACCOUNT_COLUMNS} FROM accounts
+             WHERE user_id = ? AND type = 'checking' AND closed_at IS NULL
+             ORDER BY created_at LIMIT 1`,
+            userId
+          )
+        ),
+      create: async ({ userId, type, currency, nickname = null }) =>
+        accountRow(
+          get(
+            `INSERT INTO accounts (id, user_id, type, currency, nickname, balance, available, created_at)
+             VALUES (?, ?, ?, ?, ?, 0, 0, ?)
+             RETURNING ${ACCOUNT_COLUMNS}`,
+            crypto.randomUUID(),
+            userId,
+            type,
+            currency,
+            nickname,
+            now()
+          )
+        ),
+      adjust: async (id, amount) => {
+        const acc = get('SELECT balance, available FROM accounts WHERE id = ?', id);
+        if (!acc) return;
+        run('UPDATE accounts SET balance = ?, available = ? WHERE id = ?', Number(addMoney(money(acc.balance), amount)), Number(addMoney(money(acc.available), amount)), id);
+      },
+    },
+
+    transactions: {
+      add: async ({ accountId, type, amount, description = null, reference = null }) =>
+        txRow(
+          get(
+            `INSERT INTO transactions (id, account_id, type, amount, description, reference, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             RETURNING id, account_id, type, amount, description, reference, created_at`,
+            crypto.randomUUID(),
+            accountId,
+            type,
+            Number(amount),
+            description,
+            reference,
+            now()
+          )
+        ),
+      page: async (userId, filter = {}, { after = null, before = null, limit = 100, order = 'desc' } = {}) => {
+        const params = [];
+        const where = transactionWhere(userId, filter, params);
+        const cursor = before || after;
+        if (cursor) {
+          params.push(cursor.key, cursor.id);
+          where.push(`(t.created_at, t.id) ${before ? '<' : '>'} (?, ?)`);
+        }
+        params.push(limit);
+        const dir = order === 'asc' ? 'ASC' : 'DESC';
+        return all(
+          `SELECT ${TX_COLUMNS}
+           FROM transactions t
+           JOIN accounts a ON a.id = t.account_id
+           WHERE ${where.join(' AND ')}
+           ORDER BY t.created_at ${dir}, t.id ${dir}
+           LIMIT ?`,
+          ...params
+        ).map(txRow);
+      },
+    },
+
+    transfers: {
+      create: async (t) => {
+        const createdAt = now();
+        return get(
+          `INSERT INTO transfers
+             (id, sender_account_id, recipient_account_id, recipient_email, recipient_name, amount, currency, method, status, description, completed_at, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+           RETURNING id, status, currency, created_at`,
+          crypto.randomUUID(),
+          t.senderAccountId,
+          t.recipientAccountId || null,
+          t.recipientEmail || null,
+          t.recipientName || null,
+          Number(t.amount),
+          t.currency,
+          t.method,
+          t.status,
+          t.description || null,
+          t.status === 'completed' ? createdAt : null,
+          createdAt
+        );
+      },
+      get: async (id) => {
+        const row = get('SELECT * FROM transfers WHERE id = ?', String(id));
+        return row && { ...row, amount: money(row.amount) };
+      },
+    },
+
+    notifications: {
+      add: async ({ userId, title, body, type = 'info', meta = {} }) =>
+        notificationRow(
+          get(
+            `INSERT INTO notifications (user_id, title, body, type, meta, created_at)
+             VALUES (?, ?, ?, ?, ?, ?)
+             RETURNING ${NOTIFICATION_COLUMNS}`,
+            userId,
+            title,
+            body,
+            type,
+            JSON.stringify(meta),
+            now()
+          )
+        ),
+      list: async (userId, { unreadOnly = false, limit = 50 } = {}) =>
+        all(
+          `SELECT ${NOTIFICATION_COLUMNS} FROM notifications
+           WHERE user_id = ? ${unreadOnly ? 'AND read_at IS NULL' : ''}
+           ORDER BY created_at DESC, id DESC
+           LIMIT ?`,
+          userId,
+          limit
+        ).map(notificationRow),
+      unreadSince: async (userId, afterId = null, limit = 100) =>
+        all(
+          `SELECT ${NOTIFICATION_COLUMNS} FROM notifications
+           WHERE user_id = ? AND read_at IS NULL AND id > COALESCE((SELECT id FROM notifications WHERE user_id = ? AND id = ?), 0)
+           ORDER BY id ASC
+           LIMIT ?`,
+          userId,
+          userId,
+          afterId == null ? null : Number(afterId),
+          limit
+        ).map(notificationRow),
+      unreadCount: async (userId) => get('SELECT COUNT(*) AS n FROM notifications WHERE user_id = ? AND read_at IS NULL', userId).n,
+      markRead: async (userId, ids) => {
+        if (!ids.length) return 0;
+        return run(
+          `UPDATE notifications SET read_at = ? WHERE user_id = ? AND read_at IS NULL AND CAST(id AS TEXT) IN (${ids.map(() => '?').join(', ')})`,
+          now(),
+          userId,
+          ...ids.map(String)
+        ).changes;
+      },
+      markAllRead: async (userId) => run('UPDATE notifications SET read_at = ? WHERE user_id = ? AND read_at IS NULL', now(), userId).changes,
+    },
+  };
+}
+
+export async function createSqliteStore(file) {
+  // loaded here so Postgres deployments don't need the native module installed
+  const { default: Database } = await import('better-sqlite3');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  // Every top-level call and transaction goes through this queue, so nothing runs inside another
+  // request's open transaction.
+  let tail = Promise.resolve();
+  const exclusive = (fn) => {
+    const result = tail.then(() => fn());
+    tail = result.catch(() => {});
+    return result;
+  };
+
+  const repos = repositories(db);
+  const queued = {};
+  for (const [name, repo] of Object.entries(repos)) {
+    queued[name] = Object.fromEntries(Object.entries(repo).map(([method, f]) => [method, (...args) => exclusive(() => f(...args))]));
+  }
+
+  return {
+    kind: 'sqlite',
+    file,
+    ...queued,
+    async init() {
+      db.transaction(() => {
+        adoptLegacyTables(db);
+        for (const sql of SCHEMA) db.exec(sql);
+      })();
+      return [];
+    },
+    ping: async () => db.prepare('SELECT 1').get(),
+    close: async () => db.close(),
+    // fn gets the unqueued repositories; calling the top-level store from inside fn would wait forever
+    transaction(fn) {
+      return exclusive(async () => {
+        db.exec('BEGIN IMMEDIATE');
+        try {
+          const result = await fn({ ...repos, client: null });
+          db.exec('COMMIT');
+          return result;
+        } catch (err) {
+          if (db.inTransaction) db.exec('ROLLBACK');
+          throw err;
+        }
+      });
+    },
+  };
+}
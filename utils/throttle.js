@@ -0,0 +1,113 @@
+// utils/throttle.js
+// Sign-in brute-force protection kept in Postgres (auth_throttle), so it works across instances without
+// Redis. Keys are strings like 'ip:203.0.113.9' or 'email:ann@example.com'. After LOGIN_FREE_ATTEMPTS
+// failures in the window every further attempt has to wait twice as long as the last (capped), and
+// reaching the lockout threshold locks the key for LOGIN_LOCKOUT_MINUTES.
+// Usage:
+//   import { checkThrottle, recordFailure, clearThrottle, hitRateLimit } from './utils/throttle.js';
+//   const wait = await checkThrottle(pool, ['ip:' + req.ip, 'email:' + email]);  // { retryAfter, locked } or null
+//   const { locked } = await recordFailure(pool, keys);   // keys that became locked by this failure
+//   await clearThrottle(pool, 'email:' + email);          // after a successful sign-in or an unlock link
+//   const retryAfter = await hitRateLimit(pool, 'register:' + req.ip, { limit: 10, windowMinutes: 60 });
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export const THROTTLE = {
+  freeAttempts: envNumber('LOGIN_FREE_ATTEMPTS', 3),
+  maxDelaySeconds: envNumber('LOGIN_MAX_DELAY_SECONDS', 60),
+  windowMinutes: envNumber('LOGIN_WINDOW_MINUTES', 15),
+  lockoutMinutes: envNumber('LOGIN_LOCKOUT_MINUTES', 15),
+  // an IP can be shared (office, mobile carrier), so it gets more room than one email address
+  lockoutThreshold: { email: envNumber('LOGIN_LOCKOUT_THRESHOLD', 10), ip: envNumber('LOGIN_IP_LOCKOUT_THRESHOLD', 50) },
+};
+
+function scopeOf(key) {
+  return String(key).split(':')[0];
+}
+
+function delaySeconds(failures) {
+  if (failures < THROTTLE.freeAttempts) return 0;
+  return Math.min(2 ** (failures - THROTTLE.freeAttempts), THROTTLE.maxDelaySeconds);
+}
+
+// Adds one to the key's count, starting a new window when the current one is over.
+async function bump(db, key, windowMinutes) {
+  const q = await db.query(
+    `INSERT INTO auth_throttle (key, failures, window_started_at, last_failure_at)
+     VALUES ($1, 1, NOW(), NOW())
+     ON CONFLICT (key) DO UPDATE SET
+       failures = CASE WHEN auth_throttle.window_started_at < NOW() - make_interval(mins => $2) THEN 1 ELSE auth_throttle.failures + 1 END,
+       window_started_at = CASE WHEN auth_throttle.window_started_at < NOW() - make_interval(mins => $2) THEN NOW() ELSE auth_throttle.window_started_at END,
+       last_failure_at = NOW()
+     RETURNING failures, EXTRACT(EPOCH FROM (window_started_at + make_interval(mins => $2) - NOW())) AS remaining`,
+    [key, windowMinutes]
+  );
+  return q.rows[0];
+}
+
+// Returns null when every key may try now, otherwise the longest wait in seconds and whether a key
+// is locked out (as opposed to just slowed down).
+export async function checkThrottle(db, keys) {
+  const q = await db.query(
+    `SELECT key, failures, last_failure_at, locked_until,
+            window_started_at < NOW() - make_interval(mins => $2) AS stale
+     FROM auth_throttle WHERE key = ANY($1)`,
+    [keys, THROTTLE.windowMinutes]
+  );
+  let retryAfter = 0;
+  let locked = false;
+  const now = Date.now();
+  for (const r of q.rows) {
+    if (r.locked_until && new Date(r.locked_until).getTime() > now) {
+      retryAfter = Math.max(retryAfter, Math.ceil((new Date(r.locked_until).getTime() - now) / 1000));
+      locked = true;
+      continue;
+    }
+    if (r.stale) continue;
+    const next = new Date(r.last_failure_at).getTime() + delaySeconds(r.failures) * 1000;
+    if (next > now) retryAfter = Math.max(retryAfter, Math.ceil((next - now) / 1000));
+  }
+  return retryAfter ? { retryAfter, locked } : null;
+}
+
+// Counts one failure against every key and locks the ones that reach their threshold. Returns the
+// keys locked by this call, so the caller can send one notice per lockout.
+export async function recordFailure(db, keys) {
+  const locked = [];
+  for (const key of keys) {
+    const { failures } = await bump(db, key, THROTTLE.windowMinutes);
+    const threshold = THROTTLE.lockoutThreshold[scopeOf(key)];
+    if (threshold && failures >= threshold) {
+      // the count starts over, so the first attempts after the lockout aren't delayed again
+      await db.query(
+        `UPDATE auth_throttle SET locked_until = NOW() + make_interval(mins => $2), failures = 0, window_started_at = NOW()
+         WHERE key = $1`,
+        [key, THROTTLE.lockoutMinutes]
+      );
+      locked.push(key);
+    }
+  }
+  return { locked };
+}
+
+export async function clearThrottle(db, key) {
+  await db.query('DELETE FROM auth_throttle WHERE key = $1', [key]);
+}
+
+// Plain fixed-window counter for actions that should be capped whether or not they succeed
+// (sign-ups). Returns 0 when allowed, otherwise seconds until the window resets.
+export async function hitRateLimit(db, key, { limit, windowMinutes }) {
+  const { failures, remaining } = await bump(db, key, windowMinutes);
+  return failures > limit ? Math.max(1, Math.ceil(Number(remaining))) : 0;
+}
+
+// Drops rows whose window and lockout are both long over.
+export async function purgeThrottle(db) {
+  await db.query(
+    `DELETE FROM auth_throttle
+     WHERE window_started_at < NOW() - INTERVAL '1 day' AND (locked_until IS NULL OR locked_until < NOW())`
+  );
+}
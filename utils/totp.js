@@ -0,0 +1,101 @@
+// utils/totp.js
+// RFC 6238 TOTP (HMAC-SHA1, 6 digits, 30s steps) and one-time recovery codes, using only node:crypto.
+// Usage:
+//   import { generateSecret, provisioningUri, verifyTotp, generateRecoveryCodes } from './utils/totp.js';
+//   const secret = generateSecret();                                // base32, shown to the user once
+//   const uri = provisioningUri(secret, 'ann@example.com');         // otpauth://totp/... for the QR code
+//   const step = verifyTotp(secret, '123456', { afterStep: last }); // matched time step, or null
+//   const codes = generateRecoveryCodes();                          // store hashes, show plaintext once
+
+import crypto from 'crypto';
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+export const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Bank Swift';
+
+export function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+export function provisioningUri(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+function hotp(key, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const mac = crypto.createHmac('sha1', key).update(buf).digest();
+  const offset = mac[mac.length - 1] & 0xf;
+  const code = (mac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+export function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+export function totpAt(secret, step) {
+  return hotp(base32Decode(secret), step);
+}
+
+// Accepts the previous, current and next step to allow for clock drift. Returns the matching step so
+// the caller can store it and refuse the same code twice (pass it back as afterStep), or null.
+export function verifyTotp(secret, code, { afterStep = null, now = Date.now() } = {}) {
+  const given = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(given)) return null;
+  const key = base32Decode(secret);
+  const step = currentStep(now);
+  for (const s of [step - 1, step, step + 1]) {
+    if (afterStep !== null && s <= Number(afterStep)) continue;
+    const expected = hotp(key, s);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return s;
+  }
+  return null;
+}
+
+// Ten codes like "K7QF-2MZD-X4PA-B6NE": 80 random bits each, so the unsalted hashes stored for them can't
+// be brute-forced from a database dump. normalizeRecoveryCode() before hashing so case, spaces and dashes
+// don't matter.
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => base32Encode(crypto.randomBytes(10)).match(/.{4}/g).join('-'));
+}
+
+export function normalizeRecoveryCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+}
@@ -0,0 +1,74 @@
+// utils/uploads.js
+// Local disk storage for claim receipts (multipart/form-data).
+// Usage:
+//   import { receiptUpload } from './utils/uploads.js';
+//   app.post('/path', receiptUpload('receipt_file'), handler); // req.file is set when a file was sent
+// The stored file is deleted again if the request ends with a 4xx/5xx response.
+
+import multer from 'multer';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { sendError } from './helpers.js';
+
+export const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'));
+export const RECEIPT_DIR = path.join(UPLOAD_DIR, 'receipts');
+const RECEIPT_MAX_BYTES = Number(process.env.RECEIPT_MAX_BYTES || 5 * 1024 * 1024);
+
+const RECEIPT_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+};
+
+fs.mkdirSync(RECEIPT_DIR, { recursive: true });
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, RECEIPT_DIR),
+  // never trust the client's filename; the extension comes from the allow-listed mimetype
+  filename: (req, file, cb) => cb(null, `${Date.now()}-${crypto.randomBytes(12).toString('hex')}${RECEIPT_TYPES[file.mimetype]}`),
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: RECEIPT_MAX_BYTES, files: 1, fields: 10 },
+  fileFilter: (req, file, cb) => {
+    if (!RECEIPT_TYPES[file.mimetype]) {
+      const err = new Error('Unsupported receipt type (use JPEG, PNG, WEBP or PDF)');
+      err.code = 'UNSUPPORTED_TYPE';
+      return cb(err);
+    }
+    cb(null, true);
+  },
+});
+
+// Wraps multer so upload failures become JSON 4xx responses instead of falling through to Express' HTML error page.
+export function receiptUpload(field) {
+  const mw = upload.single(field);
+  return (req, res, next) => {
+    mw(req, res, (err) => {
+      if (!err) {
+        res.on('finish', () => {
+          if (res.statusCode >= 400) removeUpload(req.file);
+        });
+        return next();
+      }
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return sendError(res, 413, 'file_too_large', `Receipt too large (max ${Math.floor(RECEIPT_MAX_BYTES / 1024 / 1024)} MB)`, { field });
+      }
+      if (err.code === 'UNSUPPORTED_TYPE') return sendError(res, 415, 'unsupported_file_type', err.message, { field });
+      if (err instanceof multer.MulterError) return sendError(res, 400, 'invalid_upload', `Upload error: ${err.message}`, { field: err.field || field });
+      return next(err);
+    });
+  };
+}
+
+export async function removeUpload(file) {
+  if (!file || !file.path) return;
+  try {
+    await fs.promises.unlink(file.path);
+  } catch (e) {
+    /* already gone */
+  }
+}
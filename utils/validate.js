@@ -0,0 +1,157 @@
+// utils/validate.js
+// Declarative request-body schemas. A schema maps each accepted field to a rule; anything not in the
+// schema is rejected, values are coerced to their type and missing optional fields get their default
+// (or null). Failures come back as the API's error envelope fields: { code, message, field }.
+// Usage:
+//   const SCHEMA = {
+//     email: { type: 'email', required: true },
+//     amount: { type: 'amount', required: true },           // "12.5" or 12.5 -> '12.50'; 0.001, 1e3, -1 rejected
+//     method: { type: 'enum', values: ['standard', 'wire'], default: 'standard' },
+//   };
+//   router.post('/things', validateBody(SCHEMA), handler);   // req.body is replaced by the coerced value
+//   const { value, error } = validate(SCHEMA, body);         // same rules outside a route
+//   validateBody(SCHEMA, { allowUnknown: true })             // third-party payloads: extra fields are dropped
+//   parseIsoDate('2024-02-31')                                // null; a Date for real ISO 8601 dates
+//
+// Rules: { type, required, default, nullable (explicit null kept instead of the default; false rejects it) } plus
+//   string   min, max (length after trimming), pattern, lowercase, uppercase, trim (default true)
+//   email    lowercased; max 254
+//   uuid | id (positive integer, returned as a string) | boolean | date (ISO 8601 -> Date)
+//   amount   positive (allowZero), at most 2 decimals, max (default 1e12); returns a decimal string (utils/money.js)
+//   number   finite; min, max, integer
+//   enum     values
+//   array    items (a rule), min, max; duplicates removed
+//   object   any plain JSON object, passed through
+// Codes: invalid_body (not a JSON object), missing_field, invalid_field, unknown_field.
+
+import { sendError } from './helpers.js';
+import { normalizeMoney } from './money.js';
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const AMOUNT_RE = /^\d{1,13}(\.\d{1,2})?$/;
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Date rolls impossible days over (2024-02-31 -> 2024-03-02); a real YYYY-MM-DD survives the round trip.
+function isCalendarDate(ymd) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === ymd;
+}
+
+// ISO 8601 date or date-time -> Date, or null for anything else (including impossible dates).
+export function parseIsoDate(value) {
+  const s = typeof value === 'string' ? value.trim() : '';
+  const d = ISO_DATE_RE.test(s) ? new Date(s) : null;
+  return d && !Number.isNaN(d.getTime()) && isCalendarDate(s.slice(0, 10)) ? d : null;
+}
+
+const invalid = (field, message) => ({ error: { code: 'invalid_field', message, field } });
+
+// Coerces one present (non-null) value; returns { value } or { error }.
+function coerce(field, rule, raw) {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return invalid(field, `${field} must be a string`);
+      let s = String(raw);
+      if (rule.trim !== false) s = s.trim();
+      if (rule.lowercase) s = s.toLowerCase();
+      if (rule.uppercase) s = s.toUpperCase();
+      if (rule.min != null && s.length < rule.min) {
+        return rule.min === 1 ? { error: { code: 'missing_field', message: `${field} is required`, field } } : invalid(field, `${field} must be at least ${rule.min} characters`);
+      }
+      if (rule.max != null && s.length > rule.max) return invalid(field, `${field} must be at most ${rule.max} characters`);
+      if (rule.pattern && !rule.pattern.test(s)) return invalid(field, rule.message || `${field} is not valid`);
+      return { value: s };
+    }
+    case 'email': {
+      const s = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+      if (!EMAIL_RE.test(s) || s.length > 254) return invalid(field, `${field} must be a valid email address`);
+      return { value: s };
+    }
+    case 'uuid':
+      if (typeof raw !== 'string' || !UUID_RE.test(raw)) return invalid(field, `${field} must be a UUID`);
+      return { value: raw.toLowerCase() };
+    case 'id': {
+      const s = String(raw);
+      if ((typeof raw !== 'string' && typeof raw !== 'number') || !/^[1-9]\d{0,17}$/.test(s)) return invalid(field, `${field} must be a positive whole number`);
+      return { value: s };
+    }
+    case 'boolean':
+      if (typeof raw !== 'boolean') return invalid(field, `${field} must be true or false`);
+      return { value: raw };
+    case 'date': {
+      const d = parseIsoDate(raw);
+      if (!d) return invalid(field, `${field} must be an ISO 8601 date`);
+      return { value: d };
+    }
+    case 'amount': {
+      // numbers are checked through their shortest decimal form, so 0.1 + 0.2 or 1e-7 can't slip in
+      const s = typeof raw === 'number' ? String(raw) : typeof raw === 'string' ? raw.trim() : '';
+      if (!AMOUNT_RE.test(s)) return invalid(field, `${field} must be a positive amount with at most 2 decimals`);
+      const n = Number(s);
+      if (n === 0 && !rule.allowZero) return invalid(field, `${field} must be greater than zero`);
+      if (n > (rule.max ?? 1e12)) return invalid(field, `${field} is too large`);
+      return { value: normalizeMoney(s) };
+    }
+    case 'number': {
+      const n = typeof raw === 'number' ? raw : typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN;
+      if (!Number.isFinite(n)) return invalid(field, `${field} must be a number`);
+      if (rule.integer && !Number.isInteger(n)) return invalid(field, `${field} must be a whole number`);
+      if (rule.min != null && n < rule.min) return invalid(field, `${field} must be at least ${rule.min}`);
+      if (rule.max != null && n > rule.max) return invalid(field, `${field} must be at most ${rule.max}`);
+      return { value: n };
+    }
+    case 'enum':
+      if (!rule.values.includes(raw)) return invalid(field, `${field} must be one of: ${rule.values.join(', ')}`);
+      return { value: raw };
+    case 'array': {
+      if (!Array.isArray(raw)) return invalid(field, `${field} must be an array`);
+      const out = [];
+      for (const item of raw) {
+        const r = coerce(field, rule.items, item);
+        if (r.error) return r;
+        if (!out.includes(r.value)) out.push(r.value);
+      }
+      if (rule.min != null && out.length < rule.min) return invalid(field, `${field} needs at least ${rule.min} item(s)`);
+      if (rule.max != null && out.length > rule.max) return invalid(field, `${field} allows at most ${rule.max} items`);
+      return { value: out };
+    }
+    case 'object':
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return invalid(field, `${field} must be an object`);
+      return { value: raw };
+    default:
+      throw new Error(`validate: unknown rule type "${rule.type}" for ${field}`);
+  }
+}
+
+export function validate(schema, body, { allowUnknown = false } = {}) {
+  if (body === undefined || body === null) body = {};
+  if (typeof body !== 'object' || Array.isArray(body)) return { error: { code: 'invalid_body', message: 'The request body must be a JSON object', field: null } };
+  for (const key of allowUnknown ? [] : Object.keys(body)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) return { error: { code: 'unknown_field', message: `Unknown field: ${key}`, field: key } };
+  }
+  const value = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = body[field];
+    // whitespace-only counts as blank unless the rule keeps whitespace (passwords)
+    if (raw === undefined || raw === null || raw === '' || (typeof raw === 'string' && rule.trim !== false && !raw.trim())) {
+      if (rule.required || (raw !== undefined && rule.nullable === false)) return { error: { code: 'missing_field', message: `${field} is required`, field } };
+      value[field] = raw === null && rule.nullable ? null : rule.default !== undefined ? rule.default : raw === undefined ? undefined : null;
+      continue;
+    }
+    const r = coerce(field, rule, raw);
+    if (r.error) return r;
+    value[field] = r.value;
+  }
+  return { value };
+}
+
+// Express middleware: 400 with the error envelope, or req.body = the coerced value.
+export function validateBody(schema, options) {
+  return (req, res, next) => {
+    const { value, error } = validate(schema, req.body, options);
+    if (error) return sendError(res, 400, error.code, error.message, { field: error.field });
+    req.body = value;
+    next();
+  };
+}
@@ -0,0 +1,132 @@
+// utils/webhooks.js
+// Outbound webhook helpers: event names, endpoint secrets, payload signatures and retry backoff. The
+// delivery queue itself is services/webhooks.js.
+// Usage:
+//   import { makeWebhookSecret, signPayload } from './utils/webhooks.js';
+//   const secret = makeWebhookSecret();                 // 'whsec_...', shown to the user once
+//   signPayload(secret, 1700000000, body);             // hex HMAC for X-BankSwift-Signature
+//   await webhookUrlProblem('https://10.0.0.5/hook');   // '10.0.0.5 is a private address', or null if allowed
+//   https.request(url, { lookup: publicOnlyLookup });  // connects only to the public address it resolved
+//
+// Receivers verify `X-BankSwift-Signature: t=<unix seconds>,v1=<hex>` where
+// v1 = HMAC_SHA256(endpoint secret, `${t}.${raw body}`).
+
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import { lookup as dnsLookup } from 'dns';
+import net from 'net';
+import { NODE_ENV } from './config.js';
+
+export const WEBHOOK_EVENTS = ['transfer.created', 'transfer.completed', 'transfer.claimed', 'transfer.refunded'];
+
+const BACKOFF_BASE_MS = Number(process.env.WEBHOOK_BACKOFF_BASE_MS || 30 * 1000);
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+export function makeWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Exponential backoff with +/-20% jitter: 30s, 1m, 2m, 4m ... capped at 6h.
+export function backoffMs(attempt) {
+  const base = Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempt - 1, 0), BACKOFF_MAX_MS);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+function ipv4Private(ip) {
+  const [a, b] = ip.split('.').map(Number);
+  return (
+    a === 0 || // "this network"
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) || // carrier-grade NAT
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    a >= 224 // multicast and reserved (224.0.0.0/3)
+  );
+}
+
+// The eight 16-bit groups of an IPv6 address ('::ffff:10.0.0.1' included).
+function ipv6Groups(ip) {
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(ip);
+  if (dotted) {
+    const [a, b, c, d] = dotted[1].split('.').map(Number);
+    ip = ip.slice(0, dotted.index) + ((a << 8) | b).toString(16) + ':' + ((c << 8) | d).toString(16);
+  }
+  const [head, tail] = ip.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const fill = tail === undefined ? [] : Array(8 - left.length - right.length).fill('0');
+  return [...left, ...fill, ...right].map((g) => parseInt(g, 16));
+}
+
+const ipv4FromGroups = (hi, lo) => `${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`;
+
+// The IPv4 address an IPv6 address carries, if any: IPv4-compatible (::a.b.c.d, which covers :: and
+// ::1), IPv4-mapped (::ffff:0:0/96), NAT64 (64:ff9b::/96) and 6to4 (2002::/16).
+function embeddedIpv4(g) {
+  const zeros = (from, to) => g.slice(from, to).every((x) => x === 0);
+  if (zeros(0, 6) || (zeros(0, 5) && g[5] === 0xffff)) return ipv4FromGroups(g[6], g[7]);
+  if (g[0] === 0x64 && g[1] === 0xff9b && zeros(2, 6)) return ipv4FromGroups(g[6], g[7]);
+  if (g[0] === 0x2002) return ipv4FromGroups(g[1], g[2]);
+  return null;
+}
+
+// Loopback, RFC 1918, link-local, carrier-grade NAT, multicast/reserved, unique-local (fc00::/7) and
+// unspecified addresses, including IPv4 addresses carried inside IPv6 ones.
+export function isPrivateAddress(ip) {
+  const version = net.isIP(ip);
+  if (version === 4) return ipv4Private(ip);
+  if (version !== 6) return false;
+  const g = ipv6Groups(ip.split('%')[0]);
+  const v4 = embeddedIpv4(g);
+  if (v4) return ipv4Private(v4);
+  return (g[0] & 0xfe00) === 0xfc00 || (g[0] & 0xffc0) === 0xfe80 || (g[0] & 0xff00) === 0xff00;
+}
+
+// dns.lookup for http(s).request that fails when the host resolves to a private address. The socket then
+// connects to the address checked here, so a short-TTL host can't pass webhookUrlProblem() and be
+// re-pointed at 127.0.0.1 before the request goes out. IP literals skip lookup: check them with
+// webhookUrlProblem().
+export function publicOnlyLookup(hostname, options, callback) {
+  dnsLookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked) {
+      const e = new Error(`${hostname} resolves to a private address (${blocked.address})`);
+      e.code = 'EPRIVATEADDRESS';
+      return callback(e);
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Why `url` can't be a webhook endpoint, or null if it can. The server POSTs to these URLs itself, so
+// the host must resolve to public addresses only; this runs at registration and again before each
+// delivery, since DNS can change in between. allowPrivate (WEBHOOK_ALLOW_PRIVATE_URLS) skips the host check.
+export async function webhookUrlProblem(url, { allowPrivate = false } = {}) {
+  let u;
+  try {
+    u = new URL(String(url));
+  } catch {
+    return 'A valid https URL is required';
+  }
+  if (u.protocol !== 'https:' && !(u.protocol === 'http:' && NODE_ENV !== 'production')) return 'A valid https URL is required';
+  if (allowPrivate) return null;
+
+  const host = u.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.lookup(host, { all: true, verbatim: true })).map((a) => a.address);
+  } catch {
+    return `Can't resolve ${host}`;
+  }
+  const blocked = addresses.find(isPrivateAddress);
+  if (!blocked) return null;
+  return blocked === host ? `${host} is a private address` : `${host} resolves to a private address (${blocked})`;
+}